@@ -0,0 +1,79 @@
+import { AuthThrottle } from "../src/models/authModel/authThrottle.model.js";
+import { ApiError } from "../src/utils/ApiError.js";
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+export const lockedError = (lockedUntil) =>
+  new ApiError(429, `Too many attempts. Try again in ${Math.ceil(secondsUntil(lockedUntil) / 60)} minute(s).`);
+
+export default class AuthThrottleService {
+  static async getLock(scope, key) {
+    const record = await AuthThrottle.findOne({ scope, key, lockedUntil: { $gt: new Date() } });
+    return record?.lockedUntil || null;
+  }
+
+  static async assertNotLocked(scope, key) {
+    const lockedUntil = await AuthThrottleService.getLock(scope, key);
+    if (lockedUntil) {
+      throw lockedError(lockedUntil);
+    }
+  }
+
+  // 🔒 Blocks the key for the lock window. An existing lock is kept as is, so
+  // hammering a locked key can't keep pushing its end further out.
+  static async lock(scope, key, lockMs) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + lockMs);
+
+    const locked = await AuthThrottle.findOneAndUpdate(
+      { scope, key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil, expiresAt: lockedUntil } },
+      { new: true }
+    );
+    if (locked) return locked.lockedUntil;
+
+    return (await AuthThrottleService.getLock(scope, key)) || lockedUntil;
+  }
+
+  /**
+   * Reserves one use of `counter` ("attempts" or "sends") before the guarded work
+   * happens, so parallel requests can't all read the same count and slip past `max`.
+   * Throws 429 (and locks the key) once the budget is spent; otherwise resolves with
+   * how many are left after this one.
+   */
+  static async take(scope, key, counter, { max, windowMs, lockMs }) {
+    const now = new Date();
+
+    // A finished lock or window starts the count again (the TTL monitor may not have run yet)
+    await AuthThrottle.updateOne(
+      {
+        scope,
+        key,
+        $or: [{ lockedUntil: { $lte: now } }, { lockedUntil: null, expiresAt: { $lte: now } }],
+      },
+      { $set: { attempts: 0, sends: 0, lockedUntil: null } }
+    );
+
+    const filter = { scope, key, lockedUntil: null, [counter]: { $lt: max } };
+    const update = { $inc: { [counter]: 1 }, $set: { expiresAt: new Date(now.getTime() + windowMs) } };
+
+    let record;
+    try {
+      record = await AuthThrottle.findOneAndUpdate(filter, update, { new: true, upsert: true, setDefaultsOnInsert: true });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // The upsert hit an existing record: either a parallel first try created it, or it's locked/spent
+      record = await AuthThrottle.findOneAndUpdate(filter, update, { new: true });
+    }
+
+    if (record) {
+      return { remaining: max - record[counter] };
+    }
+    throw lockedError(await AuthThrottleService.lock(scope, key, lockMs));
+  }
+
+  // 🧹 A successful check wipes the counters
+  static async clear(scope, key) {
+    await AuthThrottle.deleteOne({ scope, key });
+  }
+}
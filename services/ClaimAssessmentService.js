@@ -0,0 +1,153 @@
+import { Claim, CLAIM_STATUSES } from "../src/models/pet/claim.model.js";
+import { ClaimUsage } from "../src/models/pet/claimUsage.model.js";
+import { Insurance } from "../src/models/pet/insurance.model.js";
+import { ApiError } from "../src/utils/ApiError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Headroom for rounding when comparing amounts in the reservation guard
+const EPSILON = 0.005;
+
+const usageKey = (claim) => ({ policy: claim.policy, petId: claim.petId, termStartDate: claim.termStartDate });
+
+// 💸 Claims whose payout already counts against the pet's limits for the term
+const SETTLED_STATUSES = [CLAIM_STATUSES.APPROVED, CLAIM_STATUSES.PAID];
+
+export default class ClaimAssessmentService {
+  /**
+   * Works out what the claim pays. Per policy term and pet:
+   * the plan deductible is taken once across claims, each coverage item pays up to
+   * its limit, and all claims together stop at the plan's sum insured, all as
+   * snapshotted when the cover was agreed rather than the plan as it reads today.
+   */
+  static async assess(claim, { eligibleAmount } = {}) {
+    const policy = await Insurance.findById(claim.policy);
+    if (!policy) {
+      throw new ApiError(404, "Policy for this claim no longer exists");
+    }
+
+    // 📜 Terms agreed for the claim's policy term; claims filed before snapshots fall back to the pet's
+    const pet = policy.pets.find((p) => p.petId === claim.petId);
+    if (!claim.planTerms && pet && !pet.planTerms) {
+      await policy.snapshotPlanTerms();
+      await policy.save();
+    }
+    const plan = claim.planTerms || pet?.planTerms;
+    if (!plan) {
+      throw new ApiError(409, "No plan terms were recorded for this pet's policy");
+    }
+
+    const coverage = plan.coverageItems.find((item) => item.key === claim.coverageKey);
+    if (!coverage) {
+      throw new ApiError(422, `${plan.name} has no "${claim.coverageKey}" cover`);
+    }
+
+    const usage = await ClaimAssessmentService.usageFor(claim);
+    const coverageUsed = usage.coverageUsed.get(claim.coverageKey) || 0;
+    const { sumInsuredUsed, deductibleUsed } = usage;
+
+    const eligible = Math.min(eligibleAmount ?? claim.claimedAmount, claim.claimedAmount);
+    const deductibleApplied = Math.min(eligible, Math.max(plan.deductible - deductibleUsed, 0));
+    const payableAmount = Math.max(
+      0,
+      Math.min(
+        eligible - deductibleApplied,
+        coverage.limit - coverageUsed,
+        plan.sumInsured - sumInsuredUsed
+      )
+    );
+
+    // ⏳ Waiting periods run from when the pet was first covered, not from each renewal
+    // (the first activation: a reinstatement after a lapse moves statusDates.active on)
+    const coveredSince =
+      policy.statusHistory.find((change) => change.to === "active")?.changedAt || policy.policyStartDate;
+    const waitingPeriod = plan.waitingPeriods.find((wp) =>
+      [claim.coverageKey, "all"].includes(wp.condition.trim().toLowerCase())
+    );
+    const waitingPeriodBreached = Boolean(
+      waitingPeriod && coveredSince &&
+      claim.incidentDate.getTime() < coveredSince.getTime() + waitingPeriod.days * DAY_MS
+    );
+
+    return {
+      claimedAmount: claim.claimedAmount,
+      eligibleAmount: roundAmount(eligible),
+      coverageLimit: coverage.limit,
+      coverageUsed: roundAmount(coverageUsed),
+      sumInsured: plan.sumInsured,
+      sumInsuredUsed: roundAmount(sumInsuredUsed),
+      deductible: plan.deductible,
+      deductibleApplied: roundAmount(deductibleApplied),
+      payableAmount: waitingPeriodBreached ? 0 : roundAmount(payableAmount),
+      waitingPeriodBreached,
+      calculatedAt: new Date(),
+    };
+  }
+
+  /**
+   * The pet's usage for the claim's term. The first claim approved under the counter
+   * seeds it from the claims settled before it existed.
+   */
+  static async usageFor(claim) {
+    const existing = await ClaimUsage.findOne(usageKey(claim));
+    if (existing) return existing;
+
+    const settled = await Claim.find({ ...usageKey(claim), status: { $in: SETTLED_STATUSES } }).select(
+      "coverageKey assessment"
+    );
+    const coverageUsed = {};
+    for (const c of settled) {
+      coverageUsed[c.coverageKey] = (coverageUsed[c.coverageKey] || 0) + (c.assessment?.payableAmount || 0);
+    }
+
+    try {
+      return await ClaimUsage.create({
+        ...usageKey(claim),
+        sumInsuredUsed: settled.reduce((sum, c) => sum + (c.assessment?.payableAmount || 0), 0),
+        deductibleUsed: settled.reduce((sum, c) => sum + (c.assessment?.deductibleApplied || 0), 0),
+        coverageUsed,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return ClaimUsage.findOne(usageKey(claim)); // seeded by a parallel approval
+    }
+  }
+
+  /**
+   * Books the claim's assessed payout against the pet's usage, only if it still fits
+   * under the coverage limit, sum insured and deductible it was assessed against.
+   * Resolves false when another approval got there first; reassess and try again.
+   */
+  static async reserve(claim) {
+    const { payableAmount, deductibleApplied, coverageLimit, sumInsured, deductible } = claim.assessment;
+    const coveragePath = `coverageUsed.${claim.coverageKey}`;
+
+    const { modifiedCount } = await ClaimUsage.updateOne(
+      {
+        ...usageKey(claim),
+        sumInsuredUsed: { $lte: sumInsured - payableAmount + EPSILON },
+        deductibleUsed: { $lte: deductible - deductibleApplied + EPSILON },
+        $or: [
+          { [coveragePath]: { $exists: false } },
+          { [coveragePath]: { $lte: coverageLimit - payableAmount + EPSILON } },
+        ],
+      },
+      { $inc: { sumInsuredUsed: payableAmount, deductibleUsed: deductibleApplied, [coveragePath]: payableAmount } }
+    );
+    return modifiedCount === 1;
+  }
+
+  // ↩️ Gives a reservation back when the approval it was made for didn't go through
+  static async release(claim) {
+    const { payableAmount, deductibleApplied } = claim.assessment;
+    await ClaimUsage.updateOne(usageKey(claim), {
+      $inc: {
+        sumInsuredUsed: -payableAmount,
+        deductibleUsed: -deductibleApplied,
+        [`coverageUsed.${claim.coverageKey}`]: -payableAmount,
+      },
+    });
+  }
+}
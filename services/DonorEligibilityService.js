@@ -0,0 +1,194 @@
+import { User } from "../src/models/user.model.js";
+import {
+  Donation,
+  DONATION_SOURCES,
+  DONATION_CONFIRMATIONS,
+  countedDonationFilter,
+} from "../src/models/redDrop/donation.model.js";
+import { AppSetting, SETTING_KEYS } from "../src/models/settings/appSetting.model.js";
+import { DEFAULT_DEFERRAL_RULES, DONATION_TYPES } from "../src/config/donorEligibility.js";
+import { ApiError } from "../src/utils/ApiError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const ageInYears = (dateOfBirth, now) => {
+  const dob = new Date(dateOfBirth);
+  let age = now.getFullYear() - dob.getFullYear();
+  const birthdayPassed =
+    now.getMonth() > dob.getMonth() || (now.getMonth() === dob.getMonth() && now.getDate() >= dob.getDate());
+  if (!birthdayPassed) age -= 1;
+  return age;
+};
+
+export default class DonorEligibilityService {
+  static async getRules() {
+    const overrides = (await AppSetting.getValue(SETTING_KEYS.DONOR_DEFERRAL_RULES, {})) || {};
+    return {
+      ...DEFAULT_DEFERRAL_RULES,
+      ...overrides,
+      donationIntervalDays: { ...DEFAULT_DEFERRAL_RULES.donationIntervalDays, ...(overrides.donationIntervalDays || {}) },
+    };
+  }
+
+  /**
+   * Works out when a donor may give blood again from their latest donation and
+   * questionnaire. Pure: nothing is saved. The latest deferral wins; failing a
+   * hard limit (age, weight, chronic condition, pregnancy) defers indefinitely.
+   */
+  static evaluate({ lastDonation = null, questionnaire = null }, rules, now = new Date()) {
+    const reasons = [];
+    let nextEligibleAt = null;
+    let indefinite = false;
+
+    const defer = (until, reason) => {
+      if (until <= now) return;
+      reasons.push(reason);
+      if (!nextEligibleAt || until > nextEligibleAt) nextEligibleAt = until;
+    };
+
+    if (lastDonation) {
+      const type = lastDonation.donationType || DONATION_TYPES.WHOLE_BLOOD;
+      const days = rules.donationIntervalDays?.[type] ?? rules.donationIntervalDays?.[DONATION_TYPES.WHOLE_BLOOD] ?? 90;
+      defer(addDays(lastDonation.donatedAt, days), `Recent ${type.replace(/_/g, " ")} donation`);
+    }
+
+    if (!questionnaire) {
+      return { eligible: reasons.length === 0, nextEligibleAt, indefinite, reasons };
+    }
+
+    if (questionnaire.lastTattooOrPiercingAt) {
+      defer(addDays(questionnaire.lastTattooOrPiercingAt, rules.tattooOrPiercingDays), "Recent tattoo or piercing");
+    }
+    if (questionnaire.lastSurgeryAt) {
+      defer(addDays(questionnaire.lastSurgeryAt, rules.surgeryDays), "Recent surgery");
+    }
+    if (questionnaire.lastIllnessAt) {
+      defer(addDays(questionnaire.lastIllnessAt, rules.illnessDays), "Recent illness");
+    }
+
+    const age = ageInYears(questionnaire.dateOfBirth, now);
+    if (age < rules.minAgeYears) {
+      // 🎂 Under-age donors become eligible on their birthday, so this one has a date
+      const dob = new Date(questionnaire.dateOfBirth);
+      defer(new Date(dob.getFullYear() + rules.minAgeYears, dob.getMonth(), dob.getDate()), `Under ${rules.minAgeYears}`);
+    }
+    const hardLimits = [
+      [age > rules.maxAgeYears, `Over ${rules.maxAgeYears}`],
+      [questionnaire.weightKg < rules.minWeightKg, `Weight under ${rules.minWeightKg} kg`],
+      [questionnaire.pregnantOrBreastfeeding, "Pregnant or breastfeeding"],
+      [questionnaire.chronicCondition, "Chronic condition declared"],
+    ];
+    for (const [failed, reason] of hardLimits) {
+      if (failed) {
+        indefinite = true;
+        reasons.push(reason);
+      }
+    }
+
+    return {
+      eligible: reasons.length === 0,
+      nextEligibleAt: indefinite ? null : nextEligibleAt,
+      indefinite,
+      reasons,
+    };
+  }
+
+  // 🔄 Re-evaluates a donor and caches the result on their profile
+  static async refresh(userId) {
+    const user = await User.findById(userId).select("healthQuestionnaire lastDonationAt beADonor");
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    const [lastDonation, rules] = await Promise.all([
+      Donation.findOne({ donor: userId, ...countedDonationFilter() }).sort({ donatedAt: -1 }),
+      DonorEligibilityService.getRules(),
+    ]);
+
+    const result = DonorEligibilityService.evaluate({ lastDonation, questionnaire: user.healthQuestionnaire }, rules);
+
+    user.lastDonationAt = lastDonation?.donatedAt || user.lastDonationAt;
+    user.donorEligibility = {
+      nextEligibleAt: result.nextEligibleAt,
+      indefinite: result.indefinite,
+      reasons: result.reasons,
+      evaluatedAt: new Date(),
+    };
+    await user.save();
+
+    return { ...result, user };
+  }
+
+  // 🩸 Adds a donation to the donor's history without re-evaluating them
+  // (a donation waiting for the donor's confirmation doesn't count until they confirm it)
+  static async addDonation(donorId, {
+    donatedAt = new Date(),
+    donationType = DONATION_TYPES.WHOLE_BLOOD,
+    units,
+    location,
+    pinCode = null,
+    source = DONATION_SOURCES.SELF_REPORTED,
+    bloodRequest = null,
+    camp = null,
+    notes = null,
+    confirmation = DONATION_CONFIRMATIONS.NOT_REQUIRED,
+  }) {
+    return Donation.create({
+      donor: donorId,
+      donatedAt,
+      donationType,
+      units,
+      location,
+      pinCode,
+      source,
+      bloodRequest,
+      camp,
+      notes,
+      confirmation,
+    });
+  }
+
+  // 🩸 Records a donation and pushes back the donor's next eligible date
+  static async recordDonation(donorId, details) {
+    const donation = await DonorEligibilityService.addDonation(donorId, details);
+    await DonorEligibilityService.refresh(donorId);
+    return donation;
+  }
+
+  /**
+   * Where a donor stands right now. `beADonor` is only "active" while they are eligible:
+   * a willing donor inside a deferral is reported as "paused" and left out of matching.
+   */
+  static summarise(user, now = new Date()) {
+    const eligibility = user.donorEligibility;
+    const deferred =
+      Boolean(eligibility?.indefinite) || Boolean(eligibility?.nextEligibleAt && eligibility.nextEligibleAt > now);
+
+    let donorStatus = "off";
+    if (user.beADonor) donorStatus = deferred ? "paused" : "active";
+
+    return {
+      beADonor: user.beADonor,
+      donorStatus,
+      eligible: !deferred,
+      nextEligibleAt: deferred ? eligibility.nextEligibleAt : null,
+      indefinite: Boolean(eligibility?.indefinite),
+      reasons: deferred ? eligibility.reasons : [],
+      lastDonationAt: user.lastDonationAt || null,
+      questionnaireSubmittedAt: user.healthQuestionnaire?.submittedAt || null,
+    };
+  }
+
+  // 🔍 Query fragment matching donors who aren't inside a deferral
+  static eligibleFilter(now = new Date()) {
+    return {
+      "donorEligibility.indefinite": { $ne: true },
+      $or: [
+        { "donorEligibility.nextEligibleAt": null },
+        { "donorEligibility.nextEligibleAt": { $lte: now } },
+      ],
+    };
+  }
+}
@@ -0,0 +1,200 @@
+import { User } from "../src/models/user.model.js";
+import { BLOOD_REQUEST_URGENCY, DONOR_RESPONSES } from "../src/models/redDrop/bloodRequest.model.js";
+import { compatibleDonorGroups } from "../src/config/bloodCompatibility.js";
+import { PIN_PREFIX3_CENTROIDS, PIN_PREFIX2_CENTROIDS } from "../src/data/pincodeCentroids.js";
+import DonorEligibilityService from "./DonorEligibilityService.js";
+import PushNotificationService from "./PushNotificationService.js";
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_MATCH_LIMIT = 50;
+// 📍 Donors are looked for outwards from the request's PIN, up to this far, a few prefixes per query
+const MAX_MATCH_DISTANCE_KM = 150;
+const PREFIXES_PER_QUERY = 8;
+
+// 🚨 Only these requests are pushed to donors' phones; normal ones wait for donors to look
+const BROADCAST_URGENCIES = [BLOOD_REQUEST_URGENCY.CRITICAL, BLOOD_REQUEST_URGENCY.URGENT];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export default class DonorMatchingService {
+  /**
+   * Approximate location of a PIN code from the bundled centroids:
+   * the sorting district (first 3 digits) when we have it, else the postal region (first 2).
+   */
+  static locate(pinCode) {
+    const pin = String(pinCode || "").trim();
+    if (!/^\d{6}$/.test(pin)) return null;
+
+    const district = PIN_PREFIX3_CENTROIDS[pin.slice(0, 3)];
+    if (district) return { lat: district[0], lng: district[1], precision: "district" };
+
+    const region = PIN_PREFIX2_CENTROIDS[pin.slice(0, 2)];
+    if (region) return { lat: region[0], lng: region[1], precision: "region" };
+
+    return null;
+  }
+
+  // 🌍 Great-circle (haversine) distance between two located points, in km
+  static distanceKm(from, to) {
+    if (!from || !to) return null;
+
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a)) * 10) / 10;
+  }
+
+  /**
+   * PIN filters to search, nearest first: the exact PIN, then known districts
+   * (3-digit prefixes) within MAX_MATCH_DISTANCE_KM, then known postal regions
+   * (2-digit prefixes, for PINs outside the district table). The request's own
+   * district and region are always searched, even when we can't place them.
+   */
+  static searchRings(pinCode) {
+    const pin = String(pinCode || "").trim();
+    if (!/^\d{6}$/.test(pin)) return [];
+
+    const origin = DonorMatchingService.locate(pin);
+    const nearby = (centroids, own) => {
+      const prefixes = Object.entries(centroids)
+        .map(([prefix, [lat, lng]]) => ({ prefix, distanceKm: DonorMatchingService.distanceKm(origin, { lat, lng }) }))
+        .filter(({ prefix, distanceKm }) => prefix !== own && distanceKm !== null && distanceKm <= MAX_MATCH_DISTANCE_KM)
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .map(({ prefix }) => prefix);
+      return [own, ...prefixes];
+    };
+
+    const rings = [pin];
+    for (const prefixes of [nearby(PIN_PREFIX3_CENTROIDS, pin.slice(0, 3)), nearby(PIN_PREFIX2_CENTROIDS, pin.slice(0, 2))]) {
+      for (let i = 0; i < prefixes.length; i += PREFIXES_PER_QUERY) {
+        rings.push({ $in: prefixes.slice(i, i + PREFIXES_PER_QUERY).map((prefix) => new RegExp(`^${prefix}`)) });
+      }
+    }
+    return rings;
+  }
+
+  /**
+   * Willing donors whose blood the patient can receive, nearest first.
+   * Donors inside a deferral (recent donation, questionnaire answers) are left out,
+   * donors we can't place go last, and an exact group match wins a tie on distance.
+   * The search widens ring by ring and stops as soon as `limit` donors are found,
+   * so only nearby donors are ever read.
+   */
+  static async findDonors(request, { limit = DEFAULT_MATCH_LIMIT } = {}) {
+    const groups = compatibleDonorGroups(request.bloodGroup);
+    if (groups.length === 0) return [];
+
+    const donors = [];
+    for (const pinCode of DonorMatchingService.searchRings(request.pinCode)) {
+      if (donors.length >= limit) break;
+
+      const found = await User.find({
+        _id: { $nin: [request.requestedBy, ...donors.map((donor) => donor._id)] },
+        beADonor: true,
+        bloodGroup: { $in: groups },
+        pinCode,
+        ...DonorEligibilityService.eligibleFilter(),
+      })
+        .select("name bloodGroup pinCode lastDonationAt")
+        .limit(limit - donors.length);
+      donors.push(...found);
+    }
+
+    const origin = DonorMatchingService.locate(request.pinCode);
+
+    return donors
+      .map((donor) => ({
+        donor,
+        bloodGroup: donor.bloodGroup,
+        exactMatch: donor.bloodGroup === request.bloodGroup,
+        distanceKm: donor.pinCode === request.pinCode
+          ? 0
+          : DonorMatchingService.distanceKm(origin, DonorMatchingService.locate(donor.pinCode)),
+      }))
+      .sort((a, b) => {
+        if (a.distanceKm === null || b.distanceKm === null) {
+          if (a.distanceKm !== b.distanceKm) return a.distanceKm === null ? 1 : -1;
+        } else if (a.distanceKm !== b.distanceKm) {
+          return a.distanceKm - b.distanceKm;
+        }
+        return Number(b.exactMatch) - Number(a.exactMatch);
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Stores the current matches on the request so the requester (and admins) can see them.
+   * Donors who already answered keep their response, even if they no longer show up in a fresh match.
+   */
+  static async matchRequest(request, options) {
+    const matches = await DonorMatchingService.findDonors(request, options);
+    const matchedAt = new Date();
+
+    const previous = new Map(request.matchedDonors.map((m) => [m.donor.toString(), m.toObject()]));
+    const next = matches.map((match) => {
+      const earlier = previous.get(match.donor._id.toString());
+      previous.delete(match.donor._id.toString());
+      return {
+        ...earlier,
+        donor: match.donor._id,
+        bloodGroup: match.bloodGroup,
+        distanceKm: match.distanceKm,
+        matchedAt: earlier?.matchedAt || matchedAt,
+      };
+    });
+    const answered = [...previous.values()].filter((m) => m.response !== DONOR_RESPONSES.PENDING);
+
+    request.matchedDonors = [...next, ...answered];
+    await request.save();
+
+    return request;
+  }
+
+  /**
+   * Pushes an urgent request to matched donors who haven't been notified about it yet,
+   * so re-running matching only reaches the newcomers. Delivery problems are logged
+   * and recorded on the request, never thrown: the request itself is already saved.
+   */
+  static async notifyMatchedDonors(request) {
+    if (!BROADCAST_URGENCIES.includes(request.urgency)) return null;
+
+    const pending = request.matchedDonors.filter(
+      (match) => !match.notifiedAt && match.response === DONOR_RESPONSES.PENDING
+    );
+    if (pending.length === 0) return null;
+
+    let summary;
+    try {
+      summary = await PushNotificationService.sendToUsers(
+        pending.map((match) => match.donor),
+        {
+          title: `${request.urgency === BLOOD_REQUEST_URGENCY.CRITICAL ? "🚨 Critical" : "Urgent"}: ${request.bloodGroup} blood needed`,
+          body: `${request.unitsRequired - request.unitsFulfilled} unit(s) needed at ${request.hospitalName}. Tap to help.`,
+          data: { type: "blood_request", requestId: request._id, bloodGroup: request.bloodGroup },
+        }
+      );
+    } catch (error) {
+      console.error(`❌ Broadcast for blood request ${request._id} failed:`, error.message);
+      return null;
+    }
+
+    const notifiedAt = new Date();
+    pending.forEach((match) => {
+      match.notifiedAt = notifiedAt;
+    });
+    request.broadcasts.push({
+      donors: pending.length,
+      tokens: summary.tokens,
+      sent: summary.sent,
+      failed: summary.failed,
+      pruned: summary.pruned,
+      sentAt: notifiedAt,
+    });
+    await request.save();
+
+    return summary;
+  }
+}
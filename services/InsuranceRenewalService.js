@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import { Insurance, INSURANCE_STATUSES } from "../src/models/pet/insurance.model.js";
+import { InsurancePlan } from "../src/models/pet/insurancePlan.model.js";
+import Payment, { PAYMENT_PURPOSES, PAYMENT_STATUSES } from "../src/models/payment/payment.model.js";
+import PremiumQuoteService from "./PremiumQuoteService.js";
+import { ApiError } from "../src/utils/ApiError.js";
+import {
+  INSURANCE_RENEWAL_WINDOW_DAYS,
+  INSURANCE_GRACE_PERIOD_DAYS,
+} from "../src/config/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RENEWAL_WINDOW_MS = (Number(INSURANCE_RENEWAL_WINDOW_DAYS) || 30) * DAY_MS;
+const GRACE_PERIOD_MS = (Number(INSURANCE_GRACE_PERIOD_DAYS) || 15) * DAY_MS;
+
+// 🚩 Reason a paid renewal is flagged with until it has been applied to the policy
+export const RENEWAL_NOT_APPLIED = "Renewal paid but not applied to the policy yet";
+
+export default class InsuranceRenewalService {
+  /**
+   * Where a policy stands relative to its end date:
+   * not_due → open (window before the end) → grace (after the end) → closed.
+   */
+  static getWindow(policy, now = new Date()) {
+    if (!policy.policyEndDate) {
+      return { state: "not_due", opensAt: null, graceEndsAt: null };
+    }
+
+    const end = policy.policyEndDate.getTime();
+    const opensAt = new Date(end - RENEWAL_WINDOW_MS);
+    const graceEndsAt = new Date(end + GRACE_PERIOD_MS);
+
+    let state = "not_due";
+    if (now >= graceEndsAt) state = "closed";
+    else if (now >= policy.policyEndDate) state = "grace";
+    else if (now >= opensAt) state = "open";
+
+    return { state, opensAt, endsAt: policy.policyEndDate, graceEndsAt };
+  }
+
+  // ⌛ Active policies whose grace period has run out lapse. Runs from the scheduled
+  // `lapse-policies` job for everything, and scoped to the policy being read on owner reads.
+  static async lapseExpired(filter = {}) {
+    const cutoff = new Date(Date.now() - GRACE_PERIOD_MS);
+    const expired = Insurance.find({
+      ...filter,
+      status: INSURANCE_STATUSES.ACTIVE,
+      policyEndDate: { $lte: cutoff },
+    }).cursor();
+
+    let lapsed = 0;
+    for await (const policy of expired) {
+      policy.transitionTo(INSURANCE_STATUSES.LAPSED, { note: "Renewal window closed without payment" });
+      await policy.save();
+      lapsed += 1;
+    }
+
+    return lapsed;
+  }
+
+  /**
+   * Prices the next term: every pet on a plan is re-quoted on that plan at the age
+   * it will be when the new term starts, with today's rating factors.
+   */
+  static async quote(policy) {
+    const insured = policy.pets.filter((pet) => pet.plan);
+    if (insured.length === 0) {
+      throw new ApiError(422, "No pet on this policy has a plan to renew");
+    }
+
+    const plans = await InsurancePlan.find({ _id: { $in: insured.map((pet) => pet.plan) }, status: "active" });
+    const factors = await PremiumQuoteService.getRatingFactors();
+
+    const pets = insured.map((pet) => {
+      const plan = plans.find((p) => p._id.equals(pet.plan));
+      if (!plan) {
+        throw new ApiError(422, `The plan for ${pet.petName || "a pet"} is no longer offered. Choose another plan before renewing.`);
+      }
+
+      const ageYears = Number(pet.petAge) + 1;
+      const premium = PremiumQuoteService.pricePet(
+        { petName: pet.petName, petSpecies: pet.petSpecies, petBreed: pet.petBreed, petAge: ageYears },
+        { plan, pinCode: policy.pinCode },
+        factors
+      );
+
+      return { petId: pet.petId, ageYears, plan: plan._id, premium };
+    });
+
+    return {
+      pets,
+      premium: PremiumQuoteService.summarisePremium(pets, factors),
+      quotedAt: new Date(),
+    };
+  }
+
+  static async findOwnPolicy(userId, policyId) {
+    if (!mongoose.Types.ObjectId.isValid(policyId)) {
+      throw new ApiError(400, "Invalid policy ID");
+    }
+
+    await InsuranceRenewalService.lapseExpired({ _id: policyId });
+
+    const policy = await Insurance.findOne({ _id: policyId, user: userId });
+    if (!policy) {
+      throw new ApiError(404, "Policy not found");
+    }
+    return policy;
+  }
+
+  static assertRenewable(policy) {
+    if (policy.status !== INSURANCE_STATUSES.ACTIVE) {
+      throw new ApiError(409, `Only active policies can be renewed (this one is ${policy.status})`);
+    }
+
+    const window = InsuranceRenewalService.getWindow(policy);
+    if (window.state === "not_due") {
+      throw new ApiError(409, `Renewal opens on ${window.opensAt?.toISOString() || "activation"}`);
+    }
+    return window;
+  }
+
+  /**
+   * Quotes the renewal and raises the Payment for it. Asking again while that payment
+   * is still open and unexpired hands back the same one instead of charging twice.
+   */
+  static async start(userId, policyId) {
+    const policy = await InsuranceRenewalService.findOwnPolicy(userId, policyId);
+    const window = InsuranceRenewalService.assertRenewable(policy);
+
+    if (policy.renewal?.payment) {
+      const existing = await Payment.findById(policy.renewal.payment);
+      if (existing?.isOpen() && !existing.isPastExpiry()) {
+        return { policy, payment: existing, window };
+      }
+    }
+
+    const renewal = await InsuranceRenewalService.quote(policy);
+
+    const payment = await Payment.create({
+      product: `Pet insurance renewal (${policy._id})`,
+      userId,
+      amount: renewal.premium.totalPremium,
+      purpose: PAYMENT_PURPOSES.INSURANCE_RENEWAL,
+      reference: policy._id,
+      referenceModel: "Insurance",
+    });
+
+    policy.renewal = { ...renewal, payment: payment._id };
+    await policy.save();
+
+    return { policy, payment, window };
+  }
+
+  /**
+   * Applies a successful renewal payment: the next term starts where the last one
+   * ended (even when paid during the grace period) with the re-quoted pets and premium.
+   * A policy that lapsed while its renewal was being paid is reinstated; a payment that
+   * can't be applied at all is flagged for an admin to refund or reconcile.
+   */
+  static async complete(payment) {
+    // Safe to call again for the same payment: once applied, it's in the renewal history
+    const applied = await Insurance.findOne({ _id: payment.reference, "renewalHistory.payment": payment._id });
+    if (applied) {
+      return applied;
+    }
+
+    const policy = await Insurance.findOne({ _id: payment.reference, "renewal.payment": payment._id });
+    if (!policy) {
+      await Payment.flagForReconciliation(payment._id, "Paid renewal no longer matches the policy's open renewal");
+      return null;
+    }
+
+    if (policy.status === INSURANCE_STATUSES.LAPSED) {
+      policy.transitionTo(INSURANCE_STATUSES.ACTIVE, { note: "Reinstated: renewal paid after the grace period ran out" });
+    } else if (policy.status !== INSURANCE_STATUSES.ACTIVE) {
+      await Payment.flagForReconciliation(payment._id, `Renewal paid but the policy is ${policy.status}`);
+      return null;
+    }
+
+    const previousEndDate = policy.policyEndDate;
+    policy.startPolicyTerm(previousEndDate);
+
+    for (const renewed of policy.renewal.pets) {
+      const pet = policy.pets.find((p) => p.petId === renewed.petId);
+      if (!pet) continue;
+      pet.petAge = String(renewed.ageYears);
+      pet.plan = renewed.plan;
+      pet.quote = null;
+      pet.premium = renewed.premium;
+    }
+    // 📜 The new term is covered on the plans as they read at renewal
+    await policy.snapshotPlanTerms();
+    policy.premium = policy.renewal.premium;
+
+    policy.renewalHistory.push({
+      previousEndDate,
+      startDate: policy.policyStartDate,
+      endDate: policy.policyEndDate,
+      totalPremium: payment.amount,
+      payment: payment._id,
+    });
+    policy.renewal = { pets: undefined, payment: null, quotedAt: null };
+    await policy.save();
+
+    // ✅ An earlier failed attempt to apply it no longer needs an admin
+    await Payment.updateOne(
+      { _id: payment._id, "reconciliation.flagged": true, "reconciliation.reason": { $regex: `^${RENEWAL_NOT_APPLIED}` } },
+      { $set: { "reconciliation.flagged": false, "reconciliation.resolvedAt": new Date() } }
+    );
+
+    return policy;
+  }
+
+  /**
+   * Applies renewals whose payment succeeded but never reached the policy (e.g. the
+   * save after the callback failed). Runs from the scheduled `apply-paid-renewals` job.
+   */
+  static async applyPaidRenewals() {
+    const pendingRenewals = await Insurance.find({ "renewal.payment": { $ne: null } }).select("renewal.payment").lean();
+    const paid = Payment.find({
+      _id: { $in: pendingRenewals.map((policy) => policy.renewal.payment) },
+      purpose: PAYMENT_PURPOSES.INSURANCE_RENEWAL,
+      status: PAYMENT_STATUSES.SUCCESS,
+    }).cursor();
+
+    let applied = 0;
+    for await (const payment of paid) {
+      try {
+        if (await InsuranceRenewalService.complete(payment)) applied += 1;
+      } catch (error) {
+        await Payment.flagForReconciliation(payment._id, `${RENEWAL_NOT_APPLIED}: ${error.message}`);
+      }
+    }
+
+    return applied;
+  }
+}
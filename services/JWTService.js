@@ -1,134 +1,82 @@
-import { ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET } from "../src/config/index.js";
-import { Admin } from "../src/models/admin.model.js";
-import {Venture} from "../src/models/venture.model.js"
-import {User} from "../src/models/user.model.js";
-import { ApiError } from "../src/utils/ApiError.js";
+import { ACCESS_TOKEN_SECRET, REFRESH_TOKEN_SECRET, ACCESS_TOKEN_EXPIRY, REFRESH_TOKEN_EXPIRY } from "../src/config/index.js";
 import jwt from 'jsonwebtoken';
 
+// 🎭 Every token carries one of these in its `role` claim
+export const TOKEN_ROLES = Object.freeze({
+  USER: "user",
+  VENTURE: "venture",
+  ADMIN: "admin",
+});
+
+// 🔐 Short-lived tokens that only prove the password step of an admin login
+export const MFA_PURPOSES = Object.freeze({
+  LOGIN: "mfa-login",
+  ENROLL: "mfa-enroll",
+});
+
+const MFA_TOKEN_EXPIRY = "5m";
+
+const DEFAULT_EXPIRY = {
+  [TOKEN_ROLES.USER]: { access: "1d", refresh: "30d" },
+  [TOKEN_ROLES.VENTURE]: { access: "1h", refresh: "7d" },
+  [TOKEN_ROLES.ADMIN]: { access: "1h", refresh: "7d" },
+};
+
+const assertRole = (decoded, roles) => {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+  if (!allowed.includes(decoded.role)) {
+    throw new jwt.JsonWebTokenError("Token was not issued for this role");
+  }
+  return decoded;
+};
+
 export default class JWTService {
   static signAccessToken(payload, expiryTime = "1d") {
-    console.log(ACCESS_TOKEN_SECRET ,"ACCESS_TOKEN_SECRET");
-    
     return jwt.sign(payload, ACCESS_TOKEN_SECRET, { expiresIn: expiryTime });
   }
 
   static signRefreshToken(payload, expiryTime = "30d") {
-    console.log(REFRESH_TOKEN_SECRET ,"REFRESH_TOKEN_SECRET");
-    
     return jwt.sign(payload, REFRESH_TOKEN_SECRET, { expiresIn: expiryTime });
   }
 
-  static verifyAccessToken(token) {
-    return jwt.verify(token, ACCESS_TOKEN_SECRET);
+  // 🔑 Role-scoped tokens: `_id` is the subject, `role` decides which model it belongs to
+  static signRoleAccessToken(role, subjectId, extraClaims = {}) {
+    return JWTService.signAccessToken(
+      { ...extraClaims, _id: subjectId, role },
+      ACCESS_TOKEN_EXPIRY || DEFAULT_EXPIRY[role].access
+    );
   }
 
-  static verifyRefreshToken(token) {
-    return jwt.verify(token, REFRESH_TOKEN_SECRET);
+  static signRoleRefreshToken(role, subjectId, extraClaims = {}) {
+    return JWTService.signRefreshToken(
+      { ...extraClaims, _id: subjectId, role },
+      REFRESH_TOKEN_EXPIRY || DEFAULT_EXPIRY[role].refresh
+    );
   }
 
-static async storeRefreshToken(token, userId) {
-  try {
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new ApiError(404, "User not found");
+  // Pass `roles` to reject tokens minted for another role
+  static verifyAccessToken(token, roles) {
+    const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
+    if (decoded.purpose) {
+      throw new jwt.JsonWebTokenError("Token cannot be used for API access");
     }
-
-    user.refreshToken = token;
-    await user.save();
-
-    return { success: true };
-  } catch (error) {
-    console.error("Error storing refresh token:", error);
-    throw new ApiError(500, "Failed to store refresh token");
+    return roles ? assertRole(decoded, roles) : decoded;
   }
-}
-
-static async deleteRefreshToken(token) {
-  try {
-    const user = await User.findOne({ refreshToken: token });
-    if (!user) {
-      throw new ApiError(404, "User not found");
-    }
-
-    user.refreshToken = null;
-    await user.save();
 
-    return { success: true };
-  } catch (error) {
-    console.error("Error deleting refresh token:", error);
-    throw new ApiError(500, "Failed to delete refresh token");
+  static signMfaToken(subjectId, purpose) {
+    return JWTService.signAccessToken({ _id: subjectId, role: TOKEN_ROLES.ADMIN, purpose }, MFA_TOKEN_EXPIRY);
   }
-}
 
-static async storeVentureRefreshToken(token, ventureId) {
-  console.log(token,"token 😁" ,ventureId);
-  
-  try {
-    const venture = await Venture.findById(ventureId);
-    if (!venture) {
-      throw new ApiError(404, "Venture not found");
+  static verifyMfaToken(token, purpose) {
+    const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET);
+    if (decoded.purpose !== purpose || decoded.role !== TOKEN_ROLES.ADMIN) {
+      throw new jwt.JsonWebTokenError("Token was not issued for this step");
     }
-
-    venture.refreshToken = token;
-    await venture.save();
-
-    return { success: true };
-  } catch (error) {
-    console.error("Error storing refresh token:", error);
-    throw new ApiError(500, "Failed to store refresh token");
+    return decoded;
   }
-}
-
-static async deleteVentureRefreshToken(token) {
-  try {
-    const venture = await Venture.findOne({ refreshToken: token });
-    if (!venture) {
-      throw new ApiError(404, "Venture not found");
-    }
-
-    venture.refreshToken = null;
-    await venture.save();
 
-    return { success: true };
-  } catch (error) {
-    console.error("Error deleting refresh token:", error);
-    throw new ApiError(500, "Failed to delete refresh token");
+  static verifyRefreshToken(token, roles) {
+    const decoded = jwt.verify(token, REFRESH_TOKEN_SECRET);
+    return roles ? assertRole(decoded, roles) : decoded;
   }
 }
-
-static async storeAdminRefreshToken(token, userId) {
-  try {
-    const user = await Admin.findById(userId);
-    if (!user) {
-      throw new ApiError(404, "User not found");
-    }
-
-    user.refreshToken = token;
-    await user.save();
-
-    return { success: true };
-  } catch (error) {
-    console.error("Error storing refresh token:", error);
-    throw new ApiError(500, "Failed to store refresh token");
-  }
-}
-
-static async deleteAdminRefreshToken(token) {
-  try {
-    const user = await Admin.findOne({ refreshToken: token });
-    if (!user) {
-      throw new ApiError(404, "User not found");
-    }
-
-    user.refreshToken = null;
-    await user.save();
-
-    return { success: true };
-  } catch (error) {
-    console.error("Error deleting refresh token:", error);
-    throw new ApiError(500, "Failed to delete refresh token");
-  }
-}
-
-
-}
\ No newline at end of file
@@ -0,0 +1,153 @@
+import { Jimp } from "jimp";
+import { Insurance, INSURANCE_STATUSES } from "../src/models/pet/insurance.model.js";
+import { ApiError } from "../src/utils/ApiError.js";
+import { NOSE_PRINT_MATCH_THRESHOLD } from "../src/config/index.js";
+
+export const NOSE_PRINT_ALGORITHM = "phash-64";
+
+const MATCH_THRESHOLD = Number(NOSE_PRINT_MATCH_THRESHOLD) || 10;
+
+// 🐾 Pets on these applications no longer count as insured
+const INACTIVE_STATUSES = [INSURANCE_STATUSES.REJECTED, INSURANCE_STATUSES.LAPSED];
+
+const popCount = (n) => {
+  let count = 0;
+  while (n) {
+    count += n & 1;
+    n >>= 1;
+  }
+  return count;
+};
+
+// 🪣 Multi-index lookup: the 64-bit hash is cut into 4 segments of 16 bits. Two prints at
+// most MATCH_THRESHOLD bits apart differ by at most floor(threshold / 4) bits in at least
+// one segment, so probing every segment value that close finds every possible match.
+const SEGMENT_COUNT = 4;
+const SEGMENT_BITS = 16;
+const PROBE_RADIUS = Math.floor(MATCH_THRESHOLD / SEGMENT_COUNT);
+
+const segmentsOf = (hash) =>
+  Array.from({ length: SEGMENT_COUNT }, (_, i) =>
+    parseInt(hash.slice((i * SEGMENT_BITS) / 4, ((i + 1) * SEGMENT_BITS) / 4), 16)
+  );
+
+const bucketKey = (index, value) => `${index}:${value.toString(16).padStart(SEGMENT_BITS / 4, "0")}`;
+
+// Every segment value within `radius` flipped bits of `value`
+const neighbours = (value, radius) => {
+  const seen = new Set([value]);
+  let frontier = [value];
+  for (let step = 0; step < radius; step++) {
+    const next = [];
+    for (const v of frontier) {
+      for (let bit = 0; bit < SEGMENT_BITS; bit++) {
+        const flipped = v ^ (1 << bit);
+        if (!seen.has(flipped)) {
+          seen.add(flipped);
+          next.push(flipped);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return [...seen];
+};
+
+export default class NosePrintService {
+  /**
+   * 64-bit perceptual hash of a nose-print image as 16 hex chars. Runs locally on the
+   * uploaded file, so similar photos of the same nose land a few bits apart.
+   */
+  static async fingerprint(filePath) {
+    let image;
+    try {
+      image = await Jimp.read(filePath);
+    } catch (err) {
+      throw new ApiError(422, "Nose print image could not be read. Upload a JPEG or PNG photo.");
+    }
+
+    const bits = image.pHash();
+    let hash = "";
+    for (let i = 0; i < bits.length; i += 4) {
+      hash += parseInt(bits.slice(i, i + 4), 2).toString(16);
+    }
+    return hash;
+  }
+
+  // 📏 Number of differing bits between two fingerprints
+  static distance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) {
+      bits += popCount(parseInt(a[i], 16) ^ parseInt(b[i], 16));
+    }
+    return bits;
+  }
+
+  static isMatch(a, b) {
+    return NosePrintService.distance(a, b) <= MATCH_THRESHOLD;
+  }
+
+  // 🪣 Bucket keys stored with a fingerprint (`pets.nosePrint.buckets`)
+  static buckets(hash) {
+    return segmentsOf(hash).map((value, index) => bucketKey(index, value));
+  }
+
+  // Bucket keys any fingerprint within the match threshold of `hash` must share at least one of
+  static probeKeys(hash) {
+    return segmentsOf(hash).flatMap((value, index) =>
+      neighbours(value, PROBE_RADIUS).map((candidate) => bucketKey(index, candidate))
+    );
+  }
+
+  /**
+   * Insured pets whose nose print matches `hash`, closest first. `excludePetId` skips
+   * the pet being re-checked so it doesn't match itself. Only applications sharing a
+   * bucket with `hash` are read; the exact distance is then checked on those.
+   */
+  static async findDuplicates(hash, { excludePetId = null } = {}) {
+    const applications = await Insurance.find(
+      { status: { $nin: INACTIVE_STATUSES }, "pets.nosePrint.buckets": { $in: NosePrintService.probeKeys(hash) } },
+      { pets: 1, user: 1, status: 1 }
+    ).lean();
+
+    const matches = [];
+    for (const application of applications) {
+      for (const pet of application.pets) {
+        if (!pet.nosePrint?.hash || pet.petId === excludePetId) continue;
+        const distance = NosePrintService.distance(hash, pet.nosePrint.hash);
+        if (distance <= MATCH_THRESHOLD) {
+          matches.push({ applicationId: application._id, user: application.user, petId: pet.petId, distance });
+        }
+      }
+    }
+
+    return matches.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Fingerprints a newly uploaded nose image and refuses it when the same animal is
+   * already insured. Other pets in `siblings` (the same application) are checked too.
+   */
+  static async register(filePath, { excludePetId = null, siblings = [] } = {}) {
+    const hash = await NosePrintService.fingerprint(filePath);
+
+    const sibling = siblings.find(
+      (pet) => pet.petId !== excludePetId && pet.nosePrint?.hash && NosePrintService.isMatch(hash, pet.nosePrint.hash)
+    );
+    const duplicates = sibling ? [] : await NosePrintService.findDuplicates(hash, { excludePetId });
+
+    if (sibling || duplicates.length > 0) {
+      throw new ApiError(409, "This pet appears to be insured already. Each pet can only be covered once.");
+    }
+
+    return { hash, buckets: NosePrintService.buckets(hash), algorithm: NOSE_PRINT_ALGORITHM, computedAt: new Date() };
+  }
+
+  // 🔍 Compares a fresh photo against the fingerprint recorded for the pet
+  static async verify(storedHash, filePath) {
+    const hash = await NosePrintService.fingerprint(filePath);
+    const distance = NosePrintService.distance(storedHash, hash);
+
+    return { hash, distance, matched: distance <= MATCH_THRESHOLD, checkedAt: new Date() };
+  }
+}
@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import OtpModel from "../src/models/authModel/otpModel.model.js";
+import { ApiError } from "../src/utils/ApiError.js";
+import AuthThrottleService, { lockedError } from "./AuthThrottleService.js";
+import {
+  NODE_ENV,
+  OTP_TEST_MODE,
+  OTP_MASTER_CODE,
+  OTP_EXPIRY_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_MAX_SENDS,
+  OTP_LOCK_MINUTES,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_COUNTER_WINDOW_MINUTES,
+} from "../src/config/index.js";
+import { getSmsProvider } from "./sms/index.js";
+
+const EXPIRY_MS = (Number(OTP_EXPIRY_MINUTES) || 5) * 60 * 1000;
+const MAX_ATTEMPTS = Number(OTP_MAX_ATTEMPTS) || 5;
+const MAX_SENDS = Number(OTP_MAX_SENDS) || 5;
+const LOCK_MS = (Number(OTP_LOCK_MINUTES) || 15) * 60 * 1000;
+const RESEND_COOLDOWN_MS = (Number(OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+const WINDOW_MS = (Number(OTP_COUNTER_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// Counters live in AuthThrottle under this scope, so they outlast each OTP record
+const THROTTLE_SCOPE = "otp";
+const limits = (max) => ({ max, windowMs: WINDOW_MS, lockMs: LOCK_MS });
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+export default class OtpService {
+  // 🧪 The master code is only honoured when test mode is switched on explicitly,
+  // and never in production
+  static isTestMode() {
+    return OTP_TEST_MODE === "true" && NODE_ENV !== "production";
+  }
+
+  static generateOtp() {
+    return crypto.randomInt(1000, 10000).toString();
+  }
+
+  // 🔒 Burns the current code and blocks the identifier for the lock window
+  static async lock(identifier) {
+    await OtpModel.deleteOne({ identifier });
+    return AuthThrottleService.lock(THROTTLE_SCOPE, identifier, LOCK_MS);
+  }
+
+  static async sendOtp(identifier) {
+    const now = new Date();
+    await AuthThrottleService.assertNotLocked(THROTTLE_SCOPE, identifier);
+
+    let otpRecord = await OtpModel.findOne({ identifier });
+    if (otpRecord?.lastSentAt && now - otpRecord.lastSentAt < RESEND_COOLDOWN_MS) {
+      const retryAt = new Date(otpRecord.lastSentAt.getTime() + RESEND_COOLDOWN_MS);
+      throw new ApiError(429, `Please wait ${secondsUntil(retryAt)} second(s) before requesting a new OTP.`);
+    }
+
+    // Sends are counted across OTPs; running out locks the identifier
+    await AuthThrottleService.take(THROTTLE_SCOPE, identifier, "sends", limits(MAX_SENDS));
+
+    const otp = OtpService.generateOtp();
+
+    // Failed attempts are counted separately and survive the resend, only a success or the window ending clears them
+    otpRecord = otpRecord || new OtpModel({ identifier });
+    otpRecord.otp = otp;
+    otpRecord.expiresAt = new Date(now.getTime() + EXPIRY_MS);
+    otpRecord.lastSentAt = now;
+
+    try {
+      await otpRecord.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(429, "An OTP was just requested for this number. Please wait before retrying.");
+      }
+      throw error;
+    }
+
+    try {
+      await getSmsProvider().sendOtp(identifier, otp);
+    } catch (error) {
+      console.error("❌ OTP delivery failed:", error.message);
+      throw new ApiError(502, "Failed to send OTP. Please try again.");
+    }
+
+    return { identifier };
+  }
+
+  static async verifyOtp(identifier, otp) {
+    await AuthThrottleService.assertNotLocked(THROTTLE_SCOPE, identifier);
+
+    const otpRecord = await OtpModel.findOne({ identifier });
+    if (!otpRecord || !otpRecord.otp || new Date() > otpRecord.expiresAt) {
+      throw new ApiError(400, "OTP expired or not found");
+    }
+
+    // ➕ Reserve the attempt before comparing, so parallel guesses can't slip past the limit
+    const { remaining } = await AuthThrottleService.take(THROTTLE_SCOPE, identifier, "attempts", limits(MAX_ATTEMPTS));
+
+    const isMasterOtp = OtpService.isTestMode() && otp === (OTP_MASTER_CODE || "1234");
+    const isOtpValid = isMasterOtp || (await otpRecord.isOtpCorrect(otp));
+
+    if (!isOtpValid) {
+      if (remaining <= 0) {
+        throw lockedError(await OtpService.lock(identifier));
+      }
+      throw new ApiError(400, `Invalid OTP. ${remaining} attempt(s) left.`);
+    }
+
+    // 🧹 Remove the OTP and its counters once used
+    await OtpModel.deleteOne({ _id: otpRecord._id });
+    await AuthThrottleService.clear(THROTTLE_SCOPE, identifier);
+
+    return true;
+  }
+}
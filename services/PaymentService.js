@@ -0,0 +1,308 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Payment, {
+  PAYMENT_PURPOSES,
+  PAYMENT_STATUSES,
+  PAYMENT_EVENT_SOURCES,
+} from "../src/models/payment/payment.model.js";
+import { ApiError } from "../src/utils/ApiError.js";
+import { getPaymentGateway } from "./payment/index.js";
+import InsuranceRenewalService, { RENEWAL_NOT_APPLIED } from "./InsuranceRenewalService.js";
+import { PAYMENT_ATTEMPT_TIMEOUT_MINUTES } from "../src/config/index.js";
+
+const ATTEMPT_TIMEOUT_MS = (Number(PAYMENT_ATTEMPT_TIMEOUT_MINUTES) || 15) * 60 * 1000;
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+// PhonePe allows up to 35 characters: "FP" + time + random keeps ours unique and sortable
+const newMerchantTransactionId = () =>
+  `FP${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+
+const isVersionConflict = (error) => error instanceof mongoose.Error.VersionError;
+
+const originOf = (url) => {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch {
+    return null;
+  }
+};
+
+// Transaction ids still worth asking the gateway about (payments from before attempts were kept have just the one)
+const openAttemptIds = (payment) =>
+  payment.attempts.length > 0
+    ? payment.attempts.filter((attempt) => attempt.outcome === PAYMENT_STATUSES.PENDING).map((a) => a.merchantTransactionId)
+    : [payment.merchantTransactionId].filter(Boolean);
+
+// 🔄 A paid renewal moves the policy on to its next term. The payment is already saved as
+// paid, so a failure here is flagged rather than thrown; the `apply-paid-renewals` job
+// (or an admin re-check) applies it later.
+const afterSuccess = async (payment) => {
+  if (payment.purpose !== PAYMENT_PURPOSES.INSURANCE_RENEWAL) return;
+
+  try {
+    await InsuranceRenewalService.complete(payment);
+  } catch (error) {
+    await Payment.flagForReconciliation(payment._id, `${RENEWAL_NOT_APPLIED}: ${error.message}`);
+  }
+};
+
+// Whether a gateway outcome may move the payment: normally only from pending,
+// plus a late success on one we had already expired
+const settles = (payment, outcome) =>
+  outcome !== PAYMENT_STATUSES.PENDING &&
+  (payment.status === PAYMENT_STATUSES.PENDING ||
+    (payment.status === PAYMENT_STATUSES.EXPIRED && outcome === PAYMENT_STATUSES.SUCCESS));
+
+const applyTo = async (payment, result, source) => {
+  const now = new Date();
+  const attempt = payment.findAttempt(result.merchantTransactionId);
+  const isLatest = !attempt || attempt === payment.attempts.at(-1);
+  const previousOutcome = attempt ? attempt.outcome : payment.status;
+
+  if (attempt) {
+    attempt.outcome = result.outcome;
+    attempt.gatewayCode = result.code;
+    attempt.checkedAt = now;
+    if (result.gatewayTransactionId) attempt.gatewayTransactionId = result.gatewayTransactionId;
+  }
+  payment.lastCheckedAt = now;
+  if (isLatest) payment.gatewayCode = result.code;
+
+  // An earlier attempt failing doesn't fail the payment: a newer one may still go through
+  const counts = isLatest || result.outcome === PAYMENT_STATUSES.SUCCESS;
+
+  if (!counts || !settles(payment, result.outcome)) {
+    await payment.save();
+    if (result.outcome === PAYMENT_STATUSES.SUCCESS && previousOutcome !== PAYMENT_STATUSES.SUCCESS) {
+      // 💸 Money came in on a payment that's already settled, e.g. a second attempt paid too
+      await Payment.flagForReconciliation(
+        payment._id,
+        `${payment.gateway} reports ${result.merchantTransactionId} paid, but the payment is already ${payment.status}; refund it`
+      );
+    } else if (counts && result.outcome !== PAYMENT_STATUSES.PENDING && result.outcome !== payment.status) {
+      console.error(`❌ Payment ${payment._id} is ${payment.status} but ${payment.gateway} now reports ${result.outcome}; needs reconciling`);
+    }
+    return payment;
+  }
+
+  if (result.outcome === PAYMENT_STATUSES.SUCCESS && result.amountPaise !== null && result.amountPaise !== toPaise(payment.amount)) {
+    await payment.save();
+    await Payment.flagForReconciliation(
+      payment._id,
+      `${payment.gateway} reported ${result.amountPaise} paise for ${result.merchantTransactionId}, expected ${toPaise(payment.amount)}`
+    );
+    return payment;
+  }
+
+  if (result.gatewayTransactionId) payment.gatewayTransactionId = result.gatewayTransactionId;
+  payment.transitionTo(result.outcome, { source, gatewayCode: result.code });
+  await payment.save();
+
+  if (payment.status === PAYMENT_STATUSES.SUCCESS) {
+    await afterSuccess(payment);
+  }
+  return payment;
+};
+
+export default class PaymentService {
+  /**
+   * Where the customer lands after the pay page. A client-supplied page must be on the
+   * same origin as REDIRECT_URL, so checkout can't be used to bounce users elsewhere.
+   */
+  static landingUrl(redirectUrl) {
+    const gateway = getPaymentGateway();
+    if (!redirectUrl) return gateway.redirectUrl;
+
+    const allowed = gateway.redirectUrl && originOf(gateway.redirectUrl);
+    if (!allowed || originOf(redirectUrl) !== allowed) {
+      throw new ApiError(400, "redirectUrl must point to one of our own pages");
+    }
+    return redirectUrl;
+  }
+
+  /**
+   * Sends the customer to the gateway for an open payment. Each attempt gets its own
+   * merchant transaction id (kept in `attempts`) and a fresh expiry, so an abandoned
+   * pay page can be retried. The earlier attempts are checked with the gateway first,
+   * and one still in progress blocks a new attempt for PAYMENT_ATTEMPT_TIMEOUT_MINUTES,
+   * so the customer isn't charged twice.
+   */
+  static async checkout(payment, user, { redirectUrl } = {}) {
+    const gateway = getPaymentGateway();
+    const landing = PaymentService.landingUrl(redirectUrl);
+
+    payment = await PaymentService.refresh(payment);
+    if (!payment.isOpen()) {
+      throw new ApiError(409, `This payment is already ${payment.status}`);
+    }
+
+    const inProgress = payment.attempts.find(
+      (attempt) =>
+        attempt.outcome === PAYMENT_STATUSES.PENDING && Date.now() - attempt.startedAt.getTime() < ATTEMPT_TIMEOUT_MS
+    );
+    if (inProgress) {
+      throw new ApiError(409, "Your last payment attempt is still being processed. Check its status before paying again.");
+    }
+
+    const merchantTransactionId = newMerchantTransactionId();
+
+    payment.gateway = gateway.name;
+    payment.merchantTransactionId = merchantTransactionId;
+    payment.attempts.push({ merchantTransactionId });
+    payment.gatewayCode = null;
+    payment.extendExpiry();
+    // From here the gateway may report on this transaction, so the payment is pending before the call goes out
+    if (payment.status === PAYMENT_STATUSES.CREATED) {
+      payment.transitionTo(PAYMENT_STATUSES.PENDING, {
+        source: PAYMENT_EVENT_SOURCES.SYSTEM,
+        note: `Sent to ${gateway.name} checkout`,
+        actorId: user._id,
+        actorModel: "User",
+      });
+    }
+    await payment.save();
+
+    let payPageUrl;
+    let code;
+    try {
+      ({ payPageUrl, code } = await gateway.initiate({
+        merchantTransactionId,
+        merchantUserId: user._id.toString(),
+        amountPaise: toPaise(payment.amount),
+        mobileNumber: user.phoneNumber,
+        redirectUrl: landing ? `${landing}${landing.includes("?") ? "&" : "?"}paymentId=${payment._id}` : undefined,
+      }));
+    } catch (error) {
+      // 🚫 The customer never got a pay page for this attempt, so it can't block a retry
+      await Payment.updateOne(
+        { _id: payment._id, attempts: { $elemMatch: { merchantTransactionId, outcome: PAYMENT_STATUSES.PENDING } } },
+        { $set: { "attempts.$.outcome": PAYMENT_STATUSES.FAILED, "attempts.$.checkedAt": new Date() } }
+      );
+      throw error;
+    }
+
+    payment.gatewayCode = code;
+    payment.findAttempt(merchantTransactionId).gatewayCode = code;
+    try {
+      await payment.save();
+    } catch (error) {
+      if (!isVersionConflict(error)) throw error;
+      payment = await Payment.findById(payment._id); // a result beat us to it; keep what it wrote
+    }
+
+    return { payment, payPageUrl };
+  }
+
+  /**
+   * Applies a gateway result to the payment owning the attempt. Only a pending payment
+   * settles, so a late or repeated result can't flip a settled one; a success whose
+   * amount doesn't match, or that lands on an already settled payment, is flagged for
+   * an admin to reconcile.
+   * When a callback and a status poll race, the loser re-reads and tries once more.
+   */
+  static async applyResult(result, source) {
+    for (let attempt = 1; ; attempt++) {
+      const payment = await Payment.findOne({
+        $or: [
+          { "attempts.merchantTransactionId": result.merchantTransactionId },
+          { merchantTransactionId: result.merchantTransactionId },
+        ],
+      });
+      if (!payment) {
+        throw new ApiError(404, "No payment for this transaction");
+      }
+
+      try {
+        return await applyTo(payment, result, source);
+      } catch (error) {
+        if (!isVersionConflict(error) || attempt >= 2) throw error;
+      }
+    }
+  }
+
+  static async handleCallback(body, xVerify) {
+    const result = getPaymentGateway().parseCallback(body, xVerify);
+    return PaymentService.applyResult(result, PAYMENT_EVENT_SOURCES.GATEWAY_CALLBACK);
+  }
+
+  /**
+   * Brings an open payment up to date: asks the gateway about every attempt still
+   * pending in case a callback was missed, then expires it if it's still unpaid past `expiresAt`. Settled payments
+   * come back untouched.
+   */
+  static async refresh(payment) {
+    if (!payment.isOpen()) {
+      return payment;
+    }
+
+    if (payment.status === PAYMENT_STATUSES.PENDING) {
+      for (const merchantTransactionId of openAttemptIds(payment)) {
+        const result = await getPaymentGateway().fetchStatus(merchantTransactionId);
+        payment = await PaymentService.applyResult(
+          { ...result, merchantTransactionId },
+          PAYMENT_EVENT_SOURCES.GATEWAY_STATUS
+        );
+        if (!payment.isOpen()) break;
+      }
+    }
+
+    if (payment.isOpen() && payment.isPastExpiry()) {
+      payment.transitionTo(PAYMENT_STATUSES.EXPIRED, {
+        source: PAYMENT_EVENT_SOURCES.SYSTEM,
+        note: "Not paid in time",
+      });
+      try {
+        await payment.save();
+      } catch (error) {
+        if (!isVersionConflict(error)) throw error;
+        return Payment.findById(payment._id);
+      }
+    }
+
+    return payment;
+  }
+
+  /**
+   * Admin reconciliation. Without a status it re-checks the gateway (and retries a paid
+   * renewal that never reached its policy); with one
+   * it records the admin's decision (e.g. a refund issued from the PhonePe dashboard)
+   * through the same transition rules, with their note on the event.
+   */
+  static async reconcile(payment, { status, note, gatewayTransactionId, adminId }) {
+    if (!status) {
+      payment = await PaymentService.refresh(payment);
+      // A paid renewal that didn't reach the policy is applied again (a no-op once it has)
+      if (payment.status === PAYMENT_STATUSES.SUCCESS) {
+        await afterSuccess(payment);
+      }
+      return payment;
+    }
+
+    payment.transitionTo(status, {
+      source: PAYMENT_EVENT_SOURCES.ADMIN,
+      note,
+      actorId: adminId,
+      actorModel: "Admin",
+    });
+    if (gatewayTransactionId) payment.gatewayTransactionId = gatewayTransactionId;
+    if (payment.reconciliation?.flagged) {
+      payment.reconciliation.flagged = false;
+      payment.reconciliation.resolvedAt = new Date();
+      payment.reconciliation.resolvedBy = adminId;
+    }
+
+    try {
+      await payment.save();
+    } catch (error) {
+      if (!isVersionConflict(error)) throw error;
+      throw new ApiError(409, "The payment changed while you were reconciling it; reload and try again");
+    }
+
+    if (payment.status === PAYMENT_STATUSES.SUCCESS) {
+      await afterSuccess(payment);
+    }
+    return payment;
+  }
+}
@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import PDFDocument from "pdfkit";
+import { INSURANCE_STATUSES } from "../src/models/pet/insurance.model.js";
+import { ApiError } from "../src/utils/ApiError.js";
+
+// 📄 A schedule only exists once the application has been approved
+const DOCUMENT_STATUSES = [INSURANCE_STATUSES.APPROVED, INSURANCE_STATUSES.ACTIVE, INSURANCE_STATUSES.LAPSED];
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" }) : "-";
+
+// "Rs." rather than "₹": the built-in PDF fonts have no rupee glyph
+const formatAmount = (amount) =>
+  amount === null || amount === undefined ? "-" : `Rs. ${Number(amount).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const sectionTitle = (doc, title) => {
+  doc.moveDown(0.8).font("Helvetica-Bold").fontSize(13).text(title);
+  doc.moveTo(doc.x, doc.y + 2).lineTo(doc.page.width - doc.page.margins.right, doc.y + 2).stroke();
+  doc.moveDown(0.5).font("Helvetica").fontSize(10);
+};
+
+const row = (doc, label, value) => {
+  doc.font("Helvetica-Bold").text(`${label}: `, { continued: true }).font("Helvetica").text(String(value ?? "-"));
+};
+
+export default class PolicyDocumentService {
+  /**
+   * Renders the policy schedule: holder, every pet with its plan cover and premium,
+   * and the policy premium summary. Cover comes from each pet's `planTerms`, the
+   * snapshot claims are assessed against, never the plan as it reads today.
+   * Resolves with the PDF as a Buffer.
+   */
+  static async render(policy) {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `Policy Schedule ${policy.policyNumber}` } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+    });
+
+    // 🏷️ Header
+    doc.font("Helvetica-Bold").fontSize(18).text("Fint Pet Insurance", { align: "center" });
+    doc.font("Helvetica").fontSize(12).text("Policy Schedule", { align: "center" });
+    doc.moveDown();
+    doc.fontSize(10);
+    row(doc, "Policy number", policy.policyNumber);
+    row(doc, "Status", policy.status.replace(/_/g, " "));
+    row(doc, "Period of cover", policy.policyStartDate
+      ? `${formatDate(policy.policyStartDate)} to ${formatDate(policy.policyEndDate)}`
+      : "Starts when the policy is activated");
+    row(doc, "Issued on", formatDate(new Date()));
+
+    // 👤 Policy holder
+    sectionTitle(doc, "Policy Holder");
+    row(doc, "Name", policy.name);
+    row(doc, "Phone", policy.phoneNumber);
+    row(doc, "Email", policy.email);
+    row(doc, "Address", `${policy.address}, ${policy.pinCode}`);
+
+    // 🐾 One block per pet
+    policy.pets.forEach((pet, index) => {
+      const plan = pet.planTerms;
+
+      sectionTitle(doc, `Pet ${index + 1}: ${pet.petName || "Unnamed"}`);
+      row(doc, "Pet ID", pet.petId);
+      row(doc, "Species / breed", `${pet.petSpecies || "-"} / ${pet.petBreed || "-"}`);
+      row(doc, "Age (years)", pet.petAge);
+      row(doc, "Nose print on file", pet.nosePrint?.hash ? "Yes" : "No");
+
+      if (!plan) {
+        doc.moveDown(0.3).font("Helvetica-Oblique").text("No plan attached to this pet.").font("Helvetica");
+        return;
+      }
+
+      row(doc, "Plan", `${plan.name} (${plan.code})`);
+      row(doc, "Sum insured", formatAmount(plan.sumInsured));
+      row(doc, "Deductible", formatAmount(plan.deductible));
+      row(doc, "Annual premium (before tax)", formatAmount(pet.premium?.netPremium));
+
+      if (plan.coverageItems.length) {
+        doc.moveDown(0.3).font("Helvetica-Bold").text("Coverage").font("Helvetica");
+        plan.coverageItems.forEach((item) => doc.text(`  - ${item.name}: up to ${formatAmount(item.limit)}`));
+      }
+      if (plan.waitingPeriods.length) {
+        doc.moveDown(0.3).font("Helvetica-Bold").text("Waiting periods").font("Helvetica");
+        plan.waitingPeriods.forEach((wp) => doc.text(`  - ${wp.condition}: ${wp.days} days`));
+      }
+      if (plan.exclusions.length) {
+        doc.moveDown(0.3).font("Helvetica-Bold").text("Exclusions").font("Helvetica");
+        plan.exclusions.forEach((exclusion) => doc.text(`  - ${exclusion}`));
+      }
+    });
+
+    // 💰 Premium summary
+    const premium = policy.premium || {};
+    sectionTitle(doc, "Premium");
+    row(doc, "Gross premium", formatAmount(premium.grossPremium));
+    if (premium.multiPetDiscount) {
+      row(doc, `Multi-pet discount (${Math.round(premium.multiPetDiscountRate * 100)}%)`, `- ${formatAmount(premium.multiPetDiscount)}`);
+    }
+    row(doc, "Net premium", formatAmount(premium.netPremium));
+    row(doc, "GST", formatAmount(premium.tax));
+    doc.font("Helvetica-Bold").fontSize(11).text(`Total premium: ${formatAmount(premium.totalPremium)}`);
+
+    doc.moveDown(2).font("Helvetica-Oblique").fontSize(8).text(
+      "This schedule forms part of your policy. Cover is subject to the plan terms, waiting periods and exclusions listed above.",
+      { align: "center" }
+    );
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * Renders the schedule for download. Nothing is stored: the PDF is rebuilt from the
+   * policy each time, so it always matches the cover on record (and works on hosts
+   * without a writable disk).
+   */
+  static async generate(policy) {
+    if (!DOCUMENT_STATUSES.includes(policy.status)) {
+      throw new ApiError(409, "The policy document is available once the application is approved");
+    }
+
+    // Applications approved before policy numbers or plan snapshots existed get them now
+    const missingTerms = policy.pets.some((pet) => pet.plan && !pet.planTerms);
+    if (!policy.policyNumber || missingTerms) {
+      if (!policy.policyNumber) {
+        policy.policyNumber = `FPI-${new Date().getFullYear()}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+      }
+      if (missingTerms) {
+        await policy.snapshotPlanTerms();
+      }
+      await policy.save();
+    }
+
+    const pdf = await PolicyDocumentService.render(policy);
+    return { fileName: `${policy.policyNumber}.pdf`, pdf };
+  }
+}
@@ -0,0 +1,250 @@
+import mongoose from "mongoose";
+import { InsurancePlan } from "../src/models/pet/insurancePlan.model.js";
+import { InsuranceQuote, QUOTE_STATUSES } from "../src/models/pet/insuranceQuote.model.js";
+import { AppSetting, SETTING_KEYS } from "../src/models/settings/appSetting.model.js";
+import { DEFAULT_RATING_FACTORS } from "../src/config/insuranceRating.js";
+import { ApiError } from "../src/utils/ApiError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const sameText = (a, b) => a?.trim().toLowerCase() === b?.trim().toLowerCase();
+
+export default class PremiumQuoteService {
+  // ⚙️ Defaults from config with any admin overrides laid on top
+  static async getRatingFactors() {
+    const overrides = await AppSetting.getValue(SETTING_KEYS.INSURANCE_RATING_FACTORS, {});
+    return { ...DEFAULT_RATING_FACTORS, ...(overrides || {}) };
+  }
+
+  // 📍 Longest matching pin prefix wins, so "4000" can be priced apart from "400"
+  static resolveZone(pinCode, factors) {
+    let match = null;
+    for (const zone of factors.zones || []) {
+      for (const prefix of zone.pinPrefixes || []) {
+        if (pinCode.startsWith(prefix) && (!match || prefix.length > match.prefix.length)) {
+          match = { zone, prefix };
+        }
+      }
+    }
+    return match ? match.zone : factors.defaultZone;
+  }
+
+  /**
+   * Prices one pet on a plan. Returns the itemised breakdown without saving anything;
+   * throws a 422 when the plan can't cover the pet.
+   */
+  static price({ plan, species, breed, ageYears, pinCode }, factors) {
+    if (!plan.species.includes(species)) {
+      throw new ApiError(422, `${plan.name} does not cover ${species}s`);
+    }
+
+    const rate = plan.findPremiumRate({ species, breed, ageYears });
+    if (!rate) {
+      throw new ApiError(422, `${plan.name} has no premium for a ${ageYears} year old ${breed}`);
+    }
+
+    const base = rate.annualPremium;
+    const lineItems = [
+      { code: "BASE", label: `${plan.name} base premium`, type: "base", rate: null, amount: base },
+    ];
+
+    // 📈 Loadings are all worked out on the base premium
+    const zone = PremiumQuoteService.resolveZone(pinCode, factors);
+    if (zone && zone.factor !== 1) {
+      lineItems.push({
+        code: `ZONE_${zone.zone.toUpperCase()}`,
+        label: zone.label,
+        type: zone.factor > 1 ? "loading" : "discount",
+        rate: roundAmount(zone.factor - 1),
+        amount: roundAmount(base * (zone.factor - 1)),
+      });
+    }
+
+    for (const loading of factors.breedLoadings || []) {
+      if (loading.breeds.some((b) => sameText(b, breed))) {
+        lineItems.push({ code: loading.code, label: loading.label, type: "loading", rate: loading.rate, amount: roundAmount(base * loading.rate) });
+      }
+    }
+
+    for (const loading of factors.ageLoadings || []) {
+      if (loading.species === species && ageYears >= loading.minAgeYears) {
+        lineItems.push({ code: loading.code, label: loading.label, type: "loading", rate: loading.rate, amount: roundAmount(base * loading.rate) });
+      }
+    }
+
+    // 🎁 Discounts come off the loaded premium
+    const loaded = lineItems.reduce((sum, item) => sum + item.amount, 0);
+    for (const discount of factors.discounts || []) {
+      lineItems.push({ code: discount.code, label: discount.label, type: "discount", rate: discount.rate, amount: -roundAmount(loaded * discount.rate) });
+    }
+
+    const netPremium = roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const tax = roundAmount(netPremium * (factors.taxRate || 0));
+    if (tax > 0) {
+      lineItems.push({ code: "GST", label: "GST", type: "tax", rate: factors.taxRate, amount: tax });
+    }
+
+    return {
+      zone: zone?.zone || null,
+      lineItems,
+      basePremium: base,
+      netPremium,
+      tax,
+      totalPremium: roundAmount(netPremium + tax),
+    };
+  }
+
+  // 🐾 Pre-tax price for one pet on an application; tax is charged once on the policy total
+  static pricePet(pet, { plan, pinCode }, factors) {
+    if (!pet.petSpecies) {
+      throw new ApiError(422, `Set the species for ${pet.petName || "this pet"} before choosing a plan`);
+    }
+
+    const pricing = PremiumQuoteService.price(
+      { plan, species: pet.petSpecies, breed: pet.petBreed, ageYears: Number(pet.petAge), pinCode },
+      factors
+    );
+
+    return {
+      basePremium: pricing.basePremium,
+      netPremium: pricing.netPremium,
+      lineItems: pricing.lineItems.filter((item) => item.type !== "tax"),
+      pricedAt: new Date(),
+    };
+  }
+
+  /**
+   * Policy totals for an application: the sum of every priced pet, less the best
+   * multi-pet discount tier the number of insured pets qualifies for, plus tax.
+   */
+  static summarisePremium(pets, factors) {
+    const insured = pets.filter((pet) => pet.plan && pet.premium);
+    if (insured.length === 0) {
+      return { grossPremium: null, multiPetDiscount: 0, multiPetDiscountRate: 0, netPremium: null, tax: null, totalPremium: null, currency: "INR" };
+    }
+
+    const grossPremium = roundAmount(insured.reduce((sum, pet) => sum + pet.premium.netPremium, 0));
+
+    const tier = (factors.multiPetDiscounts || [])
+      .filter((rule) => insured.length >= rule.minPets)
+      .sort((a, b) => b.minPets - a.minPets)[0];
+    const multiPetDiscountRate = tier ? tier.rate : 0;
+    const multiPetDiscount = roundAmount(grossPremium * multiPetDiscountRate);
+
+    const netPremium = roundAmount(grossPremium - multiPetDiscount);
+    const tax = roundAmount(netPremium * (factors.taxRate || 0));
+
+    return {
+      grossPremium,
+      multiPetDiscount,
+      multiPetDiscountRate,
+      netPremium,
+      tax,
+      totalPremium: roundAmount(netPremium + tax),
+      currency: "INR",
+    };
+  }
+
+  static async refreshApplicationPremium(application) {
+    const factors = await PremiumQuoteService.getRatingFactors();
+    application.premium = PremiumQuoteService.summarisePremium(application.pets, factors);
+    return application;
+  }
+
+  static async createQuote(userId, { planId, species, breed, ageYears, pinCode }) {
+    if (!mongoose.Types.ObjectId.isValid(planId)) {
+      throw new ApiError(400, "Invalid plan ID");
+    }
+
+    const plan = await InsurancePlan.findOne({ _id: planId, status: "active" });
+    if (!plan) {
+      throw new ApiError(404, "Insurance plan not found");
+    }
+
+    const factors = await PremiumQuoteService.getRatingFactors();
+    const pricing = PremiumQuoteService.price({ plan, species, breed, ageYears, pinCode }, factors);
+
+    return InsuranceQuote.create({
+      user: userId,
+      plan: plan._id,
+      planSnapshot: {
+        name: plan.name,
+        code: plan.code,
+        sumInsured: plan.sumInsured,
+        deductible: plan.deductible,
+      },
+      pet: { species, breed, ageYears },
+      pinCode,
+      ...pricing,
+      validUntil: new Date(Date.now() + (factors.validityDays || 15) * DAY_MS),
+    });
+  }
+
+  // ⌛ Quotes past their validity window are marked expired when someone looks at them
+  static expireStale(filter = {}) {
+    return InsuranceQuote.updateMany(
+      {
+        ...filter,
+        status: { $in: [QUOTE_STATUSES.QUOTED, QUOTE_STATUSES.ACCEPTED] },
+        validUntil: { $lte: new Date() },
+      },
+      { $set: { status: QUOTE_STATUSES.EXPIRED } }
+    );
+  }
+
+  static async accept(userId, quoteId) {
+    if (!mongoose.Types.ObjectId.isValid(quoteId)) {
+      throw new ApiError(400, "Invalid quote ID");
+    }
+
+    await PremiumQuoteService.expireStale({ _id: quoteId });
+
+    const quote = await InsuranceQuote.findOne({ _id: quoteId, user: userId });
+    if (!quote) {
+      throw new ApiError(404, "Quote not found");
+    }
+    if (quote.status === QUOTE_STATUSES.ACCEPTED) {
+      return quote;
+    }
+    if (quote.status !== QUOTE_STATUSES.QUOTED) {
+      throw new ApiError(409, `Quote is ${quote.status} and can no longer be accepted`);
+    }
+
+    quote.status = QUOTE_STATUSES.ACCEPTED;
+    quote.acceptedAt = new Date();
+    return quote.save();
+  }
+
+  /**
+   * Atomically marks an accepted, unexpired quote as bound to `applicationId`.
+   * Only one application can ever win a given quote.
+   */
+  static async bind(userId, quoteId, applicationId) {
+    if (!mongoose.Types.ObjectId.isValid(quoteId)) {
+      throw new ApiError(400, "Invalid quote ID");
+    }
+
+    await PremiumQuoteService.expireStale({ _id: quoteId });
+
+    const quote = await InsuranceQuote.findOneAndUpdate(
+      { _id: quoteId, user: userId, status: QUOTE_STATUSES.ACCEPTED, validUntil: { $gt: new Date() } },
+      { $set: { status: QUOTE_STATUSES.BOUND, application: applicationId } },
+      { new: true }
+    );
+    if (!quote) {
+      throw new ApiError(409, "Quote must be accepted and still valid to apply with it");
+    }
+
+    return quote;
+  }
+
+  // ↩️ Frees a quote again when the application it was bound to couldn't be saved
+  static release(quoteId) {
+    return InsuranceQuote.updateOne(
+      { _id: quoteId, status: QUOTE_STATUSES.BOUND },
+      { $set: { status: QUOTE_STATUSES.ACCEPTED, application: null } }
+    );
+  }
+}
@@ -0,0 +1,62 @@
+import { User } from "../src/models/user.model.js";
+import { getPushTransport } from "./push/index.js";
+
+// FCM accepts at most 500 tokens per multicast
+const BATCH_SIZE = 500;
+
+// 🗑️ FCM error codes meaning the token will never work again
+const DEAD_TOKEN_ERRORS = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+export default class PushNotificationService {
+  /**
+   * Sends one notification to every device of the given users, in batches.
+   * Tokens FCM reports as dead are pulled from `User.firebaseTokens`; other
+   * failures (quota, outages) are only counted so the token gets another chance.
+   * A batch that throws is counted as failed and the rest still go out.
+   */
+  static async sendToUsers(userIds, { title, body, data = {} }) {
+    const users = await User.find({ _id: { $in: userIds }, "firebaseTokens.0": { $exists: true } })
+      .select("firebaseTokens");
+    const tokens = [...new Set(users.flatMap((user) => user.firebaseTokens).filter(Boolean))];
+
+    const summary = { users: users.length, tokens: tokens.length, sent: 0, failed: 0, pruned: 0 };
+    if (tokens.length === 0) return summary;
+
+    // FCM data values must be strings
+    const payloadData = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]));
+
+    const transport = getPushTransport();
+    const deadTokens = [];
+
+    for (let start = 0; start < tokens.length; start += BATCH_SIZE) {
+      const batch = tokens.slice(start, start + BATCH_SIZE);
+      try {
+        const { results } = await transport.sendMulticast({ tokens: batch, title, body, data: payloadData });
+        for (const result of results) {
+          if (result.success) {
+            summary.sent += 1;
+          } else {
+            summary.failed += 1;
+            if (DEAD_TOKEN_ERRORS.includes(result.errorCode)) deadTokens.push(result.token);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Push batch of ${batch.length} failed:`, error.message);
+        summary.failed += batch.length;
+      }
+    }
+
+    if (deadTokens.length) {
+      await User.updateMany(
+        { firebaseTokens: { $in: deadTokens } },
+        { $pull: { firebaseTokens: { $in: deadTokens } } }
+      );
+      summary.pruned = deadTokens.length;
+    }
+
+    return summary;
+  }
+}
@@ -0,0 +1,152 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import JWTService from './JWTService.js';
+import { Session } from '../src/models/authModel/session.model.js';
+import { ApiError } from '../src/utils/ApiError.js';
+
+const SUBJECT_MODELS = {
+  user: 'User',
+  venture: 'Venture',
+  admin: 'Admin',
+};
+
+const clientInfo = (req) => ({
+  deviceId: req.header('x-device-id') || req.body?.deviceId || null,
+  userAgent: req.header('user-agent') || null,
+  ip: req.ip || null,
+});
+
+const refreshExpiry = (refreshToken) => new Date(jwt.decode(refreshToken).exp * 1000);
+
+export default class SessionService {
+  // 🔑 Access and refresh tokens both carry the session id; the refresh token also
+  // carries the id of this particular rotation
+  static mintTokens(session) {
+    const claims = { sid: session._id.toString() };
+    return {
+      accessToken: JWTService.signRoleAccessToken(session.role, session.subject, claims),
+      refreshToken: JWTService.signRoleRefreshToken(session.role, session.subject, {
+        ...claims,
+        jti: session.refreshTokenId,
+      }),
+    };
+  }
+
+  // ➕ Starts a new session (one per device login) and returns its first token pair
+  static async create(role, subjectId, req) {
+    const session = new Session({
+      subject: subjectId,
+      subjectModel: SUBJECT_MODELS[role],
+      role,
+      refreshTokenId: uuidv4(),
+      ...clientInfo(req),
+      expiresAt: new Date(),
+    });
+
+    const tokens = SessionService.mintTokens(session);
+    session.expiresAt = refreshExpiry(tokens.refreshToken);
+    await session.save();
+
+    return { session, ...tokens };
+  }
+
+  // 🔄 Exchanges a verified refresh token for a new pair. Only the latest token of a
+  // session may be used; presenting an older one means it was copied, so the whole
+  // session is revoked.
+  static async rotate(decoded, req) {
+    if (!decoded.sid || !decoded.jti) {
+      throw new ApiError(401, 'Session expired. Please log in again.');
+    }
+
+    const { userAgent, ip } = clientInfo(req);
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        role: decoded.role,
+        subject: decoded._id,
+        refreshTokenId: decoded.jti,
+        revokedAt: null,
+      },
+      { $set: { refreshTokenId: uuidv4(), lastUsedAt: new Date(), userAgent, ip } },
+      { new: true }
+    );
+
+    if (!session) {
+      const existing = await Session.findById(decoded.sid);
+      if (existing && !existing.revokedAt) {
+        existing.revokedAt = new Date();
+        existing.revokedReason = 'reuse_detected';
+        await existing.save();
+        console.warn(`🚨 Refresh token reuse detected on session ${existing._id} (${existing.role} ${existing.subject})`);
+        throw new ApiError(401, 'Refresh token reuse detected. This session has been logged out.');
+      }
+      throw new ApiError(401, 'Session expired. Please log in again.');
+    }
+
+    const tokens = SessionService.mintTokens(session);
+    session.expiresAt = refreshExpiry(tokens.refreshToken);
+    await session.save();
+
+    return { session, ...tokens };
+  }
+
+  static async isActive(sessionId) {
+    return Boolean(
+      await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    );
+  }
+
+  static async list(role, subjectId) {
+    return Session.find({
+      role,
+      subject: subjectId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  static async revoke(role, subjectId, sessionId, reason = 'revoked') {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new ApiError(404, 'Session not found');
+    }
+
+    const result = await Session.updateOne(
+      { _id: sessionId, role, subject: subjectId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new ApiError(404, 'Session not found');
+    }
+  }
+
+  static async revokeAll(role, subjectId, reason = 'revoked') {
+    await Session.updateMany(
+      { role, subject: subjectId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  // Same, for many subjects at once (e.g. every admin who hasn't enrolled in 2FA)
+  static async revokeAllFor(role, subjectIds, reason = 'revoked') {
+    if (subjectIds.length === 0) return;
+    await Session.updateMany(
+      { role, subject: { $in: subjectIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  // 📋 Shape returned by the list-sessions endpoints
+  static toResponse(session, currentSessionId) {
+    return {
+      id: session._id,
+      deviceId: session.deviceId,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.toString() === currentSessionId,
+    };
+  }
+}
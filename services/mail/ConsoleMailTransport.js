@@ -0,0 +1,11 @@
+// 🖥️ Dev stand-in: prints outgoing mail to the server log
+export default class ConsoleMailTransport {
+  constructor() {
+    this.name = "console";
+  }
+
+  async sendMail({ to, subject, text }) {
+    console.log(`📧 [mail:console] To: ${to}\nSubject: ${subject}\n\n${text}`);
+    return { delivered: true };
+  }
+}
@@ -0,0 +1,19 @@
+import fs from "fs/promises";
+import path from "path";
+
+// 📄 Dev/test stand-in: appends every outgoing mail as a JSON line to a file
+export default class FileMailTransport {
+  constructor(filePath = "./logs/mail.log") {
+    this.name = "file";
+    this.filePath = filePath;
+  }
+
+  async sendMail(message) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(
+      this.filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+    );
+    return { delivered: true };
+  }
+}
@@ -0,0 +1,32 @@
+import axios from "axios";
+
+// 🌐 Production adapter for a transactional mail HTTP API that accepts
+// { from, to, subject, text, html } as JSON with a bearer API key
+export default class HttpMailTransport {
+  constructor({ apiUrl, apiKey, from }) {
+    if (!apiUrl || !apiKey) {
+      throw new Error("MAIL_API_URL and MAIL_API_KEY are required for the http mail transport");
+    }
+
+    this.name = "http";
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  async sendMail({ to, subject, text, html }) {
+    const response = await axios.post(
+      this.apiUrl,
+      { from: this.from, to, subject, text, html },
+      {
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 10000,
+      }
+    );
+
+    return { delivered: true, providerRef: response.data?.id };
+  }
+}
@@ -0,0 +1,39 @@
+import {
+  NODE_ENV,
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  MAIL_FILE_PATH,
+  MAIL_API_URL,
+  MAIL_API_KEY,
+} from "../../src/config/index.js";
+import ConsoleMailTransport from "./ConsoleMailTransport.js";
+import FileMailTransport from "./FileMailTransport.js";
+import HttpMailTransport from "./HttpMailTransport.js";
+
+// Every transport implements:
+//   sendMail({ to, subject, text, html? }) -> Promise<{ delivered, providerRef? }>
+const transports = {
+  console: () => new ConsoleMailTransport(),
+  file: () => new FileMailTransport(MAIL_FILE_PATH),
+  http: () => new HttpMailTransport({ apiUrl: MAIL_API_URL, apiKey: MAIL_API_KEY, from: MAIL_FROM }),
+};
+
+let instance = null;
+
+export const getMailTransport = () => {
+  if (instance) return instance;
+
+  const name = (MAIL_TRANSPORT || (NODE_ENV === "production" ? "http" : "console")).toLowerCase();
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(", ")}`);
+  }
+
+  instance = factory();
+  return instance;
+};
+
+// 🧪 Lets tests swap in their own transport
+export const setMailTransport = (transport) => {
+  instance = transport;
+};
@@ -0,0 +1,136 @@
+import axios from "axios";
+import { ApiError } from "../../src/utils/ApiError.js";
+import {
+  generateXVerify,
+  verifyXVerify,
+  encodePayload,
+  decodePayload,
+} from "../../src/utils/phonepe.helper.js";
+
+const PAY_PATH = "/pg/v1/pay";
+const statusPath = (merchantId, merchantTransactionId) => `/pg/v1/status/${merchantId}/${merchantTransactionId}`;
+
+// 🚦 PhonePe response codes folded into our three outcomes; anything unknown stays pending
+const SUCCESS_CODES = ["PAYMENT_SUCCESS"];
+const FAILURE_CODES = ["PAYMENT_ERROR", "PAYMENT_DECLINED", "TIMED_OUT", "AUTHORIZATION_FAILED", "BAD_REQUEST"];
+
+const toOutcome = ({ code, data }) => {
+  if (data?.state === "COMPLETED" || SUCCESS_CODES.includes(code)) return "success";
+  if (data?.state === "FAILED" || FAILURE_CODES.includes(code)) return "failed";
+  return "pending";
+};
+
+const normalise = (body) => ({
+  outcome: toOutcome(body),
+  code: body.code || null,
+  merchantTransactionId: body.data?.merchantTransactionId || null,
+  gatewayTransactionId: body.data?.transactionId || null,
+  amountPaise: body.data?.amount ?? null,
+  raw: body,
+});
+
+// 🌐 PhonePe Standard Checkout (PG v1) with X-VERIFY signed requests
+export default class PhonePeGateway {
+  constructor({ baseUrl, merchantId, saltKey, saltIndex, callbackUrl, redirectUrl }) {
+    if (!baseUrl || !merchantId || !saltKey || !saltIndex) {
+      throw new Error("PHONEPE_BASE_URL, MERCHANT_ID, SALT_KEY and SALT_INDEX are required for PhonePe payments");
+    }
+
+    this.name = "phonepe";
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.merchantId = merchantId;
+    this.salt = { saltKey, saltIndex };
+    this.callbackUrl = callbackUrl;
+    this.redirectUrl = redirectUrl;
+  }
+
+  /**
+   * Starts a pay-page checkout. Resolves with the URL the customer is sent to;
+   * the outcome arrives later through the callback (or a status check).
+   */
+  async initiate({ merchantTransactionId, merchantUserId, amountPaise, mobileNumber, redirectUrl }) {
+    const request = encodePayload({
+      merchantId: this.merchantId,
+      merchantTransactionId,
+      merchantUserId,
+      amount: amountPaise,
+      redirectUrl: redirectUrl || this.redirectUrl,
+      redirectMode: "REDIRECT",
+      callbackUrl: this.callbackUrl,
+      mobileNumber,
+      paymentInstrument: { type: "PAY_PAGE" },
+    });
+
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseUrl}${PAY_PATH}`,
+        { request },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            "X-VERIFY": generateXVerify(request, PAY_PATH, this.salt),
+          },
+          timeout: 15000,
+        }
+      );
+    } catch (error) {
+      console.error("❌ PhonePe pay request failed:", error.response?.data || error.message);
+      throw new ApiError(502, "Couldn't start the payment with PhonePe. Please try again.");
+    }
+
+    const payPageUrl = response.data?.data?.instrumentResponse?.redirectInfo?.url;
+    if (!response.data?.success || !payPageUrl) {
+      throw new ApiError(502, response.data?.message || "PhonePe didn't return a payment page");
+    }
+
+    return { payPageUrl, code: response.data.code, raw: response.data };
+  }
+
+  // 🔎 Asks PhonePe where a transaction stands (the fallback when no callback arrived)
+  async fetchStatus(merchantTransactionId) {
+    const path = statusPath(this.merchantId, merchantTransactionId);
+
+    try {
+      const response = await axios.get(`${this.baseUrl}${path}`, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-VERIFY": generateXVerify("", path, this.salt),
+          "X-MERCHANT-ID": this.merchantId,
+        },
+        timeout: 15000,
+      });
+      return normalise(response.data);
+    } catch (error) {
+      // PhonePe answers some terminal states (e.g. PAYMENT_ERROR) with a 4xx and a normal body
+      if (error.response?.data?.code) {
+        return normalise(error.response.data);
+      }
+      console.error("❌ PhonePe status check failed:", error.message);
+      throw new ApiError(502, "Couldn't reach PhonePe to check the payment");
+    }
+  }
+
+  /**
+   * Verifies and decodes a server-to-server callback: `{ response: <base64> }`
+   * signed as sha256(response + saltKey)###saltIndex in the X-VERIFY header.
+   */
+  parseCallback(body, xVerify) {
+    const encoded = body?.response;
+    if (typeof encoded !== "string" || !verifyXVerify(encoded, "", xVerify, this.salt)) {
+      throw new ApiError(401, "Invalid PhonePe callback signature");
+    }
+
+    let decoded;
+    try {
+      decoded = decodePayload(encoded);
+    } catch {
+      throw new ApiError(400, "Malformed PhonePe callback payload");
+    }
+    if (decoded.data?.merchantId && decoded.data.merchantId !== this.merchantId) {
+      throw new ApiError(401, "Callback is for a different merchant");
+    }
+
+    return normalise(decoded);
+  }
+}
@@ -0,0 +1,38 @@
+import {
+  MERCHANT_ID,
+  SALT_KEY,
+  SALT_INDEX,
+  PHONEPE_BASE_URL,
+  REDIRECT_URL,
+  PHONEPE_CALLBACK_URL,
+} from "../../src/config/index.js";
+import PhonePeGateway from "./PhonePeGateway.js";
+
+// A gateway implements:
+//   initiate({ merchantTransactionId, merchantUserId, amountPaise, mobileNumber, redirectUrl })
+//     -> Promise<{ payPageUrl, code, raw }>
+//   fetchStatus(merchantTransactionId) -> Promise<Result>
+//   parseCallback(body, xVerifyHeader) -> Result (throws 401 on a bad signature)
+// where Result = { outcome: "success" | "failed" | "pending", code, merchantTransactionId,
+//                  gatewayTransactionId, amountPaise, raw }
+let instance = null;
+
+// Point PHONEPE_BASE_URL at `npm run mock:phonepe` to exercise the whole flow locally
+export const getPaymentGateway = () => {
+  if (instance) return instance;
+
+  instance = new PhonePeGateway({
+    baseUrl: PHONEPE_BASE_URL,
+    merchantId: MERCHANT_ID,
+    saltKey: SALT_KEY,
+    saltIndex: SALT_INDEX,
+    callbackUrl: PHONEPE_CALLBACK_URL,
+    redirectUrl: REDIRECT_URL,
+  });
+  return instance;
+};
+
+// 🧪 Lets tests swap in their own gateway
+export const setPaymentGateway = (gateway) => {
+  instance = gateway;
+};
@@ -0,0 +1,13 @@
+import { standInResult } from "./standIn.js";
+
+// 🖥️ Dev stand-in: prints every push to the server log instead of sending it
+export default class ConsolePushTransport {
+  constructor() {
+    this.name = "console";
+  }
+
+  async sendMulticast({ tokens, title, body, data = {} }) {
+    console.log(`🔔 [push:console] ${tokens.length} device(s): ${title} - ${body}`, data);
+    return { results: tokens.map(standInResult) };
+  }
+}
@@ -0,0 +1,20 @@
+import fs from "fs/promises";
+import path from "path";
+import { standInResult } from "./standIn.js";
+
+// 📄 Dev/test stand-in: appends every push batch as a JSON line to a file
+export default class FilePushTransport {
+  constructor(filePath = "./logs/push.log") {
+    this.name = "file";
+    this.filePath = filePath;
+  }
+
+  async sendMulticast({ tokens, title, body, data = {} }) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(
+      this.filePath,
+      JSON.stringify({ tokens, title, body, data, sentAt: new Date().toISOString() }) + "\n"
+    );
+    return { results: tokens.map(standInResult) };
+  }
+}
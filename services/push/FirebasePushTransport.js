@@ -0,0 +1,35 @@
+// 🔥 Production transport: Firebase Cloud Messaging through firebase-admin
+export default class FirebasePushTransport {
+  constructor() {
+    this.name = "firebase";
+    this.messaging = null;
+  }
+
+  // Loaded on first use so the service account is only needed where pushes are really sent
+  async getMessaging() {
+    if (!this.messaging) {
+      const { default: admin } = await import("../../firebase.js");
+      this.messaging = admin.messaging();
+    }
+    return this.messaging;
+  }
+
+  async sendMulticast({ tokens, title, body, data = {} }) {
+    const messaging = await this.getMessaging();
+    const response = await messaging.sendEachForMulticast({
+      tokens,
+      notification: { title, body },
+      data,
+      android: { priority: "high" },
+      apns: { headers: { "apns-priority": "10" } },
+    });
+
+    return {
+      results: response.responses.map((result, index) => ({
+        token: tokens[index],
+        success: result.success,
+        errorCode: result.error?.code || null,
+      })),
+    };
+  }
+}
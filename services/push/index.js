@@ -0,0 +1,33 @@
+import { NODE_ENV, PUSH_TRANSPORT, PUSH_FILE_PATH } from "../../src/config/index.js";
+import ConsolePushTransport from "./ConsolePushTransport.js";
+import FilePushTransport from "./FilePushTransport.js";
+import FirebasePushTransport from "./FirebasePushTransport.js";
+
+// Every transport implements:
+//   sendMulticast({ tokens, title, body, data? }) -> Promise<{ results: [{ token, success, errorCode }] }>
+// with one result per token, in the order given
+const transports = {
+  console: () => new ConsolePushTransport(),
+  file: () => new FilePushTransport(PUSH_FILE_PATH),
+  firebase: () => new FirebasePushTransport(),
+};
+
+let instance = null;
+
+export const getPushTransport = () => {
+  if (instance) return instance;
+
+  const name = (PUSH_TRANSPORT || (NODE_ENV === "production" ? "firebase" : "console")).toLowerCase();
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown PUSH_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(", ")}`);
+  }
+
+  instance = factory();
+  return instance;
+};
+
+// 🧪 Lets tests swap in their own transport
+export const setPushTransport = (transport) => {
+  instance = transport;
+};
@@ -0,0 +1,6 @@
+// 🧪 Stand-in transports accept every token except ones starting with "invalid",
+// which come back the way FCM reports an uninstalled app, so pruning can be tried locally
+export const standInResult = (token) =>
+  token.startsWith("invalid")
+    ? { token, success: false, errorCode: "messaging/registration-token-not-registered" }
+    : { token, success: true, errorCode: null };
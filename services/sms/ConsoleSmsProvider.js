@@ -0,0 +1,16 @@
+// 🖥️ Dev stand-in: prints the OTP to the server log instead of sending an SMS
+export default class ConsoleSmsProvider {
+  constructor() {
+    this.name = "console";
+  }
+
+  async sendOtp(phoneNumber, otp) {
+    console.log(`📲 [sms:console] OTP for ${phoneNumber}: ${otp}`);
+    return { delivered: true };
+  }
+
+  async sendMessage(phoneNumber, message) {
+    console.log(`📲 [sms:console] Message for ${phoneNumber}: ${message}`);
+    return { delivered: true };
+  }
+}
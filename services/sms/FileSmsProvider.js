@@ -0,0 +1,27 @@
+import fs from "fs/promises";
+import path from "path";
+
+// 📄 Dev/test stand-in: appends every outgoing SMS as a JSON line to a file
+export default class FileSmsProvider {
+  constructor(filePath = "./logs/sms.log") {
+    this.name = "file";
+    this.filePath = filePath;
+  }
+
+  async write(entry) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(
+      this.filePath,
+      JSON.stringify({ ...entry, sentAt: new Date().toISOString() }) + "\n"
+    );
+    return { delivered: true };
+  }
+
+  async sendOtp(phoneNumber, otp) {
+    return this.write({ type: "otp", to: phoneNumber, otp });
+  }
+
+  async sendMessage(phoneNumber, message) {
+    return this.write({ type: "message", to: phoneNumber, message });
+  }
+}
@@ -0,0 +1,52 @@
+import axios from "axios";
+
+// 🌐 Production adapter for the MSG91 Flow API (DLT-approved OTP template)
+export default class Msg91SmsProvider {
+  constructor({ baseUrl, authKey, flowId, senderId, templateId }) {
+    if (!authKey || !flowId) {
+      throw new Error("MSG91_AUTH_KEY and MSG91_FLOW_ID are required for the msg91 SMS provider");
+    }
+
+    this.name = "msg91";
+    this.baseUrl = baseUrl || "https://control.msg91.com";
+    this.authKey = authKey;
+    this.flowId = flowId;
+    this.senderId = senderId;
+    this.templateId = templateId;
+  }
+
+  async send(phoneNumber, variables) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/v5/flow/`,
+      {
+        template_id: this.flowId,
+        sender: this.senderId,
+        DLT_TE_ID: this.templateId,
+        short_url: "0",
+        // MSG91 expects the number with country code and no "+"
+        recipients: [{ mobiles: `91${phoneNumber}`, ...variables }],
+      },
+      {
+        headers: {
+          authkey: this.authKey,
+          "Content-Type": "application/json",
+        },
+        timeout: 10000,
+      }
+    );
+
+    if (response.data?.type === "error") {
+      throw new Error(response.data.message || "MSG91 rejected the request");
+    }
+
+    return { delivered: true, providerRef: response.data?.message };
+  }
+
+  async sendOtp(phoneNumber, otp) {
+    return this.send(phoneNumber, { otp });
+  }
+
+  async sendMessage(phoneNumber, message) {
+    return this.send(phoneNumber, { message });
+  }
+}
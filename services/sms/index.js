@@ -0,0 +1,50 @@
+import {
+  NODE_ENV,
+  SMS_PROVIDER,
+  SMS_FILE_PATH,
+  MSG91_BASE_URL,
+  MSG91_AUTH_KEY,
+  MSG91_FLOW_ID,
+  MSG91_DLT_SENDER_ID,
+  MSG91_DLT_TEMPLATE_ID,
+} from "../../src/config/index.js";
+import ConsoleSmsProvider from "./ConsoleSmsProvider.js";
+import FileSmsProvider from "./FileSmsProvider.js";
+import Msg91SmsProvider from "./Msg91SmsProvider.js";
+
+// Every provider implements:
+//   sendOtp(phoneNumber, otp)         -> Promise<{ delivered, providerRef? }>
+//   sendMessage(phoneNumber, message) -> Promise<{ delivered, providerRef? }>
+const providers = {
+  console: () => new ConsoleSmsProvider(),
+  file: () => new FileSmsProvider(SMS_FILE_PATH),
+  msg91: () =>
+    new Msg91SmsProvider({
+      baseUrl: MSG91_BASE_URL,
+      authKey: MSG91_AUTH_KEY,
+      flowId: MSG91_FLOW_ID,
+      senderId: MSG91_DLT_SENDER_ID,
+      templateId: MSG91_DLT_TEMPLATE_ID,
+    }),
+};
+
+let instance = null;
+
+export const getSmsProvider = () => {
+  if (instance) return instance;
+
+  // Never fall back to a stand-in in production: an OTP must actually leave the server
+  const name = (SMS_PROVIDER || (NODE_ENV === "production" ? "msg91" : "console")).toLowerCase();
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(", ")}`);
+  }
+
+  instance = factory();
+  return instance;
+};
+
+// 🧪 Lets tests swap in their own provider
+export const setSmsProvider = (provider) => {
+  instance = provider;
+};
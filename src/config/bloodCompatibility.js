@@ -0,0 +1,14 @@
+// 🩸 Red cell compatibility: for each recipient group, the donor groups whose blood they can receive
+
+export const COMPATIBLE_DONORS = Object.freeze({
+  'O-': ['O-'],
+  'O+': ['O+', 'O-'],
+  'A-': ['A-', 'O-'],
+  'A+': ['A+', 'A-', 'O+', 'O-'],
+  'B-': ['B-', 'O-'],
+  'B+': ['B+', 'B-', 'O+', 'O-'],
+  'AB-': ['AB-', 'A-', 'B-', 'O-'],
+  'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-'],
+});
+
+export const compatibleDonorGroups = (recipientGroup) => COMPATIBLE_DONORS[recipientGroup] || [];
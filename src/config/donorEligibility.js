@@ -0,0 +1,29 @@
+// 🩸 Default blood donor deferral rules.
+// Admins can override any top-level key at runtime (AppSetting "redDrop.deferralRules").
+
+import { DONOR_RECENT_DONATION_DAYS } from './index.js';
+
+export const DONATION_TYPES = Object.freeze({
+  WHOLE_BLOOD: 'whole_blood',
+  PLATELETS: 'platelets',
+  PLASMA: 'plasma',
+  DOUBLE_RED_CELLS: 'double_red_cells',
+});
+
+export const DEFAULT_DEFERRAL_RULES = Object.freeze({
+  // ⏳ Days to wait after a donation, by what was donated
+  donationIntervalDays: {
+    [DONATION_TYPES.WHOLE_BLOOD]: Number(DONOR_RECENT_DONATION_DAYS) || 90,
+    [DONATION_TYPES.PLATELETS]: 7,
+    [DONATION_TYPES.PLASMA]: 14,
+    [DONATION_TYPES.DOUBLE_RED_CELLS]: 112,
+  },
+  // 📋 Days to wait after events declared in the health questionnaire
+  tattooOrPiercingDays: 180,
+  surgeryDays: 180,
+  illnessDays: 14,
+  // 🚫 Hard limits; failing any of these defers the donor until the questionnaire changes
+  minAgeYears: 18,
+  maxAgeYears: 65,
+  minWeightKg: 50,
+});
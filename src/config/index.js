@@ -10,7 +10,49 @@ const {
     ACCESS_TOKEN_EXPIRY,
     REFRESH_TOKEN_SECRET,
     REFRESH_TOKEN_EXPIRY,
-    OPENAI_API_KEY
+    OPENAI_API_KEY,
+    NODE_ENV,
+    SMS_PROVIDER,
+    SMS_FILE_PATH,
+    MSG91_BASE_URL,
+    MSG91_AUTH_KEY,
+    MSG91_FLOW_ID,
+    MSG91_DLT_SENDER_ID,
+    MSG91_DLT_TEMPLATE_ID,
+    OTP_TEST_MODE,
+    OTP_MASTER_CODE,
+    OTP_EXPIRY_MINUTES,
+    OTP_MAX_ATTEMPTS,
+    OTP_MAX_SENDS,
+    OTP_LOCK_MINUTES,
+    OTP_RESEND_COOLDOWN_SECONDS,
+    OTP_COUNTER_WINDOW_MINUTES,
+    MAIL_TRANSPORT,
+    MAIL_FROM,
+    MAIL_FILE_PATH,
+    MAIL_API_URL,
+    MAIL_API_KEY,
+    ADMIN_RESET_PASSWORD_URL,
+    ADMIN_2FA_MAX_ATTEMPTS,
+    ADMIN_2FA_LOCK_MINUTES,
+    PASSWORD_RESET_TOKEN_EXPIRY_MINUTES,
+    INSURANCE_POLICY_TERM_MONTHS,
+    INSURANCE_RENEWAL_WINDOW_DAYS,
+    INSURANCE_GRACE_PERIOD_DAYS,
+    NOSE_PRINT_MATCH_THRESHOLD,
+    DONOR_RECENT_DONATION_DAYS,
+    PUSH_TRANSPORT,
+    PUSH_FILE_PATH,
+    MERCHANT_ID,
+    SALT_KEY,
+    SALT_INDEX,
+    PHONEPE_BASE_URL,
+    REDIRECT_URL,
+    PHONEPE_CALLBACK_URL,
+    PHONEPE_MOCK_PORT,
+    PAYMENT_EXPIRY_MINUTES,
+    PAYMENT_ATTEMPT_TIMEOUT_MINUTES,
+    CRON_SECRET
 } = process.env;
 
 export {
@@ -22,5 +64,47 @@ export {
     ACCESS_TOKEN_EXPIRY,
     REFRESH_TOKEN_SECRET,
     REFRESH_TOKEN_EXPIRY,
-    OPENAI_API_KEY
-};
\ No newline at end of file
+    OPENAI_API_KEY,
+    NODE_ENV,
+    SMS_PROVIDER,
+    SMS_FILE_PATH,
+    MSG91_BASE_URL,
+    MSG91_AUTH_KEY,
+    MSG91_FLOW_ID,
+    MSG91_DLT_SENDER_ID,
+    MSG91_DLT_TEMPLATE_ID,
+    OTP_TEST_MODE,
+    OTP_MASTER_CODE,
+    OTP_EXPIRY_MINUTES,
+    OTP_MAX_ATTEMPTS,
+    OTP_MAX_SENDS,
+    OTP_LOCK_MINUTES,
+    OTP_RESEND_COOLDOWN_SECONDS,
+    OTP_COUNTER_WINDOW_MINUTES,
+    MAIL_TRANSPORT,
+    MAIL_FROM,
+    MAIL_FILE_PATH,
+    MAIL_API_URL,
+    MAIL_API_KEY,
+    ADMIN_RESET_PASSWORD_URL,
+    ADMIN_2FA_MAX_ATTEMPTS,
+    ADMIN_2FA_LOCK_MINUTES,
+    PASSWORD_RESET_TOKEN_EXPIRY_MINUTES,
+    INSURANCE_POLICY_TERM_MONTHS,
+    INSURANCE_RENEWAL_WINDOW_DAYS,
+    INSURANCE_GRACE_PERIOD_DAYS,
+    NOSE_PRINT_MATCH_THRESHOLD,
+    DONOR_RECENT_DONATION_DAYS,
+    PUSH_TRANSPORT,
+    PUSH_FILE_PATH,
+    MERCHANT_ID,
+    SALT_KEY,
+    SALT_INDEX,
+    PHONEPE_BASE_URL,
+    REDIRECT_URL,
+    PHONEPE_CALLBACK_URL,
+    PHONEPE_MOCK_PORT,
+    PAYMENT_EXPIRY_MINUTES,
+    PAYMENT_ATTEMPT_TIMEOUT_MINUTES,
+    CRON_SECRET
+};
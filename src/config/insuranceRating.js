@@ -0,0 +1,57 @@
+// 🧮 Default rating factors for pet insurance quotes.
+// Admins can override any top-level key at runtime (AppSetting "insurance.ratingFactors").
+
+export const DEFAULT_RATING_FACTORS = Object.freeze({
+  // 📍 Pin code zones, matched on the longest prefix; anything unmatched uses `defaultZone`
+  zones: [
+    {
+      zone: 'metro',
+      label: 'Metro city loading',
+      pinPrefixes: ['110', '400', '560', '600', '700', '500', '411', '380'],
+      factor: 1.15,
+    },
+    {
+      zone: 'urban',
+      label: 'Urban area loading',
+      pinPrefixes: ['122', '201', '226', '302', '452', '462', '641', '682'],
+      factor: 1.05,
+    },
+  ],
+  defaultZone: { zone: 'standard', label: 'Standard zone', factor: 1 },
+
+  // 🐕 Breeds prone to costly conditions
+  breedLoadings: [
+    {
+      code: 'BRACHYCEPHALIC',
+      label: 'Brachycephalic breed loading',
+      breeds: ['pug', 'bulldog', 'french bulldog', 'shih tzu', 'boxer', 'persian', 'himalayan'],
+      rate: 0.15,
+    },
+    {
+      code: 'GIANT_BREED',
+      label: 'Giant breed loading',
+      breeds: ['great dane', 'saint bernard', 'mastiff', 'newfoundland'],
+      rate: 0.1,
+    },
+  ],
+
+  // 🎂 Older pets cost more to cover
+  ageLoadings: [
+    { code: 'SENIOR_PET', label: 'Senior pet loading', species: 'dog', minAgeYears: 7, rate: 0.2 },
+    { code: 'SENIOR_PET', label: 'Senior pet loading', species: 'cat', minAgeYears: 9, rate: 0.15 },
+  ],
+
+  // 🎁 Discounts applied to every quote
+  discounts: [
+    { code: 'ONLINE', label: 'Online purchase discount', rate: 0.05 },
+  ],
+
+  // 🐾 Off the combined premium when one policy holder insures several pets; the highest matching tier applies
+  multiPetDiscounts: [
+    { minPets: 2, rate: 0.05 },
+    { minPets: 3, rate: 0.1 },
+  ],
+
+  taxRate: 0.18, // GST
+  validityDays: 15,
+});
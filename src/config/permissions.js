@@ -0,0 +1,55 @@
+// 🛡️ Admin roles and what each of them may do
+
+export const ADMIN_ROLES = Object.freeze({
+  SUPER_ADMIN: 'super-admin',
+  MODERATOR: 'moderator',
+  INSURANCE_OFFICER: 'insurance-officer',
+  FINANCE: 'finance',
+});
+
+export const PERMISSIONS = Object.freeze({
+  DASHBOARD_VIEW: 'dashboard:view',
+  ADMINS_MANAGE: 'admins:manage',
+  USERS_VIEW: 'users:view',
+  COUPONS_MODERATE: 'coupons:moderate',
+  ADVERTISEMENTS_MODERATE: 'advertisements:moderate',
+  INSURANCE_REVIEW: 'insurance:review',
+  INSURANCE_PLANS_MANAGE: 'insurancePlans:manage',
+  CLAIMS_REVIEW: 'claims:review',
+  CLAIMS_PAY: 'claims:pay',
+  REDDROP_MANAGE: 'redDrop:manage',
+  PAYMENTS_VIEW: 'payments:view',
+  PAYMENTS_RECONCILE: 'payments:reconcile',
+  ECHANGE_VIEW: 'echange:view',
+  EXPENSES_VIEW: 'expenses:view',
+});
+
+export const ROLE_PERMISSIONS = Object.freeze({
+  [ADMIN_ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+  [ADMIN_ROLES.MODERATOR]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.COUPONS_MODERATE,
+    PERMISSIONS.ADVERTISEMENTS_MODERATE,
+    PERMISSIONS.REDDROP_MANAGE,
+    PERMISSIONS.ECHANGE_VIEW,
+  ],
+  [ADMIN_ROLES.INSURANCE_OFFICER]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.USERS_VIEW,
+    PERMISSIONS.INSURANCE_REVIEW,
+    PERMISSIONS.INSURANCE_PLANS_MANAGE,
+    PERMISSIONS.CLAIMS_REVIEW,
+  ],
+  [ADMIN_ROLES.FINANCE]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.PAYMENTS_VIEW,
+    PERMISSIONS.PAYMENTS_RECONCILE,
+    PERMISSIONS.CLAIMS_PAY,
+    PERMISSIONS.ECHANGE_VIEW,
+    PERMISSIONS.EXPENSES_VIEW,
+  ],
+});
+
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
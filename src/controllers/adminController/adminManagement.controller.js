@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import Joi from 'joi';
+import mongoose from 'mongoose';
+import { Admin } from '../../models/admin.model.js';
+import { ADMIN_ROLES, ROLE_PERMISSIONS } from '../../config/permissions.js';
+import SessionService from '../../../services/SessionService.js';
+import { TOKEN_ROLES } from '../../../services/JWTService.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { validate } from '../../utils/validate.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+
+const inviteAdminSchema = Joi.object({
+  firstName: Joi.string().min(2).max(50).trim().required(),
+  lastName: Joi.string().min(1).max(50).trim().required(),
+  email: Joi.string().email().trim().lowercase().required(),
+  phoneNumber: Joi.string().pattern(/^\d{10}$/).required(),
+  bloodGroup: Joi.string().valid("A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-").required(),
+  pinCode: Joi.string().pattern(/^\d{6}$/).required(),
+  role: Joi.string().valid(...Object.values(ADMIN_ROLES)).required(),
+});
+
+const updateRoleSchema = Joi.object({
+  role: Joi.string().valid(...Object.values(ADMIN_ROLES)).required(),
+});
+
+const updateStatusSchema = Joi.object({
+  status: Joi.string().valid('active', 'disabled').required(),
+});
+
+const findOtherAdmin = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, 'Invalid admin ID');
+  }
+  if (req.admin._id.equals(id)) {
+    throw new ApiError(400, 'You cannot change your own role or access');
+  }
+
+  const admin = await Admin.findById(id);
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+  return admin;
+};
+
+// There must always be someone left who can manage admins
+const assertNotLastSuperAdmin = async (admin) => {
+  if (admin.role !== ADMIN_ROLES.SUPER_ADMIN || admin.status !== 'active') return;
+
+  const activeSuperAdmins = await Admin.countDocuments({
+    role: ADMIN_ROLES.SUPER_ADMIN,
+    status: 'active',
+  });
+  if (activeSuperAdmins <= 1) {
+    throw new ApiError(409, 'At least one active super-admin is required');
+  }
+};
+
+// @desc    Roles and the permissions they grant
+// @route   GET /admin/roles
+// @access  Admin (admins:manage)
+export const getAdminRoles = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(new ApiResponse(200, ROLE_PERMISSIONS, 'Admin roles fetched successfully'));
+});
+
+// @desc    List every admin account
+// @route   GET /admin/admins
+// @access  Admin (admins:manage)
+export const listAdmins = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.role) filter.role = req.query.role;
+  if (req.query.status) filter.status = req.query.status;
+
+  const admins = await Admin.find(filter).select('-password -__v').sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, admins, 'Admins fetched successfully'));
+});
+
+// @desc    Invite a new admin with a role. A temporary password is returned once;
+//          share it out-of-band and ask them to change it on first login.
+// @route   POST /admin/admins
+// @access  Admin (admins:manage)
+export const inviteAdmin = asyncHandler(async (req, res) => {
+  const value = validate(inviteAdminSchema, req.body);
+
+  const existing = await Admin.findOne({
+    $or: [{ email: value.email }, { phoneNumber: value.phoneNumber }],
+  });
+  if (existing) {
+    throw new ApiError(409, 'An admin with this email or phone number already exists');
+  }
+
+  const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+
+  const admin = await Admin.create({
+    ...value,
+    password: temporaryPassword, // Will be hashed via pre-save middleware
+    invitedBy: req.admin._id,
+  });
+
+  const { password, __v, ...safeAdmin } = admin.toObject();
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { admin: safeAdmin, temporaryPassword }, 'Admin invited successfully'));
+});
+
+// @desc    Change another admin's role
+// @route   PATCH /admin/admins/:id/role
+// @access  Admin (admins:manage)
+export const updateAdminRole = asyncHandler(async (req, res) => {
+  const { role } = validate(updateRoleSchema, req.body);
+  const admin = await findOtherAdmin(req);
+
+  if (role !== ADMIN_ROLES.SUPER_ADMIN) {
+    await assertNotLastSuperAdmin(admin);
+  }
+
+  admin.role = role;
+  await admin.save();
+
+  const { password, __v, ...safeAdmin } = admin.toObject();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, safeAdmin, 'Admin role updated successfully'));
+});
+
+// @desc    Enable or disable another admin. Disabling logs them out everywhere.
+// @route   PATCH /admin/admins/:id/status
+// @access  Admin (admins:manage)
+export const updateAdminStatus = asyncHandler(async (req, res) => {
+  const { status } = validate(updateStatusSchema, req.body);
+  const admin = await findOtherAdmin(req);
+
+  if (status === 'disabled') {
+    await assertNotLastSuperAdmin(admin);
+  }
+
+  admin.status = status;
+  await admin.save();
+
+  if (status === 'disabled') {
+    await SessionService.revokeAll(TOKEN_ROLES.ADMIN, admin._id);
+  }
+
+  const { password, __v, ...safeAdmin } = admin.toObject();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, safeAdmin, `Admin ${status === 'disabled' ? 'disabled' : 'enabled'} successfully`));
+});
+
+// @desc    Remove another admin account
+// @route   DELETE /admin/admins/:id
+// @access  Admin (admins:manage)
+export const deleteAdmin = asyncHandler(async (req, res) => {
+  const admin = await findOtherAdmin(req);
+  await assertNotLastSuperAdmin(admin);
+
+  await SessionService.revokeAll(TOKEN_ROLES.ADMIN, admin._id);
+  await admin.deleteOne();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, null, 'Admin removed successfully'));
+});
@@ -1,10 +1,28 @@
 import Joi from 'joi';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { Admin } from '../../models/admin.model.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 import { ApiError } from '../../utils/ApiError.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import JWTService, { TOKEN_ROLES, MFA_PURPOSES } from '../../../services/JWTService.js';
+import SessionService from '../../../services/SessionService.js';
+import { getMailTransport } from '../../../services/mail/index.js';
+import { AppSetting, SETTING_KEYS } from '../../models/settings/appSetting.model.js';
+import { ADMIN_RESET_PASSWORD_URL, PASSWORD_RESET_TOKEN_EXPIRY_MINUTES } from '../../config/index.js';
+
+// 🍪 Admin tokens travel as HTTP-only cookies
+const cookieOptions = (maxAge) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'Strict' : 'Lax',
+  ...(maxAge && { maxAge }),
+});
+
+const RESET_TOKEN_EXPIRY_MINUTES = Number(PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 30;
+const RESET_REQUEST_COOLDOWN_MS = 60 * 1000;
+
+const ACCESS_COOKIE_MAX_AGE = 1 * 60 * 60 * 1000; // 1 hour
+const REFRESH_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
 
 // Joi validation schema
 const loginSchema = Joi.object({
@@ -12,6 +30,15 @@ const loginSchema = Joi.object({
   password: Joi.string().min(6).required(),
 });
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().trim().required(),
+});
+
+const confirmResetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  newPassword: Joi.string().min(6).required().label("New Password"),
+});
+
 const resetPasswordSchema = Joi.object({
   oldPassword: Joi.string().min(6).required().label("Old Password"),
   newPassword: Joi.string().min(6).required().label("New Password"),
@@ -43,28 +70,41 @@ export const login_Admin = asyncHandler(async (req, res) => {
     throw new ApiError(401, 'Invalid credentials');
   }
 
-  // Generate tokens using model methods
-  const accessToken = admin.generateAccessToken();
-  const refreshToken = admin.generateRefreshToken();
+  if (admin.status === 'disabled') {
+    throw new ApiError(403, 'Admin account is disabled');
+  }
 
-  // ✅ Save refreshToken in DB
-  admin.refreshToken = refreshToken;
-  await admin.save();
+  // 🔐 Second factor: hand out a short-lived token for the next step instead of a session
+  if (admin.twoFactor?.enabled) {
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { mfaRequired: true, mfaToken: JWTService.signMfaToken(admin._id, MFA_PURPOSES.LOGIN) },
+        'Enter the code from your authenticator app'
+      )
+    );
+  }
+
+  if (await AppSetting.getValue(SETTING_KEYS.ADMIN_REQUIRE_2FA, false)) {
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        { mfaEnrollmentRequired: true, mfaToken: JWTService.signMfaToken(admin._id, MFA_PURPOSES.ENROLL) },
+        'Two-factor authentication must be set up before you can continue'
+      )
+    );
+  }
+
+  return respondWithAdminSession(req, res, admin, 'Login successful');
+});
+
+// ✅ Starts a session for this device, sets the cookies and sends the login response
+export const respondWithAdminSession = async (req, res, admin, message, extra = {}) => {
+  const { accessToken, refreshToken } = await SessionService.create(TOKEN_ROLES.ADMIN, admin._id, req);
 
   // Set HTTP-only cookies
-  res.cookie('access_token', accessToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'Strict' : 'Lax',
-    maxAge: 1 * 60 * 60 * 1000, // 1 hour
-  });
-
-  res.cookie('refresh_token', refreshToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'Strict' : 'Lax',
-    maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
-  });
+  res.cookie('access_token', accessToken, cookieOptions(ACCESS_COOKIE_MAX_AGE));
+  res.cookie('refresh_token', refreshToken, cookieOptions(REFRESH_COOKIE_MAX_AGE));
 
   // Success response
   return res.status(200).json(
@@ -78,16 +118,101 @@ export const login_Admin = asyncHandler(async (req, res) => {
           accessToken,
           refreshToken,
         },
+        ...extra,
       },
-      'Login successful'
+      message
     )
   );
+};
+
+
+// 📧 Always answers the same way so the endpoint can't be used to discover admin emails
+export const forgotPasswordAdmin = asyncHandler(async (req, res) => {
+  const { error } = forgotPasswordSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map((err) => ({
+      field: err.path.join("."),
+      message: err.message,
+    }));
+    throw new ApiError(400, "Validation failed", errors);
+  }
+
+  const { email } = req.body;
+  const response = new ApiResponse(
+    200,
+    null,
+    "If an admin account exists for this email, a reset link has been sent"
+  );
+
+  const admin = await Admin.findOne({ email: email.toLowerCase(), status: 'active' });
+  const recentlyRequested =
+    admin?.passwordResetRequestedAt &&
+    Date.now() - admin.passwordResetRequestedAt.getTime() < RESET_REQUEST_COOLDOWN_MS;
+
+  if (!admin || recentlyRequested) {
+    return res.status(200).json(response);
+  }
+
+  const token = admin.createPasswordResetToken(RESET_TOKEN_EXPIRY_MINUTES);
+  await admin.save();
+
+  const resetLink = `${ADMIN_RESET_PASSWORD_URL || ''}?token=${token}`;
+
+  try {
+    await getMailTransport().sendMail({
+      to: admin.email,
+      subject: 'Reset your Fint admin password',
+      text:
+        `Hi ${admin.firstName},\n\n` +
+        `Use the link below to set a new password. It expires in ${RESET_TOKEN_EXPIRY_MINUTES} minutes and can only be used once.\n\n` +
+        `${resetLink}\n\n` +
+        `If you did not ask for this, you can ignore this email.`,
+    });
+  } catch (err) {
+    // Same answer as for an unknown address, so the response never reveals which emails are admins.
+    // The unsent token is dropped and the cooldown lifted so the admin can simply ask again.
+    console.error(`❌ Password reset mail to admin ${admin._id} failed:`, err.message);
+    admin.passwordResetToken = null;
+    admin.passwordResetExpiresAt = null;
+    admin.passwordResetRequestedAt = null;
+    await admin.save();
+  }
+
+  return res.status(200).json(response);
 });
 
+// 🔁 Consumes the emailed token, sets the new password and logs the admin out everywhere
+export const confirmResetPasswordAdmin = asyncHandler(async (req, res) => {
+  const { error } = confirmResetPasswordSchema.validate(req.body, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map((err) => ({
+      field: err.path.join("."),
+      message: err.message,
+    }));
+    throw new ApiError(400, "Validation failed", errors);
+  }
 
-export const forgotPasswordAdmin = () =>{
+  const { token, newPassword } = req.body;
 
-}
+  const admin = await Admin.findByPasswordResetToken(token);
+  if (!admin) {
+    throw new ApiError(400, "Reset link is invalid or has expired");
+  }
+
+  admin.password = newPassword; // Will trigger pre-save hook to hash
+  admin.passwordResetToken = null;
+  admin.passwordResetExpiresAt = null;
+  await admin.save();
+
+  await SessionService.revokeAll(TOKEN_ROLES.ADMIN, admin._id, 'password_reset');
+
+  res.clearCookie('access_token', cookieOptions());
+  res.clearCookie('refresh_token', cookieOptions());
+
+  return res.status(200).json(
+    new ApiResponse(200, null, "Password has been reset. Please log in again.")
+  );
+});
 export const resetPasswordAdmin = asyncHandler(async (req, res) => {
   // Validate request body
   const { error } = resetPasswordSchema.validate(req.body, { abortEarly: false });
@@ -127,21 +252,19 @@ export const refreshAccessTokenAdmin = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorized");
   }
 
-  const newAccessToken = admin.generateAccessToken();
+  // 🔄 Rotate: the refresh token just used is spent
+  const { accessToken, refreshToken } = await SessionService.rotate(req.auth.token, req);
 
-  // Set new access token as cookie
-  res.cookie('access_token', newAccessToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'Strict' : 'Lax',
-    maxAge: 1 * 60 * 60 * 1000, // 1 hour
-  });
+  // Set new tokens as cookies
+  res.cookie('access_token', accessToken, cookieOptions(ACCESS_COOKIE_MAX_AGE));
+  res.cookie('refresh_token', refreshToken, cookieOptions(REFRESH_COOKIE_MAX_AGE));
 
   return res.status(200).json(
     new ApiResponse(
       200,
       {
-        accessToken: newAccessToken,
+        accessToken,
+        refreshToken,
         user: {
           id: admin._id,
           email: admin.email,
@@ -154,41 +277,35 @@ export const refreshAccessTokenAdmin = asyncHandler(async (req, res) => {
 });
 
 export const logoutAdmin = asyncHandler(async (req, res) => {
-  const token = req.cookies?.refresh_token || req.header("x-refresh-token");
+  // 🚪 End only the session this access token belongs to
+  await SessionService.revoke(TOKEN_ROLES.ADMIN, req.admin._id, req.auth.token.sid, 'logout');
 
-  if (!token) {
-    throw new ApiError(400, "No refresh token provided");
-  }
+  // Clear cookies
+  res.clearCookie('access_token', cookieOptions());
+  res.clearCookie('refresh_token', cookieOptions());
 
-  try {
-    // Decode token to find admin
-    const decoded = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
+  return res.status(200).json(
+    new ApiResponse(200, null, 'Logout successful')
+  );
+});
 
-    const admin = await Admin.findById(decoded._id);
-    if (!admin) {
-      throw new ApiError(404, "Admin not found");
-    }
+// 📱 Devices currently logged in to this admin account
+export const listSessionsAdmin = asyncHandler(async (req, res) => {
+  const sessions = await SessionService.list(TOKEN_ROLES.ADMIN, req.admin._id);
 
-    // Clear the refreshToken in DB
-    admin.refreshToken = null;
-    await admin.save();
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      sessions.map((session) => SessionService.toResponse(session, req.auth.token.sid)),
+      'Sessions fetched successfully'
+    )
+  );
+});
 
-    // Clear cookies
-    res.clearCookie("access_token", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "Strict" : "Lax",
-    });
-    res.clearCookie("refresh_token", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "Strict" : "Lax",
-    });
+export const revokeSessionAdmin = asyncHandler(async (req, res) => {
+  await SessionService.revoke(TOKEN_ROLES.ADMIN, req.admin._id, req.params.sessionId);
 
-    return res.status(200).json(
-      new ApiResponse(200, null, "Logout successful")
-    );
-  } catch (error) {
-    throw new ApiError(401, "Invalid or expired refresh token");
-  }
+  return res.status(200).json(
+    new ApiResponse(200, null, 'Session revoked successfully')
+  );
 });
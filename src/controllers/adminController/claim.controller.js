@@ -0,0 +1,190 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { Claim, CLAIM_STATUSES } from "../../models/pet/claim.model.js";
+import ClaimAssessmentService from "../../../services/ClaimAssessmentService.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate, listOf } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+
+const assessSchema = Joi.object({
+  eligibleAmount: Joi.number().min(0).optional(), // leave out to allow the full invoiced amount
+  note: Joi.string().trim().max(1000).allow("").optional(),
+});
+
+const approveSchema = Joi.object({
+  note: Joi.string().trim().max(1000).allow("").optional(),
+});
+
+const rejectSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(1000).required(),
+});
+
+const paySchema = Joi.object({
+  paymentReference: Joi.string().trim().max(100).required(),
+  note: Joi.string().trim().max(1000).allow("").optional(),
+});
+
+const listQuerySchema = Joi.object({
+  status: listOf(Joi.string().valid(...Object.values(CLAIM_STATUSES))),
+  policyId: Joi.string(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+});
+
+const findClaim = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid claim ID");
+  }
+
+  const claim = await Claim.findById(id);
+  if (!claim) {
+    throw new ApiError(404, "Claim not found");
+  }
+  return claim;
+};
+
+const actor = (req) => ({ actorId: req.admin._id, actorModel: "Admin" });
+
+// @desc    List claims (filter by ?status=, ?policyId=, ?from=&to= on filing date)
+// @route   GET /admin/claims
+// @access  Admin (claims:review)
+export const listClaimsAdmin = asyncHandler(async (req, res) => {
+  const { status, policyId, from, to } = validate(listQuerySchema, req.query);
+  const filter = {};
+
+  if (status) filter.status = { $in: status };
+  if (policyId) {
+    if (!mongoose.Types.ObjectId.isValid(policyId)) {
+      throw new ApiError(400, "Invalid policy ID");
+    }
+    filter.policy = policyId;
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const claims = await Claim.find(filter)
+    .populate("user", "name phoneNumber")
+    .populate("plan", "name code")
+    .sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, claims, "Claims fetched successfully"));
+});
+
+// @desc    Get a claim with its policy, plan and history
+// @route   GET /admin/claims/:id
+// @access  Admin (claims:review)
+export const getClaimAdmin = asyncHandler(async (req, res) => {
+  const claim = await findClaim(req.params.id);
+  await claim.populate([
+    { path: "user", select: "name phoneNumber email" },
+    { path: "plan", select: "name code sumInsured deductible coverageItems waitingPeriods" },
+    { path: "policy", select: "name status policyStartDate policyEndDate pets" },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, claim, "Claim fetched successfully"));
+});
+
+// @desc    Start (or redo) the assessment and work out the payable amount
+// @route   PATCH /admin/claims/:id/assess
+// @access  Admin (claims:review)
+export const assessClaim = asyncHandler(async (req, res) => {
+  const { eligibleAmount, note } = validate(assessSchema, req.body);
+  const claim = await findClaim(req.params.id);
+
+  if (claim.status === CLAIM_STATUSES.FILED) {
+    claim.transitionTo(CLAIM_STATUSES.ASSESSING, { note: note || null, ...actor(req) });
+  } else if (claim.status !== CLAIM_STATUSES.ASSESSING) {
+    throw new ApiError(409, `A ${claim.status} claim can't be assessed`);
+  }
+
+  claim.assessment = await ClaimAssessmentService.assess(claim, { eligibleAmount });
+  await claim.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, claim, "Claim assessed successfully"));
+});
+
+// @desc    Approve the claim for its payable amount (recalculated against the latest settled claims)
+// @route   PATCH /admin/claims/:id/approve
+// @access  Admin (claims:review)
+export const approveClaim = asyncHandler(async (req, res) => {
+  const { note } = validate(approveSchema, req.body);
+  const claim = await findClaim(req.params.id);
+
+  if (!claim.assessment) {
+    throw new ApiError(409, "Assess the claim before approving it");
+  }
+
+  claim.transitionTo(CLAIM_STATUSES.APPROVED, { note: note || null, ...actor(req) });
+
+  // 🔒 The payout is reserved against the pet's limits before the approval is saved; if a
+  // parallel approval used the room first, reassess against the new usage and try once more
+  for (let attempt = 1; ; attempt++) {
+    claim.assessment = await ClaimAssessmentService.assess(claim, {
+      eligibleAmount: claim.assessment.eligibleAmount,
+    });
+    if (claim.assessment.payableAmount <= 0) {
+      throw new ApiError(422, "Nothing is payable on this claim; reject it instead");
+    }
+    if (await ClaimAssessmentService.reserve(claim)) break;
+    if (attempt >= 2) {
+      throw new ApiError(409, "Another claim on this pet was approved at the same time; try again");
+    }
+  }
+
+  try {
+    await claim.save();
+  } catch (error) {
+    await ClaimAssessmentService.release(claim);
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new ApiError(409, "This claim changed while you were approving it; reload and try again");
+    }
+    throw error;
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, claim, "Claim approved successfully"));
+});
+
+// @desc    Reject a filed or assessing claim
+// @route   PATCH /admin/claims/:id/reject
+// @access  Admin (claims:review)
+export const rejectClaim = asyncHandler(async (req, res) => {
+  const { reason } = validate(rejectSchema, req.body);
+  const claim = await findClaim(req.params.id);
+
+  claim.transitionTo(CLAIM_STATUSES.REJECTED, { note: reason, ...actor(req) });
+  claim.rejectionReason = reason;
+  await claim.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, claim, "Claim rejected successfully"));
+});
+
+// @desc    Record the payout of an approved claim
+// @route   PATCH /admin/claims/:id/pay
+// @access  Admin (claims:pay)
+export const markClaimPaid = asyncHandler(async (req, res) => {
+  const { paymentReference, note } = validate(paySchema, req.body);
+  const claim = await findClaim(req.params.id);
+
+  claim.transitionTo(CLAIM_STATUSES.PAID, { note: note || null, ...actor(req) });
+  claim.paidAt = new Date();
+  claim.paymentReference = paymentReference;
+  await claim.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, claim, "Claim marked as paid"));
+});
@@ -1,9 +1,38 @@
+import Joi from "joi";
+import mongoose from "mongoose";
 import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import { ApiError } from "../../utils/ApiError.js";
+import { validate, listOf } from "../../utils/validate.js";
 import { Admin } from "../../models/admin.model.js";
 import Advertisement from "../../models/advertisement/advertisement.model.js";
-import { Insurance } from "../../models/pet/insurance.model.js";
+import { Insurance, INSURANCE_STATUSES } from "../../models/pet/insurance.model.js";
+import {
+  BloodRequest,
+  BLOOD_GROUPS,
+  BLOOD_REQUEST_STATUSES,
+  BLOOD_REQUEST_URGENCY,
+} from "../../models/redDrop/bloodRequest.model.js";
+
+const redDropRequestsQuerySchema = Joi.object({
+  status: listOf(Joi.string().valid(...Object.values(BLOOD_REQUEST_STATUSES))),
+  bloodGroup: listOf(Joi.string().uppercase().valid(...BLOOD_GROUPS)),
+  urgency: listOf(Joi.string().valid(...Object.values(BLOOD_REQUEST_URGENCY))),
+  pinCode: Joi.string().pattern(/^\d{1,6}$/).messages({ "string.pattern.base": "pinCode filter must be 1-6 digits" }),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  requiredBefore: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const insuranceRequestsQuerySchema = Joi.object({
+  status: listOf(Joi.string().valid(...Object.values(INSURANCE_STATUSES))),
+  transitionedTo: Joi.string().valid(...Object.values(INSURANCE_STATUSES)),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  reviewedBy: Joi.string(),
+});
 
 
 export const dashboardAdmin = () =>{
@@ -71,9 +100,6 @@ export const getEChangeRequests = () =>{
 }
 export const getAdminCoupons = () =>{
 
-}
-export const getAdminPayments = () =>{
-
 }
 
 // @desc    Get all advertisement details with count and status summary
@@ -118,15 +144,104 @@ export const getAdminAdvertisements = asyncHandler(async (req, res) => {
   }
 });
 
-export const getRedDropRequests = () =>{
+// ✅ GET Red Drop blood requests
+// Filters: ?status=open,fulfilled  ?bloodGroup=O-  ?urgency=critical  ?pinCode=5600 (prefix)
+//          ?from=2025-01-01&to=2025-01-31 (created)  ?requiredBefore=2025-02-01  ?page=1&limit=20
+export const getRedDropRequests = asyncHandler(async (req, res) => {
+  const { status, bloodGroup, urgency, pinCode, from, to, requiredBefore, page, limit } =
+    validate(redDropRequestsQuerySchema, req.query);
+  const filter = {};
+
+  if (status) filter.status = { $in: status };
+  if (bloodGroup) filter.bloodGroup = { $in: bloodGroup };
+  if (urgency) filter.urgency = { $in: urgency };
+  if (pinCode) filter.pinCode = { $regex: `^${pinCode}` };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  if (requiredBefore) filter.requiredBy = { $lte: requiredBefore };
+
+  const [requests, total] = await Promise.all([
+    BloodRequest.find(filter)
+      .populate("requestedBy", "name phoneNumber")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    BloodRequest.countDocuments(filter),
+  ]);
+
+  // ⌛ The expire-blood-requests job closes overdue requests; catch up on this page in case it hasn't run yet
+  const now = new Date();
+  const overdue = requests.filter(
+    (request) => request.status === BLOOD_REQUEST_STATUSES.OPEN && request.requiredBy < now
+  );
+  if (overdue.length) {
+    await BloodRequest.expireOverdue({ _id: { $in: overdue.map((request) => request._id) } });
+    overdue.forEach((request) => {
+      request.status = BLOOD_REQUEST_STATUSES.EXPIRED;
+    });
+  }
+
+  const statusCounts = await BloodRequest.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const statusSummary = statusCounts.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {});
 
-}
-// ✅ GET all pet insurance requests
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { count: requests.length, total, page, limit, statusSummary, requests },
+      "Fetched Red Drop requests"
+    )
+  );
+});
+// ✅ GET pet insurance requests
+// Filters: ?status=approved (comma separated for several)
+//          ?transitionedTo=approved&from=2025-01-01&to=2025-01-31 (history entries in range)
+//          ?reviewedBy=<adminId>
 export const getPetInsuranceRequests = asyncHandler(async (req, res) => {
-  const allRequests = await Insurance.find().sort({ createdAt: -1 }); // latest first
+  const { status, transitionedTo, from, to, reviewedBy } = validate(insuranceRequestsQuerySchema, req.query);
+  const filter = {};
+
+  if (status) {
+    filter.status = { $in: status };
+  }
+
+  const historyMatch = {};
+  if (transitionedTo) historyMatch.to = transitionedTo;
+  if (reviewedBy) {
+    if (!mongoose.Types.ObjectId.isValid(reviewedBy)) {
+      throw new ApiError(400, "Invalid reviewer ID");
+    }
+    historyMatch.changedBy = new mongoose.Types.ObjectId(reviewedBy);
+    historyMatch.changedByModel = "Admin";
+  }
+  if (from || to) {
+    historyMatch.changedAt = {};
+    if (from) historyMatch.changedAt.$gte = from;
+    if (to) historyMatch.changedAt.$lte = to;
+  }
+  if (Object.keys(historyMatch).length) {
+    filter.statusHistory = { $elemMatch: historyMatch };
+  }
+
+  const allRequests = await Insurance.find(filter).sort({ createdAt: -1 }); // latest first
+
+  const statusCounts = await Insurance.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const statusSummary = statusCounts.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {});
 
   res.status(200).json(
-    new ApiResponse(200, allRequests, "Fetched all pet insurance requests")
+    new ApiResponse(200, { count: allRequests.length, statusSummary, requests: allRequests }, "Fetched pet insurance requests")
   );
 });
 export const getUserList = () =>{
@@ -0,0 +1,215 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { InsurancePlan, PET_SPECIES } from "../../models/pet/insurancePlan.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { AppSetting, SETTING_KEYS } from "../../models/settings/appSetting.model.js";
+import PremiumQuoteService from "../../../services/PremiumQuoteService.js";
+
+const coverageItemSchema = Joi.object({
+  key: Joi.string().trim().lowercase().pattern(/^[a-z0-9_-]+$/).required(),
+  name: Joi.string().trim().required(),
+  description: Joi.string().trim().allow("").optional(),
+  limit: Joi.number().min(0).required(),
+});
+
+const premiumRateSchema = Joi.object({
+  species: Joi.string().valid(...PET_SPECIES).required(),
+  breeds: Joi.array().items(Joi.string().trim()).default([]),
+  minAgeYears: Joi.number().min(0).max(30).required(),
+  maxAgeYears: Joi.number().min(Joi.ref("minAgeYears")).max(30).required(),
+  annualPremium: Joi.number().min(0).required(),
+});
+
+const waitingPeriodSchema = Joi.object({
+  condition: Joi.string().trim().required(),
+  days: Joi.number().integer().min(0).required(),
+});
+
+const planFields = {
+  name: Joi.string().trim().min(2).max(100),
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(30),
+  description: Joi.string().trim().allow("").max(2000),
+  species: Joi.array().items(Joi.string().valid(...PET_SPECIES)).min(1),
+  sumInsured: Joi.number().min(0),
+  deductible: Joi.number().min(0),
+  coverageItems: Joi.array().items(coverageItemSchema).unique("key"),
+  premiumTable: Joi.array().items(premiumRateSchema).min(1),
+  waitingPeriods: Joi.array().items(waitingPeriodSchema),
+  exclusions: Joi.array().items(Joi.string().trim()),
+  status: Joi.string().valid("active", "inactive"),
+};
+
+const createPlanSchema = Joi.object(planFields).fork(
+  ["name", "code", "sumInsured", "coverageItems", "premiumTable"],
+  (field) => field.required()
+);
+
+const updatePlanSchema = Joi.object(planFields).min(1);
+
+const rateSchema = Joi.number().min(0).max(5);
+
+// 🧮 Every key is optional; anything left out keeps the default from config/insuranceRating.js
+const ratingFactorsSchema = Joi.object({
+  zones: Joi.array().items(
+    Joi.object({
+      zone: Joi.string().trim().lowercase().required(),
+      label: Joi.string().trim().required(),
+      pinPrefixes: Joi.array().items(Joi.string().pattern(/^\d{1,6}$/)).min(1).required(),
+      factor: Joi.number().min(0.1).max(5).required(),
+    })
+  ),
+  defaultZone: Joi.object({
+    zone: Joi.string().trim().lowercase().required(),
+    label: Joi.string().trim().required(),
+    factor: Joi.number().min(0.1).max(5).required(),
+  }),
+  breedLoadings: Joi.array().items(
+    Joi.object({
+      code: Joi.string().trim().uppercase().required(),
+      label: Joi.string().trim().required(),
+      breeds: Joi.array().items(Joi.string().trim()).min(1).required(),
+      rate: rateSchema.required(),
+    })
+  ),
+  ageLoadings: Joi.array().items(
+    Joi.object({
+      code: Joi.string().trim().uppercase().required(),
+      label: Joi.string().trim().required(),
+      species: Joi.string().valid(...PET_SPECIES).required(),
+      minAgeYears: Joi.number().min(0).max(30).required(),
+      rate: rateSchema.required(),
+    })
+  ),
+  discounts: Joi.array().items(
+    Joi.object({
+      code: Joi.string().trim().uppercase().required(),
+      label: Joi.string().trim().required(),
+      rate: Joi.number().min(0).max(1).required(),
+    })
+  ),
+  multiPetDiscounts: Joi.array().items(
+    Joi.object({
+      minPets: Joi.number().integer().min(2).required(),
+      rate: Joi.number().min(0).max(1).required(),
+    })
+  ).unique("minPets"),
+  taxRate: Joi.number().min(0).max(1),
+  validityDays: Joi.number().integer().min(1).max(90),
+}).min(1);
+
+const findPlan = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid plan ID");
+  }
+  const plan = await InsurancePlan.findById(id);
+  if (!plan) {
+    throw new ApiError(404, "Insurance plan not found");
+  }
+  return plan;
+};
+
+// @desc    Create a pet insurance plan
+// @route   POST /admin/insurance-plans
+// @access  Admin (insurancePlans:manage)
+export const createInsurancePlan = asyncHandler(async (req, res) => {
+  const value = validate(createPlanSchema, req.body);
+
+  if (await InsurancePlan.exists({ code: value.code })) {
+    throw new ApiError(409, `A plan with code ${value.code} already exists`);
+  }
+
+  const plan = await InsurancePlan.create({ ...value, createdBy: req.admin._id });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, plan, "Insurance plan created successfully"));
+});
+
+// @desc    List every plan, including inactive and archived ones
+// @route   GET /admin/insurance-plans
+// @access  Admin (insurancePlans:manage)
+export const listInsurancePlansAdmin = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.species) filter.species = req.query.species;
+
+  const plans = await InsurancePlan.find(filter).sort({ createdAt: -1 });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, plans, "Insurance plans fetched successfully"));
+});
+
+// @desc    Get one plan
+// @route   GET /admin/insurance-plans/:id
+// @access  Admin (insurancePlans:manage)
+export const getInsurancePlanAdmin = asyncHandler(async (req, res) => {
+  const plan = await findPlan(req.params.id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, plan, "Insurance plan fetched successfully"));
+});
+
+// @desc    Update a plan
+// @route   PATCH /admin/insurance-plans/:id
+// @access  Admin (insurancePlans:manage)
+export const updateInsurancePlan = asyncHandler(async (req, res) => {
+  const value = validate(updatePlanSchema, req.body);
+  const plan = await findPlan(req.params.id);
+
+  if (value.code && value.code !== plan.code && (await InsurancePlan.exists({ code: value.code }))) {
+    throw new ApiError(409, `A plan with code ${value.code} already exists`);
+  }
+
+  plan.set(value);
+  await plan.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, plan, "Insurance plan updated successfully"));
+});
+
+// @desc    Archive a plan. Plans are never hard-deleted so existing policies keep their terms.
+// @route   DELETE /admin/insurance-plans/:id
+// @access  Admin (insurancePlans:manage)
+export const deleteInsurancePlan = asyncHandler(async (req, res) => {
+  const plan = await findPlan(req.params.id);
+
+  plan.status = "archived";
+  await plan.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, plan, "Insurance plan archived successfully"));
+});
+
+// @desc    Rating factors used to price quotes (defaults merged with overrides)
+// @route   GET /admin/insurance-rating-factors
+// @access  Admin (insurancePlans:manage)
+export const getInsuranceRatingFactors = asyncHandler(async (req, res) => {
+  const factors = await PremiumQuoteService.getRatingFactors();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, factors, "Rating factors fetched successfully"));
+});
+
+// @desc    Override rating factors; only affects quotes issued from now on
+// @route   PUT /admin/insurance-rating-factors
+// @access  Admin (insurancePlans:manage)
+export const updateInsuranceRatingFactors = asyncHandler(async (req, res) => {
+  const value = validate(ratingFactorsSchema, req.body);
+
+  const current = await AppSetting.getValue(SETTING_KEYS.INSURANCE_RATING_FACTORS, {});
+  await AppSetting.setValue(SETTING_KEYS.INSURANCE_RATING_FACTORS, { ...(current || {}), ...value }, req.admin._id);
+
+  const factors = await PremiumQuoteService.getRatingFactors();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, factors, "Rating factors updated successfully"));
+});
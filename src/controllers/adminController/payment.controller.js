@@ -0,0 +1,98 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import Payment, { PAYMENT_STATUSES } from "../../models/payment/payment.model.js";
+import PaymentService from "../../../services/PaymentService.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+
+const reconcileSchema = Joi.object({
+  // leave out to re-check the gateway (and retry applying a paid renewal)
+  status: Joi.string()
+    .valid(PAYMENT_STATUSES.SUCCESS, PAYMENT_STATUSES.FAILED, PAYMENT_STATUSES.REFUNDED, PAYMENT_STATUSES.EXPIRED)
+    .optional(),
+  note: Joi.string().trim().min(3).max(1000).when("status", {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+  gatewayTransactionId: Joi.string().trim().max(100).optional(),
+});
+
+const findPayment = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid payment ID");
+  }
+
+  const payment = await Payment.findById(id);
+  if (!payment) {
+    throw new ApiError(404, "Payment not found");
+  }
+  return payment;
+};
+
+// @desc    List payments (filter by ?status=, ?purpose=, ?userId=, ?flagged=true for ones needing reconciliation)
+// @route   GET /admin/payments
+// @access  Admin (payments:view)
+export const listPaymentsAdmin = asyncHandler(async (req, res) => {
+  const { status, purpose, userId, flagged } = req.query;
+  const page = Math.max(1, Number(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+  const filter = {};
+
+  if (status) filter.status = { $in: status.split(",") };
+  if (purpose) filter.purpose = purpose;
+  if (flagged === "true") filter["reconciliation.flagged"] = true;
+  if (userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new ApiError(400, "Invalid user ID");
+    }
+    filter.userId = userId;
+  }
+
+  const [payments, total] = await Promise.all([
+    Payment.find(filter)
+      .select("-statusHistory")
+      .populate("userId", "name phoneNumber")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Payment.countDocuments(filter),
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { total, page, limit, payments }, "Payments fetched successfully"));
+});
+
+// @desc    One payment with its full status history
+// @route   GET /admin/payments/:paymentId
+// @access  Admin (payments:view)
+export const getPaymentAdmin = asyncHandler(async (req, res) => {
+  const payment = await findPayment(req.params.paymentId);
+  await payment.populate("userId", "name phoneNumber email");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, payment, "Payment fetched successfully"));
+});
+
+// @desc    Reconcile a payment: re-check the gateway, or record a settlement/refund made outside the app
+// @route   POST /admin/payments/:paymentId/reconcile
+// @access  Admin (payments:reconcile)
+export const reconcilePaymentAdmin = asyncHandler(async (req, res) => {
+  const { status, note, gatewayTransactionId } = validate(reconcileSchema, req.body);
+  const payment = await findPayment(req.params.paymentId);
+
+  const reconciled = await PaymentService.reconcile(payment, {
+    status,
+    note,
+    gatewayTransactionId,
+    adminId: req.admin._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, reconciled, "Payment reconciled successfully"));
+});
@@ -0,0 +1,204 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import { AppSetting, SETTING_KEYS } from "../../models/settings/appSetting.model.js";
+import { DONATION_TYPES } from "../../config/donorEligibility.js";
+import { BloodBank, BLOOD_BANK_TYPES } from "../../models/redDrop/bloodBank.model.js";
+import { BLOOD_GROUPS } from "../../models/redDrop/bloodRequest.model.js";
+import { Venture } from "../../models/venture.model.js";
+import DonorEligibilityService from "../../../services/DonorEligibilityService.js";
+
+const daysSchema = Joi.number().integer().min(0).max(3650);
+
+const deferralRulesSchema = Joi.object({
+  donationIntervalDays: Joi.object(
+    Object.fromEntries(Object.values(DONATION_TYPES).map((type) => [type, daysSchema]))
+  ),
+  tattooOrPiercingDays: daysSchema,
+  surgeryDays: daysSchema,
+  illnessDays: daysSchema,
+  minAgeYears: Joi.number().integer().min(16).max(30),
+  maxAgeYears: Joi.number().integer().min(50).max(80),
+  minWeightKg: Joi.number().min(30).max(80),
+}).min(1);
+
+const bloodBankFields = {
+  name: Joi.string().min(2).max(150).trim(),
+  type: Joi.string().valid(...Object.values(BLOOD_BANK_TYPES)),
+  address: Joi.string().min(5).max(300).trim(),
+  pinCode: Joi.string().pattern(/^\d{6}$/),
+  contactPhone: Joi.string().pattern(/^\d{10,11}$/),
+  contactEmail: Joi.string().email().allow(null, ""),
+  managedBy: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  isActive: Joi.boolean(),
+};
+
+const createBloodBankSchema = Joi.object({
+  ...bloodBankFields,
+  name: bloodBankFields.name.required(),
+  address: bloodBankFields.address.required(),
+  pinCode: bloodBankFields.pinCode.required(),
+  contactPhone: bloodBankFields.contactPhone.required(),
+});
+
+const updateBloodBankSchema = Joi.object(bloodBankFields).min(1);
+
+const stockUpdateSchema = Joi.object({
+  stock: Joi.array().items(
+    Joi.object({
+      bloodGroup: Joi.string().valid(...BLOOD_GROUPS).required(),
+      units: Joi.number().integer().min(0).max(10000).required(),
+    })
+  ).min(1).unique("bloodGroup").required(),
+});
+
+// @desc    Donor deferral rules (defaults merged with overrides)
+// @route   GET /admin/red-drop/deferral-rules
+// @access  Admin (redDrop:manage)
+export const getDonorDeferralRules = asyncHandler(async (req, res) => {
+  const rules = await DonorEligibilityService.getRules();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, rules, "Deferral rules fetched successfully"));
+});
+
+// @desc    Override deferral rules; donors pick them up the next time their eligibility is checked
+// @route   PUT /admin/red-drop/deferral-rules
+// @access  Admin (redDrop:manage)
+export const updateDonorDeferralRules = asyncHandler(async (req, res) => {
+  const value = validate(deferralRulesSchema, req.body);
+
+  const current = await AppSetting.getValue(SETTING_KEYS.DONOR_DEFERRAL_RULES, {});
+  const next = { ...(current || {}), ...value };
+  if (value.donationIntervalDays) {
+    next.donationIntervalDays = { ...(current?.donationIntervalDays || {}), ...value.donationIntervalDays };
+  }
+  await AppSetting.setValue(SETTING_KEYS.DONOR_DEFERRAL_RULES, next, req.admin._id);
+
+  const rules = await DonorEligibilityService.getRules();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, rules, "Deferral rules updated successfully"));
+});
+
+const findBloodBank = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid blood bank ID");
+  }
+
+  const bank = await BloodBank.findById(id);
+  if (!bank) {
+    throw new ApiError(404, "Blood bank not found");
+  }
+  return bank;
+};
+
+// Every venture named as a manager has to exist
+const assertVenturesExist = async (ventureIds = []) => {
+  if (ventureIds.length === 0) return;
+  const found = await Venture.countDocuments({ _id: { $in: ventureIds } });
+  if (found !== ventureIds.length) {
+    throw new ApiError(422, "One or more ventures in managedBy don't exist");
+  }
+};
+
+// @desc    Blood bank directory (?pinCode= prefix, ?isActive=, ?search= name)
+// @route   GET /admin/blood-banks
+// @access  Admin (redDrop:manage)
+export const listBloodBanksAdmin = asyncHandler(async (req, res) => {
+  const { pinCode, isActive, search } = req.query;
+  const filter = {};
+
+  if (pinCode) {
+    if (!/^\d{1,6}$/.test(pinCode)) {
+      throw new ApiError(400, "pinCode filter must be 1-6 digits");
+    }
+    filter.pinCode = { $regex: `^${pinCode}` };
+  }
+  if (isActive !== undefined) filter.isActive = isActive === "true";
+  if (search) filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+
+  const banks = await BloodBank.find(filter)
+    .populate("managedBy", "firstName lastName phoneNumber")
+    .sort({ name: 1 });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { count: banks.length, banks }, "Blood banks fetched successfully"));
+});
+
+// @desc    Add a blood bank or hospital to the directory
+// @route   POST /admin/blood-banks
+// @access  Admin (redDrop:manage)
+export const createBloodBank = asyncHandler(async (req, res) => {
+  const value = validate(createBloodBankSchema, req.body);
+  await assertVenturesExist(value.managedBy);
+
+  const bank = await BloodBank.create({ ...value, contactEmail: value.contactEmail || null });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, bank, "Blood bank created successfully"));
+});
+
+// @desc    One blood bank with its managers
+// @route   GET /admin/blood-banks/:id
+// @access  Admin (redDrop:manage)
+export const getBloodBankAdmin = asyncHandler(async (req, res) => {
+  const bank = await findBloodBank(req.params.id);
+  await bank.populate("managedBy", "firstName lastName phoneNumber");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, bank, "Blood bank fetched successfully"));
+});
+
+// @desc    Edit a blood bank's details, managers or active flag
+// @route   PATCH /admin/blood-banks/:id
+// @access  Admin (redDrop:manage)
+export const updateBloodBank = asyncHandler(async (req, res) => {
+  const value = validate(updateBloodBankSchema, req.body);
+  await assertVenturesExist(value.managedBy);
+
+  const bank = await findBloodBank(req.params.id);
+  Object.assign(bank, value);
+  if (value.contactEmail === "") bank.contactEmail = null;
+  await bank.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, bank, "Blood bank updated successfully"));
+});
+
+// @desc    Take a blood bank out of the directory (kept for history)
+// @route   DELETE /admin/blood-banks/:id
+// @access  Admin (redDrop:manage)
+export const deactivateBloodBank = asyncHandler(async (req, res) => {
+  const bank = await findBloodBank(req.params.id);
+  bank.isActive = false;
+  await bank.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, bank, "Blood bank deactivated successfully"));
+});
+
+// @desc    Set stock for some or all blood groups
+// @route   PUT /admin/blood-banks/:id/stock
+// @access  Admin (redDrop:manage)
+export const updateBloodBankStockAdmin = asyncHandler(async (req, res) => {
+  const { stock } = validate(stockUpdateSchema, req.body);
+
+  const bank = await findBloodBank(req.params.id);
+  bank.setStock(stock, { actorId: req.admin._id, actorModel: "Admin" });
+  await bank.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, bank, "Stock updated successfully"));
+});
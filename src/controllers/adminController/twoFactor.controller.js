@@ -0,0 +1,315 @@
+import Joi from 'joi';
+import bcrypt from 'bcryptjs';
+import { Admin } from '../../models/admin.model.js';
+import { AppSetting, SETTING_KEYS } from '../../models/settings/appSetting.model.js';
+import JWTService, { MFA_PURPOSES, TOKEN_ROLES } from '../../../services/JWTService.js';
+import TotpService from '../../../services/TotpService.js';
+import SessionService from '../../../services/SessionService.js';
+import AuthThrottleService, { lockedError } from '../../../services/AuthThrottleService.js';
+import { ADMIN_2FA_MAX_ATTEMPTS, ADMIN_2FA_LOCK_MINUTES } from '../../config/index.js';
+import { respondWithAdminSession } from './auth.controller.js';
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { validate } from '../../utils/validate.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+
+const TOTP_ISSUER = 'Fint Admin';
+
+// 🚫 Wrong codes are counted per admin (same throttle as phone OTPs); running out locks the second step
+const THROTTLE_SCOPE = 'admin_2fa';
+const SECOND_FACTOR_LIMITS = {
+  max: Number(ADMIN_2FA_MAX_ATTEMPTS) || 5,
+  windowMs: 60 * 60 * 1000,
+  lockMs: (Number(ADMIN_2FA_LOCK_MINUTES) || 15) * 60 * 1000,
+};
+
+const codeSchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required(),
+});
+
+// Either a 6-digit authenticator code or one of the recovery codes
+const secondFactorFields = {
+  code: Joi.string().pattern(/^\d{6}$/),
+  recoveryCode: Joi.string().trim().min(10).max(20),
+};
+
+const loginTwoFactorSchema = Joi.object({
+  mfaToken: Joi.string().required(),
+  ...secondFactorFields,
+}).xor('code', 'recoveryCode');
+
+const disableTwoFactorSchema = Joi.object({
+  password: Joi.string().required(),
+  ...secondFactorFields,
+}).xor('code', 'recoveryCode');
+
+const securitySettingsSchema = Joi.object({
+  require2FA: Joi.boolean().required(),
+});
+
+const issueRecoveryCodes = () => {
+  const codes = TotpService.generateRecoveryCodes();
+  return { codes, hashes: codes.map(TotpService.hashRecoveryCode) };
+};
+
+/**
+ * Checks a TOTP code (refusing anything at or before the last accepted step) or
+ * burns a recovery code. Both updates are conditional so a code can't be used twice
+ * by parallel requests. Every try is counted before it is checked, and too many
+ * wrong ones lock the admin out for a while. Returns the number of recovery codes left.
+ */
+const consumeSecondFactor = async (adminId, { code, recoveryCode }) => {
+  const admin = await Admin.findById(adminId).select(
+    '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes'
+  );
+  if (!admin?.twoFactor?.enabled) {
+    throw new ApiError(400, 'Two-factor authentication is not enabled');
+  }
+
+  const key = admin._id.toString();
+  const { remaining } = await AuthThrottleService.take(THROTTLE_SCOPE, key, 'attempts', SECOND_FACTOR_LIMITS);
+
+  const rejected = async (message) => {
+    if (remaining <= 0) {
+      return lockedError(await AuthThrottleService.lock(THROTTLE_SCOPE, key, SECOND_FACTOR_LIMITS.lockMs));
+    }
+    return new ApiError(401, `${message}. ${remaining} attempt(s) left.`);
+  };
+
+  if (code) {
+    const step = TotpService.verify(admin.twoFactor.secret, code, {
+      afterStep: admin.twoFactor.lastUsedStep,
+    });
+    const result = step === null
+      ? { modifiedCount: 0 }
+      : await Admin.updateOne(
+        { _id: admin._id, 'twoFactor.lastUsedStep': { $lt: step } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+
+    if (result.modifiedCount === 0) {
+      throw await rejected('Invalid authentication code');
+    }
+    await AuthThrottleService.clear(THROTTLE_SCOPE, key);
+    return admin.twoFactor.recoveryCodes.length;
+  }
+
+  const hash = TotpService.hashRecoveryCode(recoveryCode);
+  const result = await Admin.updateOne(
+    { _id: admin._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  if (result.modifiedCount === 0) {
+    throw await rejected('Invalid recovery code');
+  }
+  await AuthThrottleService.clear(THROTTLE_SCOPE, key);
+  return admin.twoFactor.recoveryCodes.length - 1;
+};
+
+// @desc    Second step of the admin login when 2FA is enabled
+// @route   POST /admin/login/2fa
+// @access  Public (needs the mfaToken returned by /admin/login)
+export const verifyLoginTwoFactorAdmin = asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = validate(loginTwoFactorSchema, req.body);
+
+  let decoded;
+  try {
+    decoded = JWTService.verifyMfaToken(mfaToken, MFA_PURPOSES.LOGIN);
+  } catch (err) {
+    throw new ApiError(401, 'Login step expired. Please log in again.');
+  }
+
+  const admin = await Admin.findById(decoded._id);
+  if (!admin || admin.status === 'disabled') {
+    throw new ApiError(401, 'Admin not found');
+  }
+
+  const recoveryCodesRemaining = await consumeSecondFactor(admin._id, { code, recoveryCode });
+
+  return respondWithAdminSession(
+    req,
+    res,
+    admin,
+    'Login successful',
+    recoveryCode ? { recoveryCodesRemaining } : {}
+  );
+});
+
+// @desc    2FA status for the logged in admin
+// @route   GET /admin/2fa
+// @access  Admin
+export const getTwoFactorStatusAdmin = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.admin._id).select('+twoFactor.recoveryCodes');
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        enabled: admin.twoFactor.enabled,
+        enabledAt: admin.twoFactor.enabledAt,
+        recoveryCodesRemaining: admin.twoFactor.recoveryCodes.length,
+        required: await AppSetting.getValue(SETTING_KEYS.ADMIN_REQUIRE_2FA, false),
+      },
+      'Two-factor status fetched successfully'
+    )
+  );
+});
+
+// @desc    Start enrollment: returns a new secret and its otpauth:// URI (render as QR)
+// @route   POST /admin/2fa/setup
+// @access  Admin, or mid-login with x-mfa-token when 2FA is mandatory
+export const setupTwoFactorAdmin = asyncHandler(async (req, res) => {
+  if (req.admin.twoFactor?.enabled) {
+    throw new ApiError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = TotpService.generateSecret();
+  await Admin.updateOne({ _id: req.admin._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        secret,
+        otpauthUri: TotpService.buildOtpauthUri({
+          secret,
+          accountName: req.admin.email,
+          issuer: TOTP_ISSUER,
+        }),
+      },
+      'Scan the code with your authenticator app, then confirm with a 6-digit code'
+    )
+  );
+});
+
+// @desc    Finish enrollment with a code from the app. Recovery codes are shown once.
+// @route   POST /admin/2fa/enable
+// @access  Admin, or mid-login with x-mfa-token when 2FA is mandatory
+export const enableTwoFactorAdmin = asyncHandler(async (req, res) => {
+  const { code } = validate(codeSchema, req.body);
+
+  const admin = await Admin.findById(req.admin._id).select('+twoFactor.pendingSecret');
+  if (admin.twoFactor.enabled) {
+    throw new ApiError(409, 'Two-factor authentication is already enabled');
+  }
+  if (!admin.twoFactor.pendingSecret) {
+    throw new ApiError(400, 'Start the setup first');
+  }
+
+  const step = TotpService.verify(admin.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new ApiError(401, 'Invalid authentication code');
+  }
+
+  const { codes, hashes } = issueRecoveryCodes();
+
+  admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+  admin.twoFactor.pendingSecret = null;
+  admin.twoFactor.recoveryCodes = hashes;
+  admin.twoFactor.lastUsedStep = step;
+  admin.twoFactor.enabled = true;
+  admin.twoFactor.enabledAt = new Date();
+  await admin.save();
+
+  // Enrolled during a mandatory-2FA login: this completes the login
+  if (req.auth?.mfaEnrollment) {
+    return respondWithAdminSession(req, res, admin, 'Two-factor authentication enabled', {
+      recoveryCodes: codes,
+    });
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, { recoveryCodes: codes }, 'Two-factor authentication enabled')
+  );
+});
+
+// @desc    Turn 2FA off (not allowed while it is mandatory)
+// @route   POST /admin/2fa/disable
+// @access  Admin
+export const disableTwoFactorAdmin = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = validate(disableTwoFactorSchema, req.body);
+
+  if (await AppSetting.getValue(SETTING_KEYS.ADMIN_REQUIRE_2FA, false)) {
+    throw new ApiError(403, 'Two-factor authentication is required for all admins');
+  }
+
+  const admin = await Admin.findById(req.admin._id);
+  if (!(await bcrypt.compare(password, admin.password))) {
+    throw new ApiError(401, 'Invalid credentials');
+  }
+
+  await consumeSecondFactor(admin._id, { code, recoveryCode });
+
+  await Admin.updateOne(
+    { _id: admin._id },
+    {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.secret': null,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': [],
+        'twoFactor.lastUsedStep': -1,
+        'twoFactor.enabledAt': null,
+      },
+    }
+  );
+
+  return res.status(200).json(
+    new ApiResponse(200, null, 'Two-factor authentication disabled')
+  );
+});
+
+// @desc    Replace all recovery codes (the old ones stop working)
+// @route   POST /admin/2fa/recovery-codes
+// @access  Admin
+export const regenerateRecoveryCodesAdmin = asyncHandler(async (req, res) => {
+  const { code } = validate(codeSchema, req.body);
+
+  await consumeSecondFactor(req.admin._id, { code });
+
+  const { codes, hashes } = issueRecoveryCodes();
+  await Admin.updateOne({ _id: req.admin._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+  return res.status(200).json(
+    new ApiResponse(200, { recoveryCodes: codes }, 'Recovery codes regenerated')
+  );
+});
+
+// @desc    Admin-wide security switches
+// @route   GET /admin/security-settings
+// @access  Admin (admins:manage)
+export const getSecuritySettings = asyncHandler(async (req, res) => {
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { require2FA: await AppSetting.getValue(SETTING_KEYS.ADMIN_REQUIRE_2FA, false) },
+      'Security settings fetched successfully'
+    )
+  );
+});
+
+// @desc    Make 2FA mandatory (or optional again) for every admin. Admins without
+//          2FA are asked to enroll at their next login.
+// @route   PATCH /admin/security-settings
+// @access  Admin (admins:manage)
+export const updateSecuritySettings = asyncHandler(async (req, res) => {
+  const { require2FA } = validate(securitySettingsSchema, req.body);
+
+  let sessionsRevokedFor = 0;
+  if (require2FA) {
+    if (!req.admin.twoFactor?.enabled) {
+      throw new ApiError(409, 'Enable two-factor authentication on your own account first');
+    }
+
+    // 🔐 Admins who never enrolled are logged out, so their next login goes through enrollment
+    const unenrolled = await Admin.find({ 'twoFactor.enabled': { $ne: true } }).distinct('_id');
+    await SessionService.revokeAllFor(TOKEN_ROLES.ADMIN, unenrolled, '2fa_required');
+    sessionsRevokedFor = unenrolled.length;
+  }
+
+  await AppSetting.setValue(SETTING_KEYS.ADMIN_REQUIRE_2FA, require2FA, req.admin._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, { require2FA, sessionsRevokedFor }, 'Security settings updated successfully')
+  );
+});
@@ -0,0 +1,152 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { BloodBank } from "../../models/redDrop/bloodBank.model.js";
+import { BLOOD_GROUPS } from "../../models/redDrop/bloodRequest.model.js";
+import { compatibleDonorGroups } from "../../config/bloodCompatibility.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import DonorMatchingService from "../../../services/DonorMatchingService.js";
+
+const searchSchema = Joi.object({
+  bloodGroup: Joi.string().valid(...BLOOD_GROUPS).required(),
+  pinCode: Joi.string().pattern(/^\d{6}$/).optional(), // defaults to the user's own pin code
+  minUnits: Joi.number().integer().min(1).max(100).default(1),
+  compatible: Joi.boolean().default(false), // also list groups the patient can receive
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
+
+const stockUpdateSchema = Joi.object({
+  stock: Joi.array().items(
+    Joi.object({
+      bloodGroup: Joi.string().valid(...BLOOD_GROUPS).required(),
+      units: Joi.number().integer().min(0).max(10000).required(),
+    })
+  ).min(1).unique("bloodGroup").required(),
+});
+
+// Hand out the directory entry without internal bookkeeping
+const toDirectoryEntry = (bank, extra = {}) => ({
+  _id: bank._id,
+  name: bank.name,
+  type: bank.type,
+  address: bank.address,
+  pinCode: bank.pinCode,
+  contactPhone: bank.contactPhone,
+  contactEmail: bank.contactEmail,
+  stock: bank.stock.map(({ bloodGroup, units, updatedAt }) => ({ bloodGroup, units, updatedAt })),
+  stockUpdatedAt: bank.stockUpdatedAt,
+  ...extra,
+});
+
+// @desc    Blood banks and hospitals holding a blood group, nearest first
+//          (?bloodGroup=O-&pinCode=560001&minUnits=2&compatible=true)
+//          Searches outward from the pin code ring by ring, like donor matching, and stops at `limit`
+// @route   GET /fint/redDrop/blood-banks
+// @access  User
+export const searchBloodBanks = asyncHandler(async (req, res) => {
+  const { bloodGroup, pinCode = req.user.pinCode, minUnits, compatible, limit } = validate(searchSchema, req.query);
+
+  const rings = DonorMatchingService.searchRings(pinCode);
+  if (rings.length === 0) {
+    throw new ApiError(400, "A 6-digit pinCode is required to search near you");
+  }
+
+  const groups = compatible ? compatibleDonorGroups(bloodGroup) : [bloodGroup];
+  const banks = [];
+  for (const ring of rings) {
+    if (banks.length >= limit) break;
+
+    const found = await BloodBank.find({
+      _id: { $nin: banks.map((bank) => bank._id) },
+      isActive: true,
+      pinCode: ring,
+      stock: { $elemMatch: { bloodGroup: { $in: groups }, units: { $gte: minUnits } } },
+    }).limit(limit - banks.length);
+    banks.push(...found);
+  }
+
+  const origin = DonorMatchingService.locate(pinCode);
+
+  const results = banks
+    .map((bank) => {
+      const available = bank.stock.filter((s) => groups.includes(s.bloodGroup) && s.units >= minUnits);
+      return toDirectoryEntry(bank, {
+        available: available.map(({ bloodGroup, units, updatedAt }) => ({ bloodGroup, units, updatedAt })),
+        distanceKm: bank.pinCode === pinCode
+          ? 0
+          : DonorMatchingService.distanceKm(origin, DonorMatchingService.locate(bank.pinCode)),
+      });
+    })
+    // 📍 Nearest first, banks we can't place last, fresher stock wins a tie
+    .sort((a, b) => {
+      if (a.distanceKm !== b.distanceKm) {
+        if (a.distanceKm === null) return 1;
+        if (b.distanceKm === null) return -1;
+        return a.distanceKm - b.distanceKm;
+      }
+      return (b.stockUpdatedAt || 0) - (a.stockUpdatedAt || 0);
+    });
+
+  return res.status(200).json(
+    new ApiResponse(200, { count: results.length, bloodGroups: groups, results }, "Blood banks fetched successfully")
+  );
+});
+
+// @desc    One blood bank or hospital with its full stock
+// @route   GET /fint/redDrop/blood-banks/:id
+// @access  User
+export const getBloodBank = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid blood bank ID");
+  }
+
+  const bank = await BloodBank.findOne({ _id: id, isActive: true });
+  if (!bank) {
+    throw new ApiError(404, "Blood bank not found");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, toDirectoryEntry(bank), "Blood bank fetched successfully")
+  );
+});
+
+// @desc    Blood banks the logged-in venture maintains
+// @route   GET /fint/redDrop/venture/blood-banks
+// @access  Venture
+export const listManagedBloodBanks = asyncHandler(async (req, res) => {
+  const banks = await BloodBank.find({ managedBy: req.venture._id }).select("-__v").sort({ name: 1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, banks, "Blood banks fetched successfully")
+  );
+});
+
+// @desc    Report current stock for some or all blood groups
+// @route   PUT /fint/redDrop/venture/blood-banks/:id/stock
+// @access  Venture (must manage the bank)
+export const updateManagedBloodBankStock = asyncHandler(async (req, res) => {
+  const { stock } = validate(stockUpdateSchema, req.body);
+
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid blood bank ID");
+  }
+
+  const bank = await BloodBank.findOne({ _id: id, managedBy: req.venture._id });
+  if (!bank) {
+    throw new ApiError(404, "Blood bank not found");
+  }
+  if (!bank.isActive) {
+    throw new ApiError(409, "This blood bank has been deactivated");
+  }
+
+  bank.setStock(stock, { actorId: req.venture._id, actorModel: "Venture" });
+  await bank.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, bank, "Stock updated successfully")
+  );
+});
@@ -0,0 +1,188 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { Claim, CLAIM_STATUSES } from "../../models/pet/claim.model.js";
+import { Insurance, INSURANCE_STATUSES } from "../../models/pet/insurance.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import NosePrintService from "../../../services/NosePrintService.js";
+
+// 📎 Invoice amounts arrive alongside the files in a multipart form, one per uploaded invoice, in the same order
+const fileClaimSchema = Joi.object({
+  policyId: Joi.string().required(),
+  petId: Joi.string().required(),
+  coverageKey: Joi.string().trim().lowercase().required(),
+  incidentDate: Joi.date().max("now").required(),
+  description: Joi.string().trim().min(10).max(2000).required(),
+  vetName: Joi.string().trim().max(100).optional(),
+  invoiceAmounts: Joi.array().items(Joi.number().positive()).min(1).required(),
+});
+
+// Form fields are strings: accept "1200,450" or repeated invoiceAmounts fields
+const parseAmounts = (value) => {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((v) => (typeof v === "string" ? v.trim() : v));
+};
+
+const toUploads = (files = []) =>
+  files.map((file) => ({ file: file.path, originalName: file.originalname }));
+
+const findOwnClaim = async (req) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid claim ID");
+  }
+
+  const claim = await Claim.findOne({ _id: id, user: req.user._id });
+  if (!claim) {
+    throw new ApiError(404, "Claim not found");
+  }
+  return claim;
+};
+
+// @desc    File a claim for a pet on an active policy, with vet invoices and supporting documents
+// @route   POST /fint/petInsurance/claims
+// @access  User
+export const fileClaim = asyncHandler(async (req, res) => {
+  const invoiceFiles = req.files?.invoices || [];
+  const documentFiles = req.files?.documents || [];
+  const noseImg = req.files?.noseImg?.[0] || null;
+
+  const { policyId, petId, coverageKey, incidentDate, description, vetName, invoiceAmounts } = validate(
+    fileClaimSchema,
+    { ...req.body, invoiceAmounts: parseAmounts(req.body.invoiceAmounts) }
+  );
+
+  if (invoiceFiles.length !== invoiceAmounts.length) {
+    throw new ApiError(400, "Upload one invoice file for each invoice amount");
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(policyId)) {
+    throw new ApiError(400, "Invalid policy ID");
+  }
+
+  const policy = await Insurance.findOne({ _id: policyId, user: req.user._id });
+  if (!policy) {
+    throw new ApiError(404, "Policy not found");
+  }
+  if (policy.status !== INSURANCE_STATUSES.ACTIVE) {
+    throw new ApiError(409, `Claims can only be filed on active policies (this one is ${policy.status})`);
+  }
+
+  const pet = policy.pets.find((p) => p.petId === petId);
+  if (!pet) {
+    throw new ApiError(404, "Pet not found on this policy");
+  }
+  if (!pet.plan) {
+    throw new ApiError(409, "This pet is not covered by a plan");
+  }
+
+  // 📅 Only incidents inside the current policy term are covered
+  if (incidentDate < policy.policyStartDate || incidentDate > policy.policyEndDate) {
+    throw new ApiError(422, "Incident date is outside the current policy term");
+  }
+
+  // 📜 Cover is what was agreed for this term; policies approved before snapshots existed get one now
+  if (!pet.planTerms) {
+    await policy.snapshotPlanTerms();
+    await policy.save();
+  }
+  if (!pet.planTerms?.coverageItems.some((item) => item.key === coverageKey)) {
+    throw new ApiError(422, `The pet's plan has no "${coverageKey}" cover`, [
+      { field: "coverageKey", allowed: pet.planTerms?.coverageItems.map((item) => item.key) || [] },
+    ]);
+  }
+
+  // 👃 Re-check the animal: a fresh nose photo must match the fingerprint taken when it was insured
+  let identityCheck = { status: "unavailable" };
+  if (pet.nosePrint?.hash) {
+    if (!noseImg) {
+      throw new ApiError(400, "Upload a current nose photo of the pet (noseImg) to file a claim");
+    }
+    const result = await NosePrintService.verify(pet.nosePrint.hash, noseImg.path);
+    if (!result.matched) {
+      throw new ApiError(422, "The nose photo doesn't match the insured pet. Retake it in good light and try again.");
+    }
+    identityCheck = { status: "matched", file: noseImg.path, hash: result.hash, distance: result.distance, checkedAt: result.checkedAt };
+  }
+
+  const invoices = invoiceFiles.map((file, index) => ({
+    file: file.path,
+    originalName: file.originalname,
+    amount: invoiceAmounts[index],
+  }));
+
+  const claim = await Claim.create({
+    policy: policy._id,
+    petId,
+    user: req.user._id,
+    plan: pet.plan,
+    planTerms: pet.planTerms.toObject(),
+    termStartDate: policy.policyStartDate,
+    coverageKey,
+    incidentDate,
+    description,
+    vetName: vetName || null,
+    invoices,
+    documents: toUploads(documentFiles),
+    claimedAmount: invoiceAmounts.reduce((sum, amount) => sum + amount, 0),
+    identityCheck,
+  });
+
+  return res.status(201).json(
+    new ApiResponse(201, claim, "Claim filed successfully")
+  );
+});
+
+// @desc    The logged-in user's claims (optional ?status= and ?policyId=)
+// @route   GET /fint/petInsurance/claims
+// @access  User
+export const listMyClaims = asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.policyId && mongoose.Types.ObjectId.isValid(req.query.policyId)) {
+    filter.policy = req.query.policyId;
+  }
+
+  const claims = await Claim.find(filter).select("-__v").sort({ createdAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, claims, "Claims fetched successfully")
+  );
+});
+
+// @desc    One of the logged-in user's claims
+// @route   GET /fint/petInsurance/claims/:id
+// @access  User
+export const getMyClaimById = asyncHandler(async (req, res) => {
+  const claim = await findOwnClaim(req);
+
+  return res.status(200).json(
+    new ApiResponse(200, claim, "Claim fetched successfully")
+  );
+});
+
+// @desc    Upload more supporting documents while the claim is still open for review
+// @route   POST /fint/petInsurance/claims/:id/documents
+// @access  User
+export const addClaimDocuments = asyncHandler(async (req, res) => {
+  const documentFiles = req.files || [];
+  if (documentFiles.length === 0) {
+    throw new ApiError(400, "Attach at least one document");
+  }
+
+  const claim = await findOwnClaim(req);
+  if (![CLAIM_STATUSES.FILED, CLAIM_STATUSES.ASSESSING].includes(claim.status)) {
+    throw new ApiError(409, `Documents can't be added to a ${claim.status} claim`);
+  }
+
+  claim.documents.push(...toUploads(documentFiles));
+  await claim.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, claim, "Documents added successfully")
+  );
+});
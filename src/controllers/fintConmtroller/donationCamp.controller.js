@@ -0,0 +1,534 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import QRCode from "qrcode";
+import { DonationCamp, CAMP_STATUSES } from "../../models/redDrop/donationCamp.model.js";
+import { CampBooking, CAMP_BOOKING_STATUSES, CHECK_IN_PREFIX } from "../../models/redDrop/campBooking.model.js";
+import { BLOOD_GROUPS } from "../../models/redDrop/bloodRequest.model.js";
+import { DONATION_SOURCES } from "../../models/redDrop/donation.model.js";
+import { User } from "../../models/user.model.js";
+import { DONATION_TYPES } from "../../config/donorEligibility.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import DonorMatchingService from "../../../services/DonorMatchingService.js";
+import DonorEligibilityService from "../../../services/DonorEligibilityService.js";
+
+// 🚪 Check-in opens a little before the camp starts so early arrivals can be scanned
+const CHECK_IN_OPENS_BEFORE_MS = 2 * 60 * 60 * 1000;
+
+const slotSchema = Joi.object({
+  startsAt: Joi.date().required(),
+  endsAt: Joi.date().greater(Joi.ref("startsAt")).required(),
+  capacity: Joi.number().integer().min(1).max(500).required(),
+});
+
+const createCampSchema = Joi.object({
+  title: Joi.string().min(3).max(150).trim().required(),
+  description: Joi.string().max(2000).trim().allow("").optional(),
+  venue: Joi.string().min(2).max(150).trim().required(),
+  address: Joi.string().min(5).max(300).trim().required(),
+  pinCode: Joi.string().pattern(/^\d{6}$/).required(),
+  startsAt: Joi.date().greater("now").required(),
+  endsAt: Joi.date().greater(Joi.ref("startsAt")).required(),
+  slots: Joi.array().items(slotSchema).min(1).max(100).required(),
+  targetGroups: Joi.array().items(Joi.string().valid(...BLOOD_GROUPS)).unique().optional(),
+});
+
+const updateCampSchema = Joi.object({
+  title: Joi.string().min(3).max(150).trim(),
+  description: Joi.string().max(2000).trim().allow(""),
+  venue: Joi.string().min(2).max(150).trim(),
+  address: Joi.string().min(5).max(300).trim(),
+  targetGroups: Joi.array().items(Joi.string().valid(...BLOOD_GROUPS)).unique(),
+  // Capacity changes only; existing slots are referenced by bookings
+  slotCapacities: Joi.array().items(
+    Joi.object({
+      slotId: Joi.string().hex().length(24).required(),
+      capacity: Joi.number().integer().min(1).max(500).required(),
+    })
+  ),
+}).min(1);
+
+const cancelCampSchema = Joi.object({
+  reason: Joi.string().max(500).trim().allow("").optional(),
+});
+
+const listCampsQuerySchema = Joi.object({
+  pinCode: Joi.string().pattern(/^\d{6}$/).optional(), // defaults to the user's own pin code
+  bloodGroup: Joi.string().valid(...BLOOD_GROUPS).optional(),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
+
+const bookSlotSchema = Joi.object({
+  slotId: Joi.string().hex().length(24).required(),
+});
+
+const checkInSchema = Joi.object({
+  code: Joi.string().trim().required(), // the scanned QR payload
+  units: Joi.number().integer().min(1).max(2).default(1),
+  donationType: Joi.string().valid(...Object.values(DONATION_TYPES)).default(DONATION_TYPES.WHOLE_BLOOD),
+  notes: Joi.string().max(500).trim().allow("").optional(),
+});
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, `Invalid ${label} ID`);
+  }
+};
+
+const findOwnCamp = async (req) => {
+  assertObjectId(req.params.id, "camp");
+  await DonationCamp.completePast({ _id: req.params.id });
+
+  const camp = await DonationCamp.findOne({ _id: req.params.id, organiser: req.venture._id });
+  if (!camp) {
+    throw new ApiError(404, "Camp not found");
+  }
+  return camp;
+};
+
+const findOwnBooking = async (req) => {
+  assertObjectId(req.params.bookingId, "booking");
+
+  const booking = await CampBooking.findOne({ _id: req.params.bookingId, user: req.user._id });
+  if (!booking) {
+    throw new ApiError(404, "Booking not found");
+  }
+  return booking;
+};
+
+// 🔳 The QR the donor shows at the camp, as a PNG data URL
+const withQrCode = async (booking) => ({
+  ...booking.toObject(),
+  checkInPayload: booking.checkInPayload,
+  qrCode: booking.status === CAMP_BOOKING_STATUSES.BOOKED
+    ? await QRCode.toDataURL(booking.checkInPayload, { margin: 1, width: 320 })
+    : null,
+});
+
+const slotsAreInsideCamp = ({ startsAt, endsAt, slots }) =>
+  slots.every((slot) => slot.startsAt >= startsAt && slot.endsAt <= endsAt);
+
+/* --------------------- 🏢 Venture side --------------------- */
+
+// @desc    Publish a donation camp with bookable slots
+// @route   POST /fint/redDrop/venture/camps
+// @access  Venture
+export const createDonationCamp = asyncHandler(async (req, res) => {
+  const value = validate(createCampSchema, req.body);
+  if (!slotsAreInsideCamp(value)) {
+    throw new ApiError(422, "Every slot must fall between the camp's start and end");
+  }
+
+  const camp = await DonationCamp.create({
+    ...value,
+    description: value.description || null,
+    slots: value.slots.map((slot) => ({ ...slot, available: slot.capacity })),
+    organiser: req.venture._id,
+  });
+
+  return res.status(201).json(
+    new ApiResponse(201, camp, "Donation camp published successfully")
+  );
+});
+
+// @desc    Camps the logged-in venture organises (optional ?status=)
+// @route   GET /fint/redDrop/venture/camps
+// @access  Venture
+export const listMyCamps = asyncHandler(async (req, res) => {
+  await DonationCamp.completePast({ organiser: req.venture._id });
+
+  const filter = { organiser: req.venture._id };
+  if (req.query.status) filter.status = { $in: req.query.status.split(",") };
+
+  const camps = await DonationCamp.find(filter).select("-__v").sort({ startsAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, camps, "Donation camps fetched successfully")
+  );
+});
+
+// @desc    One of the venture's camps with booking counts
+// @route   GET /fint/redDrop/venture/camps/:id
+// @access  Venture
+export const getMyCamp = asyncHandler(async (req, res) => {
+  const camp = await findOwnCamp(req);
+
+  const counts = await CampBooking.aggregate([
+    { $match: { camp: camp._id } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const bookingSummary = counts.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {});
+
+  return res.status(200).json(
+    new ApiResponse(200, { camp, bookingSummary }, "Donation camp fetched successfully")
+  );
+});
+
+// @desc    Edit details, target groups or slot capacities of an upcoming camp
+// @route   PATCH /fint/redDrop/venture/camps/:id
+// @access  Venture
+export const updateMyCamp = asyncHandler(async (req, res) => {
+  const { slotCapacities, ...details } = validate(updateCampSchema, req.body);
+
+  const camp = await findOwnCamp(req);
+  if (camp.status !== CAMP_STATUSES.SCHEDULED) {
+    throw new ApiError(409, `A ${camp.status} camp can't be edited`);
+  }
+
+  Object.assign(camp, details);
+  if (details.description === "") camp.description = null;
+
+  for (const { slotId } of slotCapacities || []) {
+    if (!camp.slots.id(slotId)) {
+      throw new ApiError(404, `Slot ${slotId} not found on this camp`);
+    }
+  }
+  await camp.save();
+
+  // 🎟️ Capacity moves by a delta so seats taken meanwhile aren't overwritten
+  for (const { slotId, capacity } of slotCapacities || []) {
+    const delta = capacity - camp.slots.id(slotId).capacity;
+    if (delta === 0) continue;
+
+    const result = await DonationCamp.updateOne(
+      { _id: camp._id, slots: { $elemMatch: { _id: slotId, available: { $gte: -delta } } } },
+      { $inc: { "slots.$.capacity": delta, "slots.$.available": delta } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new ApiError(409, `Slot ${slotId} already has more bookings than ${capacity}`);
+    }
+  }
+
+  const updated = await DonationCamp.findById(camp._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, updated, "Donation camp updated successfully")
+  );
+});
+
+// @desc    Cancel an upcoming camp; every live booking is cancelled with it
+// @route   PATCH /fint/redDrop/venture/camps/:id/cancel
+// @access  Venture
+export const cancelMyCamp = asyncHandler(async (req, res) => {
+  const { reason } = validate(cancelCampSchema, req.body);
+
+  const camp = await findOwnCamp(req);
+  if (camp.status !== CAMP_STATUSES.SCHEDULED) {
+    throw new ApiError(409, `A ${camp.status} camp can't be cancelled`);
+  }
+
+  camp.status = CAMP_STATUSES.CANCELLED;
+  camp.cancelledAt = new Date();
+  camp.cancelReason = reason || null;
+  await camp.save();
+
+  const { modifiedCount } = await CampBooking.updateMany(
+    { camp: camp._id, status: CAMP_BOOKING_STATUSES.BOOKED },
+    { $set: { status: CAMP_BOOKING_STATUSES.CANCELLED, cancelledAt: camp.cancelledAt } }
+  );
+
+  return res.status(200).json(
+    new ApiResponse(200, { camp, bookingsCancelled: modifiedCount }, "Donation camp cancelled")
+  );
+});
+
+// @desc    Bookings for one of the venture's camps (optional ?status=)
+// @route   GET /fint/redDrop/venture/camps/:id/bookings
+// @access  Venture
+export const listCampBookings = asyncHandler(async (req, res) => {
+  const camp = await findOwnCamp(req);
+
+  const filter = { camp: camp._id };
+  if (req.query.status) filter.status = { $in: req.query.status.split(",") };
+
+  const bookings = await CampBooking.find(filter)
+    .select("-checkInCode -__v")
+    .populate("user", "name bloodGroup")
+    .sort({ createdAt: 1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, { count: bookings.length, bookings }, "Bookings fetched successfully")
+  );
+});
+
+// @desc    Scan a donor's QR code at the camp; checks them in and records the donation
+// @route   POST /fint/redDrop/venture/camps/:id/check-in
+// @access  Venture
+export const checkInCampDonor = asyncHandler(async (req, res) => {
+  const { code, units, donationType, notes } = validate(checkInSchema, req.body);
+
+  const camp = await findOwnCamp(req);
+  const now = new Date();
+  const opensAt = new Date(camp.startsAt.getTime() - CHECK_IN_OPENS_BEFORE_MS);
+  if (camp.status !== CAMP_STATUSES.SCHEDULED || now < opensAt || now > camp.endsAt) {
+    throw new ApiError(409, "Check-in is only open while the camp is running");
+  }
+
+  const checkInCode = code.startsWith(CHECK_IN_PREFIX) ? code.slice(CHECK_IN_PREFIX.length) : code;
+  const booking = await CampBooking.findOne({ camp: camp._id, checkInCode });
+  if (!booking) {
+    throw new ApiError(404, "This QR code isn't a booking for this camp");
+  }
+  if (booking.status !== CAMP_BOOKING_STATUSES.BOOKED) {
+    throw new ApiError(409, `This booking is already ${booking.status.replace(/_/g, " ")}`);
+  }
+
+  // 🩺 The deferral may have started after the slot was booked (e.g. a donation elsewhere)
+  const { eligible, nextEligibleAt } = await DonorEligibilityService.refresh(booking.user);
+  if (!eligible) {
+    throw new ApiError(409, nextEligibleAt
+      ? `This donor can't donate until ${nextEligibleAt.toISOString().slice(0, 10)}`
+      : "This donor isn't eligible to donate");
+  }
+
+  // 🔒 Claim the booking first so a double scan can't record two donations
+  const claimed = await CampBooking.findOneAndUpdate(
+    { _id: booking._id, status: CAMP_BOOKING_STATUSES.BOOKED },
+    { $set: { status: CAMP_BOOKING_STATUSES.CHECKED_IN, checkedInAt: now, checkedInBy: req.venture._id } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ApiError(409, "This booking was just checked in");
+  }
+
+  let donation;
+  try {
+    donation = await DonorEligibilityService.addDonation(booking.user, {
+      donatedAt: now,
+      donationType,
+      units,
+      location: `${camp.venue} (${camp.title})`,
+      pinCode: camp.pinCode,
+      source: DONATION_SOURCES.CAMP,
+      camp: camp._id,
+      notes: notes || null,
+    });
+  } catch (error) {
+    // ↩️ The donation wasn't created, so hand the booking back for another scan
+    await CampBooking.updateOne(
+      { _id: claimed._id, status: CAMP_BOOKING_STATUSES.CHECKED_IN, donation: null },
+      { $set: { status: CAMP_BOOKING_STATUSES.BOOKED, checkedInAt: null, checkedInBy: null } }
+    );
+    throw error;
+  }
+
+  claimed.donation = donation._id;
+  await claimed.save();
+
+  // 🩺 Donation and booking are saved either way; a failed re-evaluation is caught up on
+  // the donor's next eligibility check rather than undoing the check-in
+  try {
+    await DonorEligibilityService.refresh(booking.user);
+  } catch (error) {
+    console.error(`❌ Couldn't re-evaluate donor ${booking.user} after camp check-in:`, error.message);
+  }
+
+  const donor = await User.findById(booking.user).select("name bloodGroup");
+
+  return res.status(200).json(
+    new ApiResponse(200, { booking: claimed, donation, donor }, "Donor checked in and donation recorded")
+  );
+});
+
+/* --------------------- 🙋 User side --------------------- */
+
+// @desc    Upcoming camps, nearest first (?pinCode= defaults to the user's, ?bloodGroup= for camps collecting it)
+//          Searches outward from the pin code ring by ring, like donor matching, and stops at ?limit=
+// @route   GET /fint/redDrop/camps
+// @access  User
+export const listUpcomingCamps = asyncHandler(async (req, res) => {
+  const { pinCode = req.user.pinCode, bloodGroup, limit } = validate(listCampsQuerySchema, req.query);
+
+  const rings = DonorMatchingService.searchRings(pinCode);
+  if (rings.length === 0) {
+    throw new ApiError(400, "A 6-digit pinCode is required to search near you");
+  }
+
+  // Past camps are filtered out here; reads of a single camp or an organiser's camps mark them completed
+  const filter = { status: CAMP_STATUSES.SCHEDULED, endsAt: { $gte: new Date() } };
+  if (bloodGroup) {
+    filter.$or = [{ targetGroups: { $size: 0 } }, { targetGroups: bloodGroup }];
+  }
+
+  const camps = [];
+  for (const ring of rings) {
+    if (camps.length >= limit) break;
+
+    const found = await DonationCamp.find({ ...filter, _id: { $nin: camps.map((camp) => camp._id) }, pinCode: ring })
+      .select("-__v")
+      .populate("organiser", "firstName lastName")
+      .sort({ startsAt: 1 })
+      .limit(limit - camps.length);
+    camps.push(...found);
+  }
+
+  const origin = DonorMatchingService.locate(pinCode);
+  const results = camps
+    .map((camp) => ({
+      ...camp.toObject(),
+      seatsLeft: camp.slots.reduce((sum, slot) => sum + slot.available, 0),
+      distanceKm: camp.pinCode === pinCode
+        ? 0
+        : DonorMatchingService.distanceKm(origin, DonorMatchingService.locate(camp.pinCode)),
+    }))
+    .sort((a, b) => {
+      if (a.distanceKm === b.distanceKm) return a.startsAt - b.startsAt;
+      if (a.distanceKm === null) return 1;
+      if (b.distanceKm === null) return -1;
+      return a.distanceKm - b.distanceKm;
+    });
+
+  return res.status(200).json(
+    new ApiResponse(200, results, "Donation camps fetched successfully")
+  );
+});
+
+// @desc    One camp with its slots
+// @route   GET /fint/redDrop/camps/:id
+// @access  User
+export const getCamp = asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id, "camp");
+  await DonationCamp.completePast({ _id: req.params.id });
+
+  const camp = await DonationCamp.findById(req.params.id)
+    .select("-__v")
+    .populate("organiser", "firstName lastName phoneNumber");
+  if (!camp) {
+    throw new ApiError(404, "Camp not found");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, camp, "Donation camp fetched successfully")
+  );
+});
+
+// @desc    Book a slot at a camp; the response carries the QR code to show at check-in
+// @route   POST /fint/redDrop/camps/:id/bookings
+// @access  User
+export const bookCampSlot = asyncHandler(async (req, res) => {
+  const { slotId } = validate(bookSlotSchema, req.body);
+  assertObjectId(req.params.id, "camp");
+  await DonationCamp.completePast({ _id: req.params.id });
+
+  const camp = await DonationCamp.findById(req.params.id);
+  if (!camp) {
+    throw new ApiError(404, "Camp not found");
+  }
+  if (camp.status !== CAMP_STATUSES.SCHEDULED) {
+    throw new ApiError(409, `This camp is ${camp.status}`);
+  }
+
+  const slot = camp.slots.id(slotId);
+  if (!slot) {
+    throw new ApiError(404, "Slot not found on this camp");
+  }
+  if (slot.endsAt < new Date()) {
+    throw new ApiError(409, "This slot has already passed");
+  }
+
+  if (!camp.acceptsGroup(req.user.bloodGroup)) {
+    throw new ApiError(422, `This camp is only collecting ${camp.targetGroups.join(", ")}`);
+  }
+
+  // 🩺 Must be able to donate by the time the slot starts
+  const { user } = await DonorEligibilityService.refresh(req.user._id);
+  const eligibility = user.donorEligibility;
+  if (eligibility?.indefinite || (eligibility?.nextEligibleAt && eligibility.nextEligibleAt > slot.startsAt)) {
+    throw new ApiError(409, eligibility.nextEligibleAt
+      ? `You can donate again from ${eligibility.nextEligibleAt.toISOString().slice(0, 10)}`
+      : "You aren't eligible to donate at the moment");
+  }
+
+  const existing = await CampBooking.findOne({
+    camp: camp._id,
+    user: req.user._id,
+    status: { $in: [CAMP_BOOKING_STATUSES.BOOKED, CAMP_BOOKING_STATUSES.CHECKED_IN] },
+  });
+  if (existing) {
+    throw new ApiError(409, "You already have a booking at this camp");
+  }
+
+  // 🎟️ Take a seat atomically so two donors can't get the last one
+  const seated = await DonationCamp.updateOne(
+    { _id: camp._id, status: CAMP_STATUSES.SCHEDULED, slots: { $elemMatch: { _id: slot._id, available: { $gt: 0 } } } },
+    { $inc: { "slots.$.available": -1 } }
+  );
+  if (seated.modifiedCount === 0) {
+    throw new ApiError(409, "This slot is full");
+  }
+
+  let booking;
+  try {
+    booking = await CampBooking.create({ camp: camp._id, slot: slot._id, user: req.user._id });
+  } catch (error) {
+    await DonationCamp.updateOne({ _id: camp._id, "slots._id": slot._id }, { $inc: { "slots.$.available": 1 } });
+    if (error.code === 11000) {
+      throw new ApiError(409, "You already have a booking at this camp");
+    }
+    throw error;
+  }
+
+  return res.status(201).json(
+    new ApiResponse(201, await withQrCode(booking), "Slot booked. Show the QR code at the camp to check in")
+  );
+});
+
+// @desc    The logged-in user's camp bookings
+// @route   GET /fint/redDrop/camps/bookings
+// @access  User
+export const listMyCampBookings = asyncHandler(async (req, res) => {
+  const bookings = await CampBooking.find({ user: req.user._id })
+    .select("-checkInCode -__v")
+    .populate("camp", "title venue address pinCode startsAt endsAt status")
+    .sort({ createdAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, bookings, "Bookings fetched successfully")
+  );
+});
+
+// @desc    One booking with its check-in QR code
+// @route   GET /fint/redDrop/camps/bookings/:bookingId
+// @access  User
+export const getMyCampBooking = asyncHandler(async (req, res) => {
+  const booking = await findOwnBooking(req);
+  await booking.populate("camp", "title venue address pinCode startsAt endsAt status slots");
+
+  return res.status(200).json(
+    new ApiResponse(200, await withQrCode(booking), "Booking fetched successfully")
+  );
+});
+
+// @desc    Cancel a booking and free the seat
+// @route   PATCH /fint/redDrop/camps/bookings/:bookingId/cancel
+// @access  User
+export const cancelMyCampBooking = asyncHandler(async (req, res) => {
+  const booking = await findOwnBooking(req);
+
+  // 🔒 Only the request that actually moves the booking out of "booked" frees the seat,
+  // so a double tap (or a cancel racing a check-in) can't hand it back twice
+  const cancelled = await CampBooking.findOneAndUpdate(
+    { _id: booking._id, user: req.user._id, status: CAMP_BOOKING_STATUSES.BOOKED },
+    { $set: { status: CAMP_BOOKING_STATUSES.CANCELLED, cancelledAt: new Date() } },
+    { new: true }
+  );
+  if (!cancelled) {
+    const current = await CampBooking.findById(booking._id).select("status");
+    const status = (current?.status || booking.status).replace(/_/g, " ");
+    throw new ApiError(409, `A ${status} booking can't be cancelled`);
+  }
+
+  await DonationCamp.updateOne(
+    { _id: cancelled.camp, status: CAMP_STATUSES.SCHEDULED, "slots._id": cancelled.slot },
+    { $inc: { "slots.$.available": 1 } }
+  );
+
+  return res.status(200).json(
+    new ApiResponse(200, cancelled, "Booking cancelled")
+  );
+});
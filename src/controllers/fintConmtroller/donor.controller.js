@@ -0,0 +1,138 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import { User } from "../../models/user.model.js";
+import { Donation, DONATION_CONFIRMATIONS } from "../../models/redDrop/donation.model.js";
+import { DONATION_TYPES } from "../../config/donorEligibility.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import DonorEligibilityService from "../../../services/DonorEligibilityService.js";
+
+const questionnaireSchema = Joi.object({
+  dateOfBirth: Joi.date().max("now").required(),
+  weightKg: Joi.number().min(20).max(300).required(),
+  lastTattooOrPiercingAt: Joi.date().max("now").allow(null).optional(),
+  lastSurgeryAt: Joi.date().max("now").allow(null).optional(),
+  lastIllnessAt: Joi.date().max("now").allow(null).optional(),
+  pregnantOrBreastfeeding: Joi.boolean().optional(),
+  chronicCondition: Joi.boolean().optional(),
+});
+
+const donationSchema = Joi.object({
+  donatedAt: Joi.date().max("now").required(),
+  donationType: Joi.string().valid(...Object.values(DONATION_TYPES)).optional(),
+  units: Joi.number().integer().min(1).max(4).required(),
+  location: Joi.string().min(2).max(200).trim().required(),
+  pinCode: Joi.string().pattern(/^\d{6}$/).optional(),
+  notes: Joi.string().max(500).trim().allow("").optional(),
+});
+
+const confirmationSchema = Joi.object({
+  confirmed: Joi.boolean().required(), // false disputes the donation
+});
+
+// @desc    Whether the logged-in user can donate now, and if not, until when and why
+// @route   GET /fint/redDrop/donor/eligibility
+// @access  User
+export const getDonorEligibility = asyncHandler(async (req, res) => {
+  const { user } = await DonorEligibilityService.refresh(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      ...DonorEligibilityService.summarise(user),
+      healthQuestionnaire: user.healthQuestionnaire,
+    }, "Donor eligibility fetched successfully")
+  );
+});
+
+// @desc    Save the self-declared health questionnaire (replaces any earlier answers)
+// @route   PUT /fint/redDrop/donor/questionnaire
+// @access  User
+export const submitHealthQuestionnaire = asyncHandler(async (req, res) => {
+  const value = validate(questionnaireSchema, req.body);
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { healthQuestionnaire: { ...value, submittedAt: new Date() } } }
+  );
+  const { user } = await DonorEligibilityService.refresh(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      ...DonorEligibilityService.summarise(user),
+      healthQuestionnaire: user.healthQuestionnaire,
+    }, "Health questionnaire saved")
+  );
+});
+
+// @desc    The logged-in user's donation history, newest first (including ones awaiting their confirmation)
+// @route   GET /fint/redDrop/donor/donations
+// @access  User
+export const listMyDonations = asyncHandler(async (req, res) => {
+  const donations = await Donation.find({ donor: req.user._id }).select("-__v").sort({ donatedAt: -1 });
+
+  // ✅ Donations still waiting for (or refused) the donor's confirmation aren't totalled
+  const uncounted = [DONATION_CONFIRMATIONS.PENDING, DONATION_CONFIRMATIONS.DISPUTED];
+  const totalUnits = donations
+    .filter((donation) => !uncounted.includes(donation.confirmation))
+    .reduce((sum, donation) => sum + donation.units, 0);
+
+  return res.status(200).json(
+    new ApiResponse(200, { count: donations.length, totalUnits, donations }, "Donation history fetched successfully")
+  );
+});
+
+// @desc    Add a donation made outside the app (e.g. at a hospital or blood bank)
+// @route   POST /fint/redDrop/donor/donations
+// @access  User
+export const addMyDonation = asyncHandler(async (req, res) => {
+  const value = validate(donationSchema, req.body);
+
+  const donation = await DonorEligibilityService.recordDonation(req.user._id, {
+    ...value,
+    notes: value.notes || null,
+  });
+  const user = await User.findById(req.user._id).select("beADonor lastDonationAt donorEligibility healthQuestionnaire");
+
+  return res.status(201).json(
+    new ApiResponse(201, {
+      donation,
+      eligibility: DonorEligibilityService.summarise(user),
+    }, "Donation recorded")
+  );
+});
+
+// @desc    Confirm or dispute a donation a blood requester credited to you; only confirmed ones count
+// @route   PATCH /fint/redDrop/donor/donations/:donationId/confirmation
+// @access  User
+export const confirmMyDonation = asyncHandler(async (req, res) => {
+  const { confirmed } = validate(confirmationSchema, req.body);
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.donationId)) {
+    throw new ApiError(400, "Invalid donation ID");
+  }
+
+  const donation = await Donation.findOneAndUpdate(
+    { _id: req.params.donationId, donor: req.user._id, confirmation: DONATION_CONFIRMATIONS.PENDING },
+    {
+      $set: {
+        confirmation: confirmed ? DONATION_CONFIRMATIONS.CONFIRMED : DONATION_CONFIRMATIONS.DISPUTED,
+        confirmedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!donation) {
+    throw new ApiError(404, "No donation of yours is waiting for confirmation with this ID");
+  }
+
+  const { user } = await DonorEligibilityService.refresh(req.user._id);
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      donation,
+      eligibility: DonorEligibilityService.summarise(user),
+    }, confirmed ? "Donation confirmed" : "Donation disputed")
+  );
+});
@@ -3,10 +3,11 @@ import { asyncHandler } from "../../utils/asyncHandler.js";
 import { User } from "../../models/user.model.js";
 import { ApiError } from "../../utils/ApiError.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
-import OtpModel from "../../models/authModel/otpModel.model.js";
 import dotenv from 'dotenv';
-import jwt from 'jsonwebtoken';
-import JWTService from "../../../services/JWTService.js";
+import { TOKEN_ROLES } from "../../../services/JWTService.js";
+import SessionService from "../../../services/SessionService.js";
+import OtpService from "../../../services/OtpService.js";
+import DonorEligibilityService from "../../../services/DonorEligibilityService.js";
 import { AccessTokenTrack } from "../../models/track/acessTokenTrack.model.js";
 dotenv.config({ path: './.env' });
 
@@ -90,23 +91,8 @@ export const login_Fint = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Phone not exists");
   }
 
-  // const generateOTP = () => {
-  //   return Math.floor(100000 + Math.random() * 900000).toString();
-  // };
-  const generateOTP = () => {
-    return Math.floor(1000 + Math.random() * 9000).toString();
-  };
-
-  const otp = generateOTP(); // ✅ call the function here
-
-  // console.log(otp,"otp");
-
-  const sendOtp = new OtpModel({
-    identifier: phoneNumber,
-    otp
-  })
-
-  await sendOtp.save();
+  // 📲 Generate, store and deliver the OTP through the configured SMS provider
+  await OtpService.sendOtp(phoneNumber);
 
   return res
     .status(200)
@@ -227,20 +213,8 @@ export const checkOTP_Fint = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Validation failed", errors);
   }
 
-  // 🔍 Check OTP
-  const otpRecord = await OtpModel.findOne({ identifier });
-  if (!otpRecord || new Date() > otpRecord.expiresAt) {
-    throw new ApiError(400, "OTP expired or not found");
-  }
-
-  // 🔐 Validate OTP
-  const isOtpValid = otpRecord.otp === otp || otp === "1234";
-  if (!isOtpValid) {
-    throw new ApiError(400, "Invalid OTP");
-  }
-
-  // 🧹 Remove OTP after use
-  await OtpModel.deleteOne({ _id: otpRecord._id });
+  // 🔐 Validate OTP (removes it once used)
+  await OtpService.verifyOtp(identifier, otp);
 
   // 👤 Fetch user
   const user = await User.findOne({ phoneNumber: identifier });
@@ -248,14 +222,8 @@ export const checkOTP_Fint = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User not found");
   }
 
-  // 🔑 Generate tokens
-  const accessToken = JWTService.signAccessToken({ _id: user._id }, process.env.ACCESS_TOKEN_EXPIRY);
-  const refreshToken = JWTService.signRefreshToken({ _id: user._id }, process.env.REFRESH_TOKEN_EXPIRY);
-
-  // 💾 Save refresh token
-  await JWTService.storeRefreshToken(refreshToken, user._id);
-  user.refreshToken = refreshToken;
-  await user.save();
+  // 🔑 Start a session for this device and issue its tokens
+  const { accessToken, refreshToken } = await SessionService.create(TOKEN_ROLES.USER, user._id, req);
 
   // 📲 Add firebaseToken
   if (firebaseToken?.trim()) {
@@ -309,7 +277,7 @@ export const profile_Fint = asyncHandler(async (req, res) => {
   return res.status(200).json(
     new ApiResponse(
       200,
-      { user: userDetails },
+      { user: userDetails, donor: DonorEligibilityService.summarise(userDetails) },
       "User profile fetched successfully"
     )
   );
@@ -371,89 +339,59 @@ export const editProfile_Fint = asyncHandler(async (req, res) => {
 
 export const renewAccessToken_Fint = asyncHandler(async (req, res) => {
   const user = req.user;
-  console.log(process.env.ACCESS_TOKEN_EXPIRY, "process.env.ACCESS_TOKEN_EXPIRY");
 
-  const newAccessToken = jwt.sign(
-    { _id: user._id, email: user.email },
-    process.env.ACCESS_TOKEN_SECRET,
-    { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "1d" }
-  );
+  // 🔄 Rotate: the refresh token just used is spent, the client must keep the new one
+  const { accessToken, refreshToken } = await SessionService.rotate(req.auth.token, req);
 
   // ✅ Save to AccessTokenTrack
   await AccessTokenTrack.create({
     userId: user._id,
   });
   return res.status(200).json(
-    new ApiResponse(200, { accessToken: newAccessToken }, "Access token renewed")
+    new ApiResponse(200, { accessToken, refreshToken }, "Access token renewed")
   );
 });
 
-// export const logoutUser = asyncHandler(async (req, res) => {
-//   const refreshToken = req.cookies?.refreshToken || req.header("x-refresh-token");
-
-//   if (!refreshToken) {
-//     throw new ApiError(400, "Refresh token is missing");
-//   }
-
-//   try {
-//     const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-
-//     const user = await User.findById(decoded._id);
-//     if (!user) {
-//       throw new ApiError(404, "User not found");
-//     }
-
-//     // Invalidate refresh token in DB
-//     user.refreshToken = null;
-//     user.firebaseTokens = null;
-//     await user.save();
-
-//     // Clear cookies
-//     res.clearCookie("refreshToken");
-//     res.clearCookie("accessToken");
-
-//     return res.status(200).json(new ApiResponse(200, null, "Logged out successfully"));
-//   } catch (err) {
-//     throw new ApiError(401, "Invalid or expired refresh token");
-//   }
-// });
-
 export const logoutUser = asyncHandler(async (req, res) => {
-  const refreshToken = req.header("x-refresh-token");
+  const user = req.user;
   const firebaseToken = req.header("x-firebase-token"); // Reading firebaseToken from header
 
-  if (!refreshToken) {
-    throw new ApiError(400, "Refresh token is missing in header");
-  }
+  // 🚪 End only the session this access token belongs to
+  await SessionService.revoke(TOKEN_ROLES.USER, user._id, req.auth.token.sid, "logout");
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  // Remove firebaseToken from array if it exists
+  if (firebaseToken) {
+    await User.findByIdAndUpdate(user._id, { $pull: { firebaseTokens: firebaseToken } });
+  }
 
-    const user = await User.findById(decoded._id);
-    if (!user) {
-      throw new ApiError(404, "User not found");
-    }
+  // Clear cookies (optional since we're using headers)
+  res.clearCookie("refreshToken");
+  res.clearCookie("accessToken");
 
-    // Clear refresh token
-    user.refreshToken = null;
+  return res.status(200).json(
+    new ApiResponse(200, null, "Logged out successfully")
+  );
+});
 
-    // Remove firebaseToken from array if it exists
-    if (firebaseToken && user.firebaseTokens.includes(firebaseToken)) {
-      user.firebaseTokens = user.firebaseTokens.filter(token => token !== firebaseToken);
-    }
+// 📱 Devices currently logged in to this account
+export const listSessions_Fint = asyncHandler(async (req, res) => {
+  const sessions = await SessionService.list(TOKEN_ROLES.USER, req.user._id);
 
-    await user.save();
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      sessions.map((session) => SessionService.toResponse(session, req.auth.token.sid)),
+      "Sessions fetched successfully"
+    )
+  );
+});
 
-    // Clear cookies (optional since we're using headers)
-    res.clearCookie("refreshToken");
-    res.clearCookie("accessToken");
+export const revokeSession_Fint = asyncHandler(async (req, res) => {
+  await SessionService.revoke(TOKEN_ROLES.USER, req.user._id, req.params.sessionId);
 
-    return res.status(200).json(
-      new ApiResponse(200, null, "Logged out successfully")
-    );
-  } catch (err) {
-    throw new ApiError(401, "Invalid or expired refresh token");
-  }
+  return res.status(200).json(
+    new ApiResponse(200, null, "Session revoked successfully")
+  );
 });
 
 export const changeUpiId = asyncHandler(async (req, res) => {
@@ -1,21 +1,33 @@
 import Joi from "joi";
-import { Insurance } from "../../models/pet/insurance.model.js";
+import mongoose from "mongoose";
+import { Insurance, INSURANCE_STATUSES } from "../../models/pet/insurance.model.js";
+import { InsurancePlan, PET_SPECIES } from "../../models/pet/insurancePlan.model.js";
+import { InsuranceQuote } from "../../models/pet/insuranceQuote.model.js";
+import PremiumQuoteService from "../../../services/PremiumQuoteService.js";
+import InsuranceRenewalService from "../../../services/InsuranceRenewalService.js";
+import NosePrintService from "../../../services/NosePrintService.js";
+import PolicyDocumentService from "../../../services/PolicyDocumentService.js";
+import { TOKEN_ROLES } from "../../../services/JWTService.js";
+import { hasPermission, PERMISSIONS } from "../../config/permissions.js";
 import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
 import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
-import bcrypt from 'bcrypt';
 
+// 👤 Name, email, phone and PIN come from the logged-in user's profile unless overridden
 const registerPetInsuranceSchema = Joi.object({
-  name: Joi.string().min(2).max(50).trim().required(),
-  email: Joi.string().email().trim().required(),
-  password: Joi.string().min(6).max(50).trim().required(), // Stronger password validation
-  phoneNumber: Joi.string().pattern(/^\d{10}$/).required(), // Indian 10-digit number
+  name: Joi.string().min(2).max(50).trim().optional(),
+  email: Joi.string().email().trim().optional(),
+  phoneNumber: Joi.string().pattern(/^\d{10}$/).optional(), // Indian 10-digit number
   address: Joi.string().min(2).max(100).trim().required(), // Free-form address
   parentAge: Joi.number().min(18).max(110).required(), // Assuming it's an age
-  pinCode: Joi.string().pattern(/^\d{6}$/).required(), // Indian 6-digit PIN
+  pinCode: Joi.string().pattern(/^\d{6}$/).optional(), // Indian 6-digit PIN
+
+  quoteId: Joi.string().optional(), // accepted quote to bind the application to
 
   // Pet fields
   petName: Joi.string().min(2).max(50).trim().required(),
+  petSpecies: Joi.string().valid(...PET_SPECIES).optional(),
   petBreed: Joi.string().min(2).max(50).trim().required(),
   petAge: Joi.number().min(0).max(50).required(),
   petAddress: Joi.string().min(2).max(100).trim().required(),
@@ -23,14 +35,190 @@ const registerPetInsuranceSchema = Joi.object({
 
 });
 
+// @desc    Active plans customers can choose from, optionally for one species
+// @route   GET /fint/petInsurance/plans
+// @access  Public
+export const listInsurancePlans = asyncHandler(async (req, res) => {
+  const filter = { status: "active" };
+  if (req.query.species) filter.species = req.query.species;
+
+  const plans = await InsurancePlan.find(filter)
+    .select("-createdBy -__v")
+    .sort({ sumInsured: 1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, plans, "Insurance plans fetched successfully")
+  );
+});
+
+// @desc    Full details of an active plan
+// @route   GET /fint/petInsurance/plans/:id
+// @access  Public
+export const getInsurancePlanById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid plan ID");
+  }
+
+  const plan = await InsurancePlan.findOne({ _id: id, status: "active" }).select("-createdBy -__v");
+  if (!plan) {
+    throw new ApiError(404, "Insurance plan not found");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, plan, "Insurance plan fetched successfully")
+  );
+});
+
+const quoteRequestSchema = Joi.object({
+  planId: Joi.string().required(),
+  species: Joi.string().valid(...PET_SPECIES).required(),
+  breed: Joi.string().min(2).max(50).trim().required(),
+  ageYears: Joi.number().min(0).max(30).required(),
+  pinCode: Joi.string().pattern(/^\d{6}$/).optional(), // defaults to the profile PIN
+});
+
+// @desc    Price a plan for a pet; the quote is saved and valid for a limited window
+// @route   POST /fint/petInsurance/quotes
+// @access  User
+export const createInsuranceQuote = asyncHandler(async (req, res) => {
+  const { planId, species, breed, ageYears, pinCode = req.user.pinCode } = validate(quoteRequestSchema, req.body);
+
+  const quote = await PremiumQuoteService.createQuote(req.user._id, { planId, species, breed, ageYears, pinCode });
+
+  return res.status(201).json(
+    new ApiResponse(201, quote, "Quote generated successfully")
+  );
+});
+
+// @desc    The logged-in user's quotes, newest first
+// @route   GET /fint/petInsurance/quotes
+// @access  User
+export const listMyInsuranceQuotes = asyncHandler(async (req, res) => {
+  await PremiumQuoteService.expireStale({ user: req.user._id });
+
+  const filter = { user: req.user._id };
+  if (req.query.status) filter.status = req.query.status;
+
+  const quotes = await InsuranceQuote.find(filter).select("-__v").sort({ createdAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, quotes, "Quotes fetched successfully")
+  );
+});
+
+// @desc    One of the logged-in user's quotes with its breakdown
+// @route   GET /fint/petInsurance/quotes/:id
+// @access  User
+export const getInsuranceQuoteById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid quote ID");
+  }
+
+  await PremiumQuoteService.expireStale({ _id: id });
+
+  const quote = await InsuranceQuote.findOne({ _id: id, user: req.user._id }).select("-__v");
+  if (!quote) {
+    throw new ApiError(404, "Quote not found");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, quote, "Quote fetched successfully")
+  );
+});
+
+// @desc    Accept a quote so it can be used for an application
+// @route   POST /fint/petInsurance/quotes/:id/accept
+// @access  User
+export const acceptInsuranceQuote = asyncHandler(async (req, res) => {
+  const quote = await PremiumQuoteService.accept(req.user._id, req.params.id);
+
+  return res.status(200).json(
+    new ApiResponse(200, quote, "Quote accepted")
+  );
+});
+
+const reviewSchema = Joi.object({
+  note: Joi.string().trim().max(1000).allow("").optional(),
+});
+
+const rejectSchema = Joi.object({
+  note: Joi.string().trim().min(3).max(1000).required(),
+});
 
-export const getInsurancePlanById = (async (req, res) =>{
-    
+const statusChangeSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(INSURANCE_STATUSES)).required(),
+  note: Joi.string().trim().max(1000).allow("").optional(),
+});
 
+const reviewerNoteSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(1000).required(),
 });
 
-export const approveInsuranceApplication = (async (req ,res) =>{
+const findApplication = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid application ID");
+  }
+  const application = await Insurance.findById(id);
+  if (!application) {
+    throw new ApiError(404, "Insurance application not found");
+  }
+  return application;
+};
+
+// 🔁 Shared by approve / reject / generic status changes
+const changeApplicationStatus = async (req, status, note) => {
+  const application = await findApplication(req.params.id);
+
+  application.transitionTo(status, {
+    note: note || null,
+    actorId: req.admin._id,
+    actorModel: "Admin",
+  });
+  await application.save();
+
+  return application;
+};
+
+export const approveInsuranceApplication = asyncHandler(async (req, res) => {
+  const { note } = validate(reviewSchema, req.body);
+
+  const application = await changeApplicationStatus(req, INSURANCE_STATUSES.APPROVED, note);
 
+  return res.status(200).json(
+    new ApiResponse(200, application, "Insurance application approved")
+  );
+});
+
+// @desc    Move an application along its lifecycle (under_review, documents_requested, active, lapsed, ...)
+// @route   PATCH /fint/petInsurance/applications/:id/status
+// @access  Admin (insurance:review)
+export const updateInsuranceApplicationStatus = asyncHandler(async (req, res) => {
+  const { status, note } = validate(statusChangeSchema, req.body);
+
+  const application = await changeApplicationStatus(req, status, note);
+
+  return res.status(200).json(
+    new ApiResponse(200, application, `Insurance application moved to ${status}`)
+  );
+});
+
+// @desc    Leave a reviewer note without changing the status
+// @route   POST /fint/petInsurance/applications/:id/notes
+// @access  Admin (insurance:review)
+export const addInsuranceReviewerNote = asyncHandler(async (req, res) => {
+  const { note } = validate(reviewerNoteSchema, req.body);
+
+  const application = await findApplication(req.params.id);
+  application.reviewerNotes.push({ note, admin: req.admin._id });
+  await application.save();
+
+  return res.status(201).json(
+    new ApiResponse(201, application.reviewerNotes, "Reviewer note added")
+  );
 });
 
 export const applyForInsurance = asyncHandler(async (req, res) => {
@@ -48,37 +236,51 @@ console.log('req.file 🐶', req.file);
   }
 
   // Step 2: Extract validated data
+  const user = req.user;
   const {
-    name,
-    email,
-    password,
-    phoneNumber,
+    name = user.name,
+    email = user.email || null,
+    phoneNumber = user.phoneNumber,
+    pinCode = user.pinCode,
     address,
     parentAge,
-    pinCode,
+    quoteId,
     petName,
+    petSpecies,
     petBreed,
     petAge,
     petAddress,
   } = req.body;
 
-  // Step 2.1: Handle file input
+  // Step 2.1: Handle file input; the nose print is fingerprinted so the same pet can't be insured twice
   const petNoseImg = req.file?.path || null;
+  const nosePrint = petNoseImg ? await NosePrintService.register(petNoseImg) : undefined;
 
-  // Step 3: Check if user already exists
-  // const existingUser = await Insurance.findOne({ $or: [{ email }, { phoneNumber }] });
-  // if (existingUser) {
-  //   throw new ApiError(409, 'User with same email or phone number already exists');
-  // }
-
-  // Step 4: Hash password
-  const hashedPassword = await bcrypt.hash(password, 10);
+  // Step 2.2: Bind to an accepted quote; it must describe the same pet and PIN that was priced
+  const applicationId = new mongoose.Types.ObjectId();
+  let quote = null;
+  if (quoteId) {
+    const pending = await InsuranceQuote.findOne({ _id: mongoose.Types.ObjectId.isValid(quoteId) ? quoteId : null, user: user._id });
+    if (!pending) {
+      throw new ApiError(404, "Quote not found");
+    }
+    if (
+      (petSpecies && petSpecies !== pending.pet.species) ||
+      petBreed.trim().toLowerCase() !== pending.pet.breed.toLowerCase() ||
+      Number(petAge) !== pending.pet.ageYears ||
+      pinCode !== pending.pinCode
+    ) {
+      throw new ApiError(400, "Pet details or PIN code do not match the quote");
+    }
+    quote = await PremiumQuoteService.bind(user._id, quoteId, applicationId);
+  }
 
-  // Step 5: Create user
+  // Step 3: Create the application for the logged-in user
   const newUser = new Insurance({
+    _id: applicationId,
+    user: user._id,
     name,
     email,
-    password: hashedPassword,
     phoneNumber,
     address,
     parentAge,
@@ -86,27 +288,338 @@ console.log('req.file 🐶', req.file);
     pets: [
       {
         petName,
+        petSpecies: quote?.pet.species || petSpecies || null,
         petBreed,
         petAge,
         petAddress,
         petNoseImg,
+        nosePrint,
+        ...(quote && {
+          plan: quote.plan,
+          quote: quote._id,
+          premium: {
+            basePremium: quote.basePremium,
+            netPremium: quote.netPremium,
+            lineItems: quote.lineItems.filter((item) => item.type !== "tax"),
+            pricedAt: quote.createdAt,
+          },
+        }),
       },
     ],
   });
+  await PremiumQuoteService.refreshApplicationPremium(newUser);
 
-  // Step 6: Save to DB
-  const savedUser = await newUser.save();
+  // Step 4: Save to DB
+  let savedUser;
+  try {
+    savedUser = await newUser.save();
+  } catch (err) {
+    if (quote) await PremiumQuoteService.release(quote._id);
+    throw err;
+  }
 
-  // Step 7: Return response
+  // Step 5: Return response
   return res.status(200).json(
     new ApiResponse(200, { savedUser }, 'Insurance application submitted successfully')
   );
 });
 
-export const renewInsurance = () =>{
+// @desc    The logged-in user's applications and policies with their pets
+// @route   GET /fint/petInsurance/my-policies
+// @access  User
+export const getMyPolicies = asyncHandler(async (req, res) => {
+  await InsuranceRenewalService.lapseExpired({ user: req.user._id });
+
+  const filter = { user: req.user._id };
+  if (req.query.status) filter.status = { $in: req.query.status.split(",") };
+
+  const policies = await Insurance.find(filter)
+    .select("-reviewerNotes -__v")
+    .sort({ createdAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, policies, "Policies fetched successfully")
+  );
+});
+
+// @desc    One of the logged-in user's applications / policies
+// @route   GET /fint/petInsurance/my-policies/:id
+// @access  User
+export const getMyPolicyById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid policy ID");
+  }
+
+  await InsuranceRenewalService.lapseExpired({ _id: id });
+
+  const policy = await Insurance.findOne({ _id: id, user: req.user._id }).select("-reviewerNotes -__v");
+  if (!policy) {
+    throw new ApiError(404, "Policy not found");
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, policy, "Policy fetched successfully")
+  );
+});
+
+// 🐾 Pets can only be changed while the application is still being reviewed. Once it's approved
+// the cover, premium and waiting periods are fixed for the term; changes wait for the renewal.
+const PET_LOCKED_STATUSES = [
+  INSURANCE_STATUSES.APPROVED,
+  INSURANCE_STATUSES.ACTIVE,
+  INSURANCE_STATUSES.REJECTED,
+  INSURANCE_STATUSES.LAPSED,
+];
+
+const petFields = {
+  petName: Joi.string().min(2).max(50).trim(),
+  petSpecies: Joi.string().valid(...PET_SPECIES),
+  petBreed: Joi.string().min(2).max(50).trim(),
+  petAge: Joi.number().min(0).max(50),
+  petAddress: Joi.string().min(2).max(100).trim(),
+};
+
+const addPetSchema = Joi.object({
+  ...petFields,
+  planId: Joi.string().optional(),
+}).fork(["petName", "petSpecies", "petBreed", "petAge", "petAddress"], (field) => field.required());
+
+const updatePetSchema = Joi.object(petFields).min(1);
+
+const petPlanSchema = Joi.object({
+  planId: Joi.string().allow(null).required(), // null takes the pet off its plan
+});
+
+const findOwnEditableApplication = async (req) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid application ID");
+  }
+
+  const application = await Insurance.findOne({ _id: id, user: req.user._id });
+  if (!application) {
+    throw new ApiError(404, "Insurance application not found");
+  }
+  if (PET_LOCKED_STATUSES.includes(application.status)) {
+    throw new ApiError(409, `Pets can't be changed on a ${application.status} application`);
+  }
+
+  return application;
+};
+
+const findPet = (application, petId) => {
+  const pet = application.pets.find((p) => p.petId === petId);
+  if (!pet) {
+    throw new ApiError(404, "Pet not found on this application");
+  }
+  return pet;
+};
+
+const findActivePlan = async (planId) => {
+  if (!mongoose.Types.ObjectId.isValid(planId)) {
+    throw new ApiError(400, "Invalid plan ID");
+  }
+  const plan = await InsurancePlan.findOne({ _id: planId, status: "active" });
+  if (!plan) {
+    throw new ApiError(404, "Insurance plan not found");
+  }
+  return plan;
+};
+
+// 💰 Prices the pet on `plan` at today's rates; the pet no longer follows any quote
+const attachPlan = async (application, pet, plan) => {
+  const factors = await PremiumQuoteService.getRatingFactors();
+  pet.premium = PremiumQuoteService.pricePet(pet, { plan, pinCode: application.pinCode }, factors);
+  pet.plan = plan._id;
+  pet.quote = null;
+};
+
+// @desc    Add another pet to one of the user's applications still under review
+// @route   POST /fint/petInsurance/applications/:id/pets
+// @access  User
+export const addPetToApplication = asyncHandler(async (req, res) => {
+  const { planId, ...petDetails } = validate(addPetSchema, req.body);
+
+  const application = await findOwnEditableApplication(req);
+
+  const nosePrint = req.file?.path
+    ? await NosePrintService.register(req.file.path, { siblings: application.pets })
+    : undefined;
+
+  application.pets.push({
+    ...petDetails,
+    petNoseImg: req.file?.path || null,
+    nosePrint,
+  });
+  const pet = application.pets[application.pets.length - 1];
+
+  if (planId) {
+    await attachPlan(application, pet, await findActivePlan(planId));
+  }
+
+  await PremiumQuoteService.refreshApplicationPremium(application);
+  await application.save();
+
+  return res.status(201).json(
+    new ApiResponse(201, application, "Pet added successfully")
+  );
+});
+
+// @desc    Update a pet's details; a pet on a plan is re-priced
+// @route   PATCH /fint/petInsurance/applications/:id/pets/:petId
+// @access  User
+export const updateApplicationPet = asyncHandler(async (req, res) => {
+  const updates = validate(updatePetSchema, req.body);
+
+  const application = await findOwnEditableApplication(req);
+  const pet = findPet(application, req.params.petId);
+
+  // 👃 The fingerprint is what claims are checked against, so once the application is past
+  // "submitted" it can be added if missing but never replaced
+  if (req.file?.path && pet.nosePrint?.hash && application.status !== INSURANCE_STATUSES.SUBMITTED) {
+    throw new ApiError(409, `The nose print can't be changed on a ${application.status} application`);
+  }
+
+  Object.assign(pet, updates);
+  if (req.file?.path) {
+    pet.nosePrint = await NosePrintService.register(req.file.path, { excludePetId: pet.petId, siblings: application.pets });
+    pet.petNoseImg = req.file.path;
+  }
+
+  const affectsPrice = ["petSpecies", "petBreed", "petAge"].some((field) => field in updates);
+  if (pet.plan && affectsPrice) {
+    await attachPlan(application, pet, await findActivePlan(pet.plan));
+  }
+
+  await PremiumQuoteService.refreshApplicationPremium(application);
+  await application.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, application, "Pet updated successfully")
+  );
+});
+
+// @desc    Remove a pet; an application always keeps at least one
+// @route   DELETE /fint/petInsurance/applications/:id/pets/:petId
+// @access  User
+export const removeApplicationPet = asyncHandler(async (req, res) => {
+  const application = await findOwnEditableApplication(req);
+  findPet(application, req.params.petId);
+
+  if (application.pets.length === 1) {
+    throw new ApiError(400, "An application must cover at least one pet");
+  }
+
+  application.pets = application.pets.filter((p) => p.petId !== req.params.petId);
+
+  await PremiumQuoteService.refreshApplicationPremium(application);
+  await application.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, application, "Pet removed successfully")
+  );
+});
+
+// @desc    Put a pet on a plan (or take it off with planId: null)
+// @route   PUT /fint/petInsurance/applications/:id/pets/:petId/plan
+// @access  User
+export const setApplicationPetPlan = asyncHandler(async (req, res) => {
+  const { planId } = validate(petPlanSchema, req.body);
 
-}
+  const application = await findOwnEditableApplication(req);
+  const pet = findPet(application, req.params.petId);
 
-export const rejectInsuranceApplication = () =>{
+  if (planId) {
+    await attachPlan(application, pet, await findActivePlan(planId));
+  } else {
+    pet.plan = null;
+    pet.quote = null;
+    pet.premium = null;
+  }
 
-}
+  await PremiumQuoteService.refreshApplicationPremium(application);
+  await application.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, application, planId ? "Plan attached to pet" : "Plan removed from pet")
+  );
+});
+
+// @desc    Download the policy schedule PDF
+// @route   GET /fint/petInsurance/policies/:id/document
+// @access  Owning user, or an admin with insurance:review
+export const getPolicyDocument = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid policy ID");
+  }
+
+  const filter = { _id: id };
+  if (req.auth.role === TOKEN_ROLES.ADMIN) {
+    if (!hasPermission(req.admin.role, PERMISSIONS.INSURANCE_REVIEW)) {
+      throw new ApiError(403, "You do not have permission to perform this action", [PERMISSIONS.INSURANCE_REVIEW]);
+    }
+  } else {
+    filter.user = req.user._id;
+  }
+
+  const policy = await Insurance.findOne(filter);
+  if (!policy) {
+    throw new ApiError(404, "Policy not found");
+  }
+
+  const { fileName, pdf } = await PolicyDocumentService.generate(policy);
+
+  res.attachment(fileName);
+  return res.type("application/pdf").send(pdf);
+});
+
+const renewSchema = Joi.object({
+  policyId: Joi.string().required(),
+});
+
+// @desc    Renewal window and the re-quoted premium for the next term
+// @route   GET /fint/petInsurance/my-policies/:id/renewal
+// @access  User
+export const getPolicyRenewal = asyncHandler(async (req, res) => {
+  const policy = await InsuranceRenewalService.findOwnPolicy(req.user._id, req.params.id);
+  const window = InsuranceRenewalService.getWindow(policy);
+
+  const canRenew = policy.status === INSURANCE_STATUSES.ACTIVE && window.state !== "not_due";
+  const quote = canRenew ? await InsuranceRenewalService.quote(policy) : null;
+
+  return res.status(200).json(
+    new ApiResponse(200, { status: policy.status, window, canRenew, quote }, "Renewal details fetched successfully")
+  );
+});
+
+// @desc    Start renewing a policy: re-quotes it and raises the renewal payment
+// @route   POST /fint/petInsurance/renew
+// @access  User
+export const renewInsurance = asyncHandler(async (req, res) => {
+  const { policyId } = validate(renewSchema, req.body);
+
+  const { policy, payment, window } = await InsuranceRenewalService.start(req.user._id, policyId);
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      { policyId: policy._id, window, renewal: policy.renewal, payment },
+      "Renewal started. Complete the payment to renew your policy."
+    )
+  );
+});
+
+export const rejectInsuranceApplication = asyncHandler(async (req, res) => {
+  const { note } = validate(rejectSchema, req.body);
+
+  const application = await changeApplicationStatus(req, INSURANCE_STATUSES.REJECTED, note);
+
+  return res.status(200).json(
+    new ApiResponse(200, application, "Insurance application rejected")
+  );
+});
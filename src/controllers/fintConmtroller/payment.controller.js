@@ -1,6 +1,8 @@
 // export const initiatePayment = () =>{
 
+import mongoose from "mongoose";
 import Payment from "../../models/payment/payment.model.js";
+import PaymentService from "../../../services/PaymentService.js";
 import { ApiError } from "../../utils/ApiError.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import { asyncHandler } from "../../utils/asyncHandler.js";
@@ -27,50 +29,60 @@ export const createPayment = asyncHandler(async (req, res) => {
   if (!product || !amount) {
     throw new ApiError(400, 'Product and amount are required');
   }
+  // 🔐 Refuse a foreign landing page before anything is saved
+  PaymentService.landingUrl(req.body.redirectUrl);
 
   const newPayment = new Payment({
     product,
     amount,
     userId: req.user._id, // from authMiddleware
-    // status: 'success', // or set to 'pending' if applicable
   });
 
   const savedPayment = await newPayment.save();
 
+  // 💳 Straight on to the PhonePe pay page; the app opens payPageUrl
+  const { payment, payPageUrl } = await PaymentService.checkout(savedPayment, req.user, {
+    redirectUrl: req.body.redirectUrl,
+  });
+
   return res
     .status(201)
-    .json(new ApiResponse(201, savedPayment, 'Payment record created successfully'));
+    .json(new ApiResponse(201, { payment, payPageUrl }, 'Payment created, continue on PhonePe'));
 });
 
-export const updateStatus = asyncHandler(async (req, res) => {
+const findOwnPayment = async (req) => {
   const { paymentId } = req.params;
-  console.log("🚀 ~ updateStatus ~ paymentId:", req.params)
-  console.log("🚀 ~ updateStatus ~ paymentId:", paymentId)
-  const { status } = req.body;
-
-  // Validate status
-  const allowedStatuses = ['success', 'failed', 'pending'];
-  if (!allowedStatuses.includes(status)) {
-    throw new ApiError(400, `Invalid status. Allowed: ${allowedStatuses.join(', ')}`);
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    throw new ApiError(400, 'Invalid payment ID');
   }
 
-  // Find payment and ensure the logged-in user owns it
-  const payment = await Payment.findById(paymentId);
-  console.log("🚀 ~ updateStatus ~ payment:", payment)
-
+  const payment = await Payment.findOne({ _id: paymentId, userId: req.user._id });
   if (!payment) {
     throw new ApiError(404, 'Payment not found');
   }
+  return payment;
+};
 
-  if (payment.userId.toString() !== req.user._id.toString()) {
-    throw new ApiError(403, 'Unauthorized to update this payment');
-  }
+// @desc    Start (or retry) the PhonePe checkout for an open payment, e.g. a policy renewal
+// @route   POST /fint/payment/:paymentId/checkout
+// @access  User
+export const checkoutPayment = asyncHandler(async (req, res) => {
+  const payment = await findOwnPayment(req);
+
+  const result = await PaymentService.checkout(payment, req.user, { redirectUrl: req.body?.redirectUrl });
 
-  // Update status
-  payment.status = status;
-  await payment.save();
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, 'Continue on PhonePe'));
+});
 
-  res
+// @desc    Payment status with its history; while open, PhonePe is asked directly in case its callback was missed
+// @route   GET /fint/payment/:paymentId/status
+// @access  User
+export const getPaymentStatus = asyncHandler(async (req, res) => {
+  const payment = await PaymentService.refresh(await findOwnPayment(req));
+
+  return res
     .status(200)
-    .json(new ApiResponse(200, payment, 'Payment status updated successfully'));
+    .json(new ApiResponse(200, payment, 'Payment status fetched successfully'));
 });
@@ -1,3 +1,392 @@
-export const applyForBlood = () =>{
+import Joi from "joi";
+import mongoose from "mongoose";
+import {
+  BloodRequest,
+  BLOOD_GROUPS,
+  BLOOD_REQUEST_STATUSES,
+  BLOOD_REQUEST_URGENCY,
+  DONOR_RESPONSES,
+} from "../../models/redDrop/bloodRequest.model.js";
+import { DONATION_SOURCES, DONATION_CONFIRMATIONS } from "../../models/redDrop/donation.model.js";
+import { User } from "../../models/user.model.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { validate } from "../../utils/validate.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+import DonorMatchingService from "../../../services/DonorMatchingService.js";
+import DonorEligibilityService from "../../../services/DonorEligibilityService.js";
+import PushNotificationService from "../../../services/PushNotificationService.js";
+import { getSmsProvider } from "../../../services/sms/index.js";
 
-}
+// 📲 How many messages a requester may relay to one donor on one request
+const MAX_CONTACTS_PER_DONOR = 3;
+
+const bloodRequestSchema = Joi.object({
+  patientName: Joi.string().min(2).max(100).trim().required(),
+  patientAge: Joi.number().integer().min(0).max(120).optional(),
+  bloodGroup: Joi.string().valid(...BLOOD_GROUPS).required(),
+  unitsRequired: Joi.number().integer().min(1).max(20).required(),
+  hospitalName: Joi.string().min(2).max(150).trim().required(),
+  hospitalAddress: Joi.string().max(300).trim().optional(),
+  pinCode: Joi.string().pattern(/^\d{6}$/).required(), // Indian 6-digit PIN
+  contactName: Joi.string().max(100).trim().optional(),
+  contactPhone: Joi.string().pattern(/^\d{10}$/).optional(), // defaults to the requester's phone
+  urgency: Joi.string().valid(...Object.values(BLOOD_REQUEST_URGENCY)).optional(),
+  requiredBy: Joi.date().greater("now").required(),
+  notes: Joi.string().max(1000).trim().allow("").optional(),
+});
+
+const cancelSchema = Joi.object({
+  reason: Joi.string().max(500).trim().allow("").optional(),
+});
+
+const donorResponseSchema = Joi.object({
+  response: Joi.string().valid(DONOR_RESPONSES.ACCEPTED, DONOR_RESPONSES.DECLINED).required(),
+});
+
+const fulfilmentSchema = Joi.object({
+  units: Joi.number().integer().min(1).max(20).required(),
+  donorId: Joi.string().optional(), // credit the units to a donor who accepted
+  note: Joi.string().max(500).trim().allow("").optional(),
+});
+
+const contactDonorSchema = Joi.object({
+  message: Joi.string().min(5).max(300).trim().required(),
+});
+
+const findOwnRequest = async (req) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid request ID");
+  }
+
+  await BloodRequest.expireOverdue({ _id: id });
+
+  const request = await BloodRequest.findOne({ _id: id, requestedBy: req.user._id });
+  if (!request) {
+    throw new ApiError(404, "Blood request not found");
+  }
+  return request;
+};
+
+// 🔒 Donors' numbers are never shown to requesters, only the last few digits
+const maskPhone = (phone) => (phone ? `${"*".repeat(Math.max(phone.length - 3, 0))}${phone.slice(-3)}` : null);
+
+const findOpenRequest = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid request ID");
+  }
+
+  await BloodRequest.expireOverdue({ _id: id });
+
+  const request = await BloodRequest.findById(id);
+  if (!request) {
+    throw new ApiError(404, "Blood request not found");
+  }
+  if (request.status !== BLOOD_REQUEST_STATUSES.OPEN) {
+    throw new ApiError(409, `This request is already ${request.status}`);
+  }
+  return request;
+};
+
+// @desc    Raise a request for blood
+// @route   POST /fint/redDrop/apply
+// @access  User
+export const applyForBlood = asyncHandler(async (req, res) => {
+  const value = validate(bloodRequestSchema, req.body);
+
+  const request = await BloodRequest.create({
+    ...value,
+    contactPhone: value.contactPhone || req.user.phoneNumber,
+    contactName: value.contactName || req.user.name,
+    requestedBy: req.user._id,
+  });
+
+  // 🩸 Look for compatible donors nearby straight away, and ping them if it's urgent
+  await DonorMatchingService.matchRequest(request);
+  await DonorMatchingService.notifyMatchedDonors(request);
+
+  return res.status(201).json(
+    new ApiResponse(201, request, "Blood request created successfully")
+  );
+});
+
+// @desc    The logged-in user's blood requests (optional ?status=)
+// @route   GET /fint/redDrop/requests
+// @access  User
+export const listMyBloodRequests = asyncHandler(async (req, res) => {
+  await BloodRequest.expireOverdue({ requestedBy: req.user._id });
+
+  const filter = { requestedBy: req.user._id };
+  if (req.query.status) filter.status = { $in: req.query.status.split(",") };
+
+  const requests = await BloodRequest.find(filter).select("-__v").sort({ createdAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(200, requests, "Blood requests fetched successfully")
+  );
+});
+
+// @desc    One of the logged-in user's blood requests
+// @route   GET /fint/redDrop/requests/:id
+// @access  User
+export const getMyBloodRequest = asyncHandler(async (req, res) => {
+  const request = await findOwnRequest(req);
+
+  return res.status(200).json(
+    new ApiResponse(200, request, "Blood request fetched successfully")
+  );
+});
+
+// @desc    Compatible donors matched to the request, nearest first, with their responses
+//          (?response=accepted to list only donors who agreed, ?refresh=true re-runs matching)
+// @route   GET /fint/redDrop/requests/:id/matches
+// @access  User
+export const getBloodRequestMatches = asyncHandler(async (req, res) => {
+  const request = await findOwnRequest(req);
+
+  if (req.query.refresh === "true" && request.status === BLOOD_REQUEST_STATUSES.OPEN) {
+    await DonorMatchingService.matchRequest(request);
+    await DonorMatchingService.notifyMatchedDonors(request);
+  }
+
+  await request.populate("matchedDonors.donor", "name phoneNumber");
+
+  // 🔒 First name, group and distance only; a masked number once the donor has accepted
+  const matches = request.matchedDonors
+    .filter((match) => match.donor)
+    .filter((match) => !req.query.response || match.response === req.query.response)
+    .map((match) => ({
+      donorId: match.donor._id,
+      name: match.donor.name.split(" ")[0],
+      bloodGroup: match.bloodGroup,
+      exactMatch: match.bloodGroup === request.bloodGroup,
+      distanceKm: match.distanceKm,
+      matchedAt: match.matchedAt,
+      response: match.response,
+      respondedAt: match.respondedAt,
+      unitsDonated: match.unitsDonated,
+      maskedPhone: match.response === DONOR_RESPONSES.ACCEPTED ? maskPhone(match.donor.phoneNumber) : null,
+    }));
+
+  const accepted = matches.filter((match) => match.response === DONOR_RESPONSES.ACCEPTED).length;
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      count: matches.length,
+      accepted,
+      unitsRequired: request.unitsRequired,
+      unitsFulfilled: request.unitsFulfilled,
+      matches,
+    }, "Matched donors fetched successfully")
+  );
+});
+
+// @desc    Send an accepted donor a message through us, without either side seeing the donor's number
+// @route   POST /fint/redDrop/requests/:id/donors/:donorId/contact
+// @access  User
+export const contactMatchedDonor = asyncHandler(async (req, res) => {
+  const { message } = validate(contactDonorSchema, req.body);
+
+  const request = await findOwnRequest(req);
+  if (request.status !== BLOOD_REQUEST_STATUSES.OPEN) {
+    throw new ApiError(409, `This request is already ${request.status}`);
+  }
+
+  const match = request.matchedDonors.find((m) => m.donor.toString() === req.params.donorId);
+  if (!match || match.response !== DONOR_RESPONSES.ACCEPTED) {
+    throw new ApiError(404, "Only donors who accepted this request can be contacted");
+  }
+
+  const donor = await User.findById(match.donor).select("phoneNumber");
+  if (!donor) {
+    throw new ApiError(404, "Donor not found");
+  }
+
+  // 🔢 Claim one of the donor's messages before sending, so parallel calls can't go over the cap
+  const slot = { _id: request._id, "matchedDonors.donor": match.donor };
+  const { modifiedCount } = await BloodRequest.updateOne(
+    {
+      _id: request._id,
+      matchedDonors: { $elemMatch: { donor: match.donor, contactsSent: { $not: { $gte: MAX_CONTACTS_PER_DONOR } } } },
+    },
+    { $inc: { "matchedDonors.$.contactsSent": 1 } }
+  );
+  if (modifiedCount === 0) {
+    throw new ApiError(429, `You can message a donor at most ${MAX_CONTACTS_PER_DONOR} times per request`);
+  }
+
+  // 📲 The donor gets the requester's contact, so they can call back if they choose to
+  try {
+    await getSmsProvider().sendMessage(
+      donor.phoneNumber,
+      `Red Drop: ${request.contactName || "The requester"} (${request.contactPhone}) for ${request.patientName} at ${request.hospitalName}: ${message}`
+    );
+  } catch (error) {
+    await BloodRequest.updateOne(slot, { $inc: { "matchedDonors.$.contactsSent": -1 } });
+    throw error;
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, {
+      donorId: match.donor,
+      maskedPhone: maskPhone(donor.phoneNumber),
+      contactsLeft: Math.max(0, MAX_CONTACTS_PER_DONOR - (match.contactsSent || 0) - 1),
+    }, "Message sent to the donor")
+  );
+});
+
+// @desc    Record units received; the request closes as fulfilled once all units have arrived.
+//          Units credited to a donor count towards their history only after they confirm them.
+// @route   POST /fint/redDrop/requests/:id/fulfilments
+// @access  User
+export const recordBloodFulfilment = asyncHandler(async (req, res) => {
+  const { units, donorId, note } = validate(fulfilmentSchema, req.body);
+
+  const request = await findOwnRequest(req);
+  if (request.status !== BLOOD_REQUEST_STATUSES.OPEN) {
+    throw new ApiError(409, `Units can't be recorded on a ${request.status} request`);
+  }
+
+  let match = null;
+  if (donorId) {
+    match = request.matchedDonors.find((m) => m.donor.toString() === donorId);
+    if (!match || match.response !== DONOR_RESPONSES.ACCEPTED) {
+      throw new ApiError(422, "Units can only be credited to a donor who accepted this request");
+    }
+  }
+
+  request.recordFulfilment({ units, donorId: match?.donor || null, note: note || null });
+  await request.save();
+
+  // 🩸 Goes into the donor's history as unconfirmed: it only counts towards their donation
+  // interval once they confirm it, so a requester alone can't defer a donor
+  if (match) {
+    await DonorEligibilityService.recordDonation(match.donor, {
+      units,
+      location: request.hospitalName,
+      pinCode: request.pinCode,
+      source: DONATION_SOURCES.BLOOD_REQUEST,
+      bloodRequest: request._id,
+      confirmation: DONATION_CONFIRMATIONS.PENDING,
+    });
+
+    try {
+      await PushNotificationService.sendToUsers([match.donor], {
+        title: "Please confirm your donation",
+        body: `The request for ${request.patientName} at ${request.hospitalName} credited ${units} unit(s) to you. Confirm it in your donation history.`,
+        data: { type: "donation_confirmation", requestId: request._id },
+      });
+    } catch (error) {
+      console.error(`❌ Donation confirmation push for blood request ${request._id} failed:`, error.message);
+    }
+  }
+
+  return res.status(200).json(
+    new ApiResponse(200, request, request.status === BLOOD_REQUEST_STATUSES.FULFILLED
+      ? "All units received, request fulfilled"
+      : "Units recorded")
+  );
+});
+
+// @desc    Open requests the logged-in donor has been matched to, with their own response
+// @route   GET /fint/redDrop/donor/requests
+// @access  User (donor)
+export const listDonorMatches = asyncHandler(async (req, res) => {
+  await BloodRequest.expireOverdue({ "matchedDonors.donor": req.user._id });
+
+  const filter = { "matchedDonors.donor": req.user._id };
+  filter.status = req.query.status ? { $in: req.query.status.split(",") } : BLOOD_REQUEST_STATUSES.OPEN;
+
+  const requests = await BloodRequest.find(filter).sort({ requiredBy: 1 });
+
+  const data = requests.map((request) => {
+    const match = request.matchedDonors.find((m) => m.donor.equals(req.user._id));
+    const accepted = match.response === DONOR_RESPONSES.ACCEPTED;
+    return {
+      _id: request._id,
+      bloodGroup: request.bloodGroup,
+      unitsRequired: request.unitsRequired,
+      unitsFulfilled: request.unitsFulfilled,
+      hospitalName: request.hospitalName,
+      hospitalAddress: request.hospitalAddress,
+      pinCode: request.pinCode,
+      urgency: request.urgency,
+      requiredBy: request.requiredBy,
+      status: request.status,
+      distanceKm: match.distanceKm,
+      response: match.response,
+      respondedAt: match.respondedAt,
+      // 📞 The requester's contact is shared only with donors who agreed to help
+      contactName: accepted ? request.contactName : null,
+      contactPhone: accepted ? request.contactPhone : null,
+    };
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, data, "Matched blood requests fetched successfully")
+  );
+});
+
+// @desc    Accept or decline a blood request the donor was matched to
+// @route   PATCH /fint/redDrop/donor/requests/:id/respond
+// @access  User (donor)
+export const respondToBloodRequest = asyncHandler(async (req, res) => {
+  const { response } = validate(donorResponseSchema, req.body);
+
+  const request = await findOpenRequest(req.params.id);
+  const match = request.matchedDonors.find((m) => m.donor.equals(req.user._id));
+  if (!match) {
+    throw new ApiError(404, "You haven't been matched to this request");
+  }
+  if (match.unitsDonated > 0) {
+    throw new ApiError(409, "Your donation for this request has already been recorded");
+  }
+
+  if (response === DONOR_RESPONSES.ACCEPTED) {
+    const { eligible, nextEligibleAt } = await DonorEligibilityService.refresh(req.user._id);
+    if (!eligible) {
+      throw new ApiError(409, nextEligibleAt
+        ? `You can donate again from ${nextEligibleAt.toISOString().slice(0, 10)}`
+        : "You aren't eligible to donate at the moment");
+    }
+  }
+
+  match.response = response;
+  match.respondedAt = new Date();
+  await request.save();
+
+  const accepted = response === DONOR_RESPONSES.ACCEPTED;
+  return res.status(200).json(
+    new ApiResponse(200, {
+      requestId: request._id,
+      response,
+      hospitalName: request.hospitalName,
+      hospitalAddress: request.hospitalAddress,
+      contactName: accepted ? request.contactName : null,
+      contactPhone: accepted ? request.contactPhone : null,
+    }, accepted ? "Thank you! The requester has been told you can donate" : "Response recorded")
+  );
+});
+
+// @desc    Cancel an open blood request
+// @route   PATCH /fint/redDrop/requests/:id/cancel
+// @access  User
+export const cancelBloodRequest = asyncHandler(async (req, res) => {
+  const { reason } = validate(cancelSchema, req.body);
+
+  const request = await findOwnRequest(req);
+  if (request.status !== BLOOD_REQUEST_STATUSES.OPEN) {
+    throw new ApiError(409, `A ${request.status} request can't be cancelled`);
+  }
+
+  request.status = BLOOD_REQUEST_STATUSES.CANCELLED;
+  request.cancelledAt = new Date();
+  request.cancelReason = reason || null;
+  await request.save();
+
+  return res.status(200).json(
+    new ApiResponse(200, request, "Blood request cancelled")
+  );
+});
@@ -1,11 +1,11 @@
 import Joi from "joi";
-import jwt from 'jsonwebtoken';
 import { asyncHandler } from "../../utils/asyncHandler.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
 import { ApiError } from "../../utils/ApiError.js";
 import { Venture } from "../../models/venture.model.js";
-import OtpModel from "../../models/authModel/otpModel.model.js";
-import JWTService from "../../../services/JWTService.js";
+import { TOKEN_ROLES } from "../../../services/JWTService.js";
+import SessionService from "../../../services/SessionService.js";
+import OtpService from "../../../services/OtpService.js";
 import { AccessTokenTrack } from "../../models/track/acessTokenTrack.model.js";
 
 const registerSchema = Joi.object({
@@ -137,23 +137,8 @@ export const login_Ventures = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Phone not exists");
   }
 
-  // const generateOTP = () => {
-  //   return Math.floor(100000 + Math.random() * 900000).toString();
-  // };
-  const generateOTP = () => {
-    return Math.floor(1000 + Math.random() * 9000).toString();
-  };
-
-  const otp = generateOTP(); // ✅ call the function here
-
-  // console.log(otp,"otp");
-
-  const sendOtp = new OtpModel({
-    identifier: phoneNumber,
-    otp
-  })
-
-  await sendOtp.save();
+  // 📲 Generate, store and deliver the OTP through the configured SMS provider
+  await OtpService.sendOtp(phoneNumber);
 
   return res
     .status(200)
@@ -178,34 +163,16 @@ export const checkOTP_Ventures = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Validation failed", errors);
   }
 
-  // 🔍 Check OTP in DB
-  const otpRecord = await OtpModel.findOne({ identifier });
-  if (!otpRecord || new Date() > otpRecord.expiresAt) {
-    throw new ApiError(400, "OTP expired or not found");
-  }
-
-  // 🔐 Verify OTP (support static "1234" for testing)
-  const isOtpValid = otpRecord.otp === otp || otp === "1234";
-  if (!isOtpValid) {
-    throw new ApiError(400, "Invalid OTP");
-  }
-
-  // 🧹 Remove OTP from DB
-  await OtpModel.deleteOne({ _id: otpRecord._id });
+  // 🔐 Verify OTP (removes it once used)
+  await OtpService.verifyOtp(identifier, otp);
 
   // 👤 Find ventures
   const ventures = await Venture.findOne({ phoneNumber: identifier });
   if (!ventures) {
     throw new ApiError(404, "Ventures not found");
   }
-  // 🔑 Generate Tokens
-  const accessToken = JWTService.signAccessToken({ _id: ventures._id }, process.env.ACCESS_TOKEN_EXPIRY);
-  const refreshToken = JWTService.signRefreshToken({ _id: ventures._id }, process.env.REFRESH_TOKEN_EXPIRY);
-
-  // 💾 Store refresh token in DB and update venture
-  await JWTService.storeVentureRefreshToken(refreshToken, ventures._id);
-  ventures.refreshToken = refreshToken;
-  await ventures.save();
+  // 🔑 Start a session for this device and issue its tokens
+  const { accessToken, refreshToken } = await SessionService.create(TOKEN_ROLES.VENTURE, ventures._id, req);
 
   // 📲 Add firebaseToken
   if (firebaseToken?.trim()) {
@@ -345,13 +312,9 @@ export const editProfile_Ventures = asyncHandler(async (req, res) => {
 
 export const renewAccessToken_Ventures = asyncHandler(async (req, res) => {
   const venture = req.venture;
-  console.log(process.env.ACCESS_TOKEN_EXPIRY, "process.env.ACCESS_TOKEN_EXPIRY");
 
-  const newAccessToken = jwt.sign(
-    { _id: venture._id, email: venture.email },
-    process.env.ACCESS_TOKEN_SECRET,
-    { expiresIn: process.env.ACCESS_TOKEN_EXPIRY || "1d" }
-  );
+  // 🔄 Rotate: the refresh token just used is spent, the client must keep the new one
+  const { accessToken, refreshToken } = await SessionService.rotate(req.auth.token, req);
 
   // ✅ Save venture ID to AccessTokenTrack
   await AccessTokenTrack.create({
@@ -359,45 +322,49 @@ export const renewAccessToken_Ventures = asyncHandler(async (req, res) => {
   });
 
   return res.status(200).json(
-    new ApiResponse(200, { accessToken: newAccessToken }, "Access token renewed")
+    new ApiResponse(200, { accessToken, refreshToken }, "Access token renewed")
   );
 });
 
 
 export const logoutVenture = asyncHandler(async (req, res) => {
-  const refreshToken = req.header("x-refresh-token");
+  const venture = req.venture;
   const firebaseToken = req.header("x-firebase-token"); // Reading firebaseToken from header
 
-  if (!refreshToken) {
-    throw new ApiError(400, "Refresh token is missing in header");
-  }
+  // 🚪 End only the session this refresh token belongs to
+  await SessionService.revoke(TOKEN_ROLES.VENTURE, venture._id, req.auth.token.sid, "logout");
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  // Remove firebaseToken from array if it exists
+  if (firebaseToken) {
+    await Venture.findByIdAndUpdate(venture._id, { $pull: { firebaseTokens: firebaseToken } });
+  }
 
-    const venture = await Venture.findById(decoded._id);
-    if (!venture) {
-      throw new ApiError(404, "Venture not found");
-    }
+  // Clear cookies (optional since we're using headers)
+  res.clearCookie("refreshToken");
+  res.clearCookie("accessToken");
 
-    // Clear refresh token
-    venture.refreshToken = null;
+  return res.status(200).json(
+    new ApiResponse(200, null, "Logged out successfully")
+  );
+});
 
-    // Remove firebaseToken from array if it exists
-    if (firebaseToken && venture.firebaseTokens.includes(firebaseToken)) {
-      venture.firebaseTokens = venture.firebaseTokens.filter(token => token !== firebaseToken);
-    }
+// 📱 Devices currently logged in to this account
+export const listSessions_Ventures = asyncHandler(async (req, res) => {
+  const sessions = await SessionService.list(TOKEN_ROLES.VENTURE, req.venture._id);
 
-    await venture.save();
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      sessions.map((session) => SessionService.toResponse(session, req.auth.token.sid)),
+      "Sessions fetched successfully"
+    )
+  );
+});
 
-    // Clear cookies (optional since we're using headers)
-    res.clearCookie("refreshToken");
-    res.clearCookie("accessToken");
+export const revokeSession_Ventures = asyncHandler(async (req, res) => {
+  await SessionService.revoke(TOKEN_ROLES.VENTURE, req.venture._id, req.params.sessionId);
 
-    return res.status(200).json(
-      new ApiResponse(200, null, "Logged out successfully")
-    );
-  } catch (err) {
-    throw new ApiError(401, "Invalid or expired refresh token");
-  }
-});
\ No newline at end of file
+  return res.status(200).json(
+    new ApiResponse(200, null, "Session revoked successfully")
+  );
+});
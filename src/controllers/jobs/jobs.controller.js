@@ -0,0 +1,35 @@
+import crypto from "crypto";
+import { SCHEDULED_JOBS } from "../../jobs/index.js";
+import { CRON_SECRET } from "../../config/index.js";
+import { ApiError } from "../../utils/ApiError.js";
+import { ApiResponse } from "../../utils/ApiResponse.js";
+import { asyncHandler } from "../../utils/asyncHandler.js";
+
+// 🔑 The scheduler sends `Authorization: Bearer <CRON_SECRET>`
+const isScheduler = (req) => {
+  const expected = Buffer.from(`Bearer ${CRON_SECRET || ""}`);
+  const given = Buffer.from(req.header("authorization") || "");
+  return Boolean(CRON_SECRET) && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// @desc    Run one scheduled job
+// @route   GET /jobs/:name
+// @access  Scheduler (CRON_SECRET)
+export const runScheduledJob = asyncHandler(async (req, res) => {
+  if (!isScheduler(req)) {
+    throw new ApiError(401, "Unauthorized");
+  }
+
+  const job = SCHEDULED_JOBS[req.params.name];
+  if (!job) {
+    throw new ApiError(404, "Unknown job");
+  }
+
+  const startedAt = Date.now();
+  const result = await job();
+  console.log(`⏰ Job ${req.params.name} finished in ${Date.now() - startedAt}ms`, result);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, `Job ${req.params.name} completed`));
+});
@@ -1,37 +1,14 @@
-import axios from "axios";
 import { asyncHandler } from "../../utils/asyncHandler.js";
-import Payment from "../../models/payment/payment.model.js";
 import { ApiResponse } from "../../utils/ApiResponse.js";
-import { ApiError } from "../../utils/ApiError.js";
-// import { generateXVerify } from "../../utils/phonepe.helper.j
-
-// export const creater 
-
-export const checkPaymentStatus = async (req, res) => {
-  try {
-    const { transactionId } = req.params;
-
-    const relativeUrl = `/pg/v1/status/${process.env.MERCHANT_ID}/${transactionId}`;
-
-    const xVerify = generateXVerify("", relativeUrl);
-
-    const response = await axios.get(
-      `${process.env.PHONEPE_BASE_URL}${relativeUrl}`,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "X-VERIFY": xVerify,
-          "X-MERCHANT-ID": process.env.MERCHANT_ID,
-        },
-      }
-    );
-
-    return res.status(200).json({
-      success: true,
-      data: response.data,
-    });
-  } catch (error) {
-    console.error(error.response?.data || error.message);
-    res.status(500).json({ error: "Failed to fetch status" });
-  }
-};
+import PaymentService from "../../../services/PaymentService.js";
+
+// @desc    PhonePe server-to-server callback; the X-VERIFY signature is checked before anything changes
+// @route   POST /fint/payment/phonepe/callback
+// @access  Public (signed by PhonePe)
+export const phonePeCallback = asyncHandler(async (req, res) => {
+  const payment = await PaymentService.handleCallback(req.body, req.header("X-VERIFY"));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { paymentId: payment._id, status: payment.status }, "Callback processed"));
+});
@@ -0,0 +1,153 @@
+// 📍 Approximate centroids for Indian PIN codes, looked up by prefix.
+// The first two digits identify a postal region and the first three a sorting district,
+// so a 3-digit entry (major cities) is preferred and the 2-digit region is the fallback.
+// Coordinates are [latitude, longitude] and are only meant for ranking by distance.
+
+export const PIN_PREFIX3_CENTROIDS = Object.freeze({
+  110: [28.61, 77.21], // Delhi
+  122: [28.46, 77.03], // Gurugram
+  141: [30.9, 75.85], // Ludhiana
+  143: [31.63, 74.87], // Amritsar
+  144: [31.33, 75.58], // Jalandhar
+  160: [30.73, 76.78], // Chandigarh
+  171: [31.1, 77.17], // Shimla
+  180: [32.73, 74.86], // Jammu
+  190: [34.08, 74.8], // Srinagar
+  201: [28.62, 77.41], // Noida / Ghaziabad
+  208: [26.45, 80.33], // Kanpur
+  211: [25.44, 81.85], // Prayagraj
+  221: [25.32, 82.99], // Varanasi
+  226: [26.85, 80.95], // Lucknow
+  248: [30.32, 78.03], // Dehradun
+  250: [28.98, 77.71], // Meerut
+  273: [26.76, 83.37], // Gorakhpur
+  282: [27.18, 78.01], // Agra
+  302: [26.91, 75.79], // Jaipur
+  313: [24.58, 73.71], // Udaipur
+  324: [25.18, 75.83], // Kota
+  342: [26.24, 73.02], // Jodhpur
+  360: [22.3, 70.8], // Rajkot
+  380: [23.02, 72.57], // Ahmedabad
+  382: [23.22, 72.65], // Gandhinagar
+  390: [22.31, 73.18], // Vadodara
+  395: [21.17, 72.83], // Surat
+  400: [19.08, 72.88], // Mumbai
+  401: [19.3, 72.85], // Thane / Palghar
+  403: [15.4, 74.02], // Goa
+  411: [18.52, 73.86], // Pune
+  416: [16.7, 74.24], // Kolhapur
+  422: [20.0, 73.79], // Nashik
+  431: [19.88, 75.34], // Aurangabad
+  440: [21.15, 79.09], // Nagpur
+  452: [22.72, 75.86], // Indore
+  462: [23.26, 77.41], // Bhopal
+  474: [26.22, 78.18], // Gwalior
+  482: [23.18, 79.99], // Jabalpur
+  492: [21.25, 81.63], // Raipur
+  500: [17.39, 78.49], // Hyderabad
+  506: [17.97, 79.6], // Warangal
+  520: [16.51, 80.65], // Vijayawada
+  522: [16.31, 80.44], // Guntur
+  530: [17.69, 83.22], // Visakhapatnam
+  517: [13.63, 79.42], // Tirupati
+  560: [12.97, 77.59], // Bengaluru
+  570: [12.3, 76.64], // Mysuru
+  575: [12.91, 74.86], // Mangaluru
+  580: [15.36, 75.12], // Hubballi-Dharwad
+  590: [15.85, 74.5], // Belagavi
+  600: [13.08, 80.27], // Chennai
+  620: [10.79, 78.7], // Tiruchirappalli
+  625: [9.93, 78.12], // Madurai
+  636: [11.66, 78.15], // Salem
+  641: [11.02, 76.96], // Coimbatore
+  673: [11.26, 75.78], // Kozhikode
+  682: [9.93, 76.27], // Kochi
+  695: [8.52, 76.94], // Thiruvananthapuram
+  700: [22.57, 88.36], // Kolkata
+  711: [22.59, 88.31], // Howrah
+  734: [26.73, 88.4], // Siliguri
+  751: [20.3, 85.82], // Bhubaneswar
+  753: [20.46, 85.88], // Cuttack
+  769: [22.26, 84.85], // Rourkela
+  781: [26.14, 91.74], // Guwahati
+  793: [25.58, 91.89], // Shillong
+  795: [24.82, 93.94], // Imphal
+  799: [23.83, 91.29], // Agartala
+  800: [25.59, 85.14], // Patna
+  826: [23.8, 86.43], // Dhanbad
+  831: [22.8, 86.2], // Jamshedpur
+  834: [23.34, 85.31], // Ranchi
+  842: [26.12, 85.39], // Muzaffarpur
+});
+
+export const PIN_PREFIX2_CENTROIDS = Object.freeze({
+  11: [28.61, 77.21], // Delhi
+  12: [28.9, 76.6], // Haryana (south)
+  13: [29.7, 76.8], // Haryana (north)
+  14: [31.2, 75.5], // Punjab
+  15: [30.3, 75.2], // Punjab (south)
+  16: [30.6, 76.6], // Chandigarh / Punjab (east)
+  17: [31.5, 77.0], // Himachal Pradesh
+  18: [32.7, 74.9], // Jammu
+  19: [34.1, 75.5], // Kashmir / Ladakh
+  20: [27.9, 78.0], // Uttar Pradesh (west)
+  21: [25.4, 82.0], // Uttar Pradesh (south-east)
+  22: [26.8, 81.5], // Uttar Pradesh (central)
+  23: [25.5, 82.8], // Uttar Pradesh (east)
+  24: [28.8, 79.0], // Uttar Pradesh / Uttarakhand
+  25: [29.0, 77.7], // Uttar Pradesh (north-west)
+  26: [29.3, 79.8], // Uttarakhand
+  27: [26.8, 83.0], // Uttar Pradesh (north-east)
+  28: [27.0, 78.5], // Uttar Pradesh (south-west)
+  30: [26.9, 75.8], // Rajasthan (Jaipur)
+  31: [25.0, 74.3], // Rajasthan (south)
+  32: [25.2, 75.9], // Rajasthan (south-east)
+  33: [28.0, 74.0], // Rajasthan (north)
+  34: [26.2, 72.5], // Rajasthan (west)
+  36: [22.3, 70.8], // Gujarat (Saurashtra)
+  37: [23.2, 69.7], // Gujarat (Kutch)
+  38: [23.0, 72.6], // Gujarat (north)
+  39: [22.0, 73.0], // Gujarat (south)
+  40: [19.1, 72.9], // Mumbai / Konkan
+  41: [18.5, 74.2], // Maharashtra (Pune)
+  42: [20.3, 74.5], // Maharashtra (north)
+  43: [19.5, 76.0], // Maharashtra (Marathwada)
+  44: [20.9, 78.5], // Maharashtra (Vidarbha)
+  45: [22.7, 75.9], // Madhya Pradesh (west)
+  46: [23.3, 77.5], // Madhya Pradesh (central)
+  47: [24.5, 78.5], // Madhya Pradesh (north)
+  48: [23.5, 80.5], // Madhya Pradesh (east)
+  49: [21.3, 81.8], // Chhattisgarh
+  50: [17.6, 78.8], // Telangana
+  51: [14.8, 78.5], // Andhra Pradesh (Rayalaseema)
+  52: [16.0, 80.3], // Andhra Pradesh (coastal)
+  53: [17.5, 82.5], // Andhra Pradesh (north coastal)
+  56: [13.0, 77.5], // Karnataka (Bengaluru)
+  57: [12.6, 75.9], // Karnataka (south)
+  58: [15.3, 75.5], // Karnataka (north)
+  59: [16.0, 75.0], // Karnataka (north-west)
+  60: [13.0, 80.1], // Tamil Nadu (Chennai)
+  61: [10.8, 79.0], // Tamil Nadu (central)
+  62: [9.6, 78.0], // Tamil Nadu (south)
+  63: [11.9, 78.7], // Tamil Nadu (north)
+  64: [11.0, 77.0], // Tamil Nadu (west)
+  67: [11.5, 75.8], // Kerala (north)
+  68: [10.0, 76.4], // Kerala (central)
+  69: [8.8, 76.8], // Kerala (south)
+  70: [22.57, 88.36], // Kolkata
+  71: [22.7, 88.1], // West Bengal (Howrah / Hooghly)
+  72: [22.8, 87.2], // West Bengal (west)
+  73: [25.8, 88.3], // West Bengal (north)
+  74: [23.2, 88.5], // West Bengal (central)
+  75: [20.3, 85.8], // Odisha (coastal)
+  76: [19.3, 84.0], // Odisha (south)
+  77: [21.5, 84.2], // Odisha (west)
+  78: [26.2, 92.0], // Assam
+  79: [25.2, 92.8], // North-eastern states
+  80: [25.6, 85.1], // Bihar (Patna)
+  81: [25.1, 86.5], // Bihar (east)
+  82: [24.2, 85.5], // Bihar (south) / Jharkhand (north)
+  83: [23.2, 85.6], // Jharkhand
+  84: [26.1, 85.5], // Bihar (north)
+  85: [25.8, 87.0], // Bihar (north-east)
+});
@@ -0,0 +1,12 @@
+// src/jobs/index.js
+// ⏰ Housekeeping that shouldn't depend on someone happening to read the data.
+// Each job is idempotent and is triggered over HTTP by the scheduler (Vercel cron, see vercel.json).
+
+import InsuranceRenewalService from '../../services/InsuranceRenewalService.js';
+import { BloodRequest } from '../models/redDrop/bloodRequest.model.js';
+
+export const SCHEDULED_JOBS = Object.freeze({
+  'apply-paid-renewals': async () => ({ applied: await InsuranceRenewalService.applyPaidRenewals() }),
+  'expire-blood-requests': async () => ({ expired: (await BloodRequest.expireOverdue()).modifiedCount }),
+  'lapse-policies': async () => ({ lapsed: await InsuranceRenewalService.lapseExpired() }),
+});
@@ -1,80 +1,35 @@
-import jwt from 'jsonwebtoken';
+import JWTService, { TOKEN_ROLES, MFA_PURPOSES } from '../../services/JWTService.js';
 import { Admin } from '../models/admin.model.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
+import { authenticate, authenticateRefresh } from './auth.middleware.js';
 
-// ✅ Verify Access Token from `Authorization: Bearer <token>`
-export const adminverifyJWT = asyncHandler(async (req, res, next) => {
-  const token = req.cookies?.access_token;
+// ✅ Only accepts tokens issued with `role: "admin"`; attaches the Admin document as `req.admin`
+export const adminverifyJWT = authenticate(TOKEN_ROLES.ADMIN);
 
-  if (!token) {
-    throw new ApiError(401, "Access token missing");
+export const verifyAdminRefreshToken = authenticateRefresh(TOKEN_ROLES.ADMIN);
+
+// 🔐 2FA enrollment can be done from a normal admin session, or mid-login with the
+// `x-mfa-token` handed out when 2FA is mandatory but not yet set up
+export const adminTwoFactorEnrollmentJWT = asyncHandler(async (req, res, next) => {
+  const mfaToken = req.header('x-mfa-token');
+  if (!mfaToken) {
+    return adminverifyJWT(req, res, next);
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    console.log("✅ Decoded JWT:", decoded);
-
-    const admin = await Admin.findById(decoded._id).select("-refreshToken");
-    console.log("✅ Authenticated Admin:", admin);
-
-    if (!admin) {
-      throw new ApiError(404, "Admin not found");
-    }
-
-    req.admin = admin; // attach to request
-    next();
-  } catch (error) {
-    console.error("JWT Error:", error.message);
-    throw new ApiError(401, "Invalid or expired access token");
+    decoded = JWTService.verifyMfaToken(mfaToken, MFA_PURPOSES.ENROLL);
+  } catch (err) {
+    throw new ApiError(401, 'Enrollment token invalid or expired. Please log in again.');
   }
-});
-
-// export const verifyAdminRefreshToken = asyncHandler(async (req, res, next) => {
-//   const refreshToken =
-//   req.cookies?.refreshToken || req.header("x-refresh-token");
-//   console.log("🚀 ~ verifyRefreshToken ~ refreshToken:", refreshToken)
-
-//   if (!refreshToken) {
-//     throw new ApiError(401, "Refresh token missing");
-//   }
-
-//   try {
-//     const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-//     console.log("🚀 ~ verifyRefreshToken ~ decoded:", decoded)
-//     const admin = await Admin.findById(decoded._id);
-//     console.log("🚀 ~ verifyRefreshToken ~ admin:", admin)
 
-//     if (!admin || admin.refreshToken !== refreshToken) {
-//       throw new ApiError(403, "Invalid refresh token");
-//     }
-
-//     req.admin = admin; // attach admin for next handler
-//     next();
-//   } catch (err) {
-//     throw new ApiError(401, "Refresh token expired or invalid");
-//   }
-// });
-
-export const verifyAdminRefreshToken = asyncHandler(async (req, res, next) => {
-  const refreshToken = req.cookies?.refresh_token ;
-console.log("😁😁");
-
-  if (!refreshToken) {
-    throw new ApiError(403, "Refresh token missing");
+  const admin = await Admin.findById(decoded._id).select('-password');
+  if (!admin || admin.status === 'disabled') {
+    throw new ApiError(401, 'Admin not found');
   }
 
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-    const admin = await Admin.findById(decoded._id);
-
-    if (!admin) {
-      throw new ApiError(403, "Invalid refresh token");
-    }
-
-    req.admin = admin;
-    next();
-  } catch (err) {
-    throw new ApiError(401, "Refresh token expired or invalid");
-  }
+  req.admin = admin;
+  req.auth = { role: TOKEN_ROLES.ADMIN, id: admin._id, token: decoded, mfaEnrollment: true };
+  next();
 });
@@ -0,0 +1,98 @@
+import JWTService, { TOKEN_ROLES } from '../../services/JWTService.js';
+import SessionService from '../../services/SessionService.js';
+import { User } from '../models/user.model.js';
+import { Venture } from '../models/venture.model.js';
+import { Admin } from '../models/admin.model.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+
+// 🎭 Which model backs each role and where the loaded document is attached on `req`
+const ROLE_CONFIG = {
+  [TOKEN_ROLES.USER]: { model: User, requestKey: 'user', label: 'User', hidden: '-refreshToken' },
+  [TOKEN_ROLES.VENTURE]: { model: Venture, requestKey: 'venture', label: 'Venture', hidden: '-refreshToken' },
+  [TOKEN_ROLES.ADMIN]: { model: Admin, requestKey: 'admin', label: 'Admin', hidden: '-password' },
+};
+
+// ✅ `Authorization: Bearer <token>` first, then the cookies set by the web clients
+export const extractAccessToken = (req) => {
+  const authHeader = req.header('Authorization');
+  if (authHeader?.startsWith('Bearer ')) return authHeader.split(' ')[1];
+  return req.cookies?.access_token || req.cookies?.accessToken || null;
+};
+
+export const extractRefreshToken = (req) =>
+  req.header('x-refresh-token') || req.cookies?.refresh_token || req.cookies?.refreshToken || null;
+
+const toAuthError = (err, kind) => {
+  if (err instanceof ApiError) return err;
+  if (err.name === 'TokenExpiredError') {
+    return new ApiError(401, `${kind} token expired. Please ${kind === 'Access' ? 'refresh token' : 'log in again'}.`);
+  }
+  return new ApiError(401, `Invalid ${kind.toLowerCase()} token`);
+};
+
+const loadSubject = async (req, decoded) => {
+  const config = ROLE_CONFIG[decoded.role];
+  const subject = await config.model.findById(decoded._id).select(config.hidden);
+
+  if (!subject) {
+    throw new ApiError(401, `${config.label} not found`);
+  }
+
+  if (subject.status === 'disabled') {
+    throw new ApiError(403, `${config.label} account is disabled`);
+  }
+
+  req[config.requestKey] = subject;
+  req.auth = { role: decoded.role, id: subject._id, token: decoded };
+  return subject;
+};
+
+/**
+ * Verifies the access token and only lets it through if it was issued for one of `roles`.
+ * The matching document is attached as `req.user`, `req.venture` or `req.admin`.
+ */
+export const authenticate = (...roles) =>
+  asyncHandler(async (req, res, next) => {
+    const token = extractAccessToken(req);
+    if (!token) {
+      throw new ApiError(401, 'Access token missing');
+    }
+
+    let decoded;
+    try {
+      decoded = JWTService.verifyAccessToken(token, roles);
+    } catch (err) {
+      throw toAuthError(err, 'Access');
+    }
+
+    // 🚫 Revoked or logged-out sessions lose their access tokens immediately
+    if (!decoded.sid || !(await SessionService.isActive(decoded.sid))) {
+      throw new ApiError(401, 'Session expired or revoked. Please log in again.');
+    }
+
+    await loadSubject(req, decoded);
+    next();
+  });
+
+/**
+ * Verifies the signature and role of a refresh token. Session checks and rotation
+ * happen in `SessionService.rotate`, called by the renew/refresh controllers.
+ */
+export const authenticateRefresh = (role) =>
+  asyncHandler(async (req, res, next) => {
+    const token = extractRefreshToken(req);
+    if (!token) {
+      throw new ApiError(403, 'Refresh token missing');
+    }
+
+    let decoded;
+    try {
+      decoded = JWTService.verifyRefreshToken(token, role);
+    } catch (err) {
+      throw toAuthError(err, 'Refresh');
+    }
+
+    await loadSubject(req, decoded);
+    next();
+  });
@@ -0,0 +1,16 @@
+import { hasPermission } from '../config/permissions.js';
+import { ApiError } from '../utils/ApiError.js';
+
+// 🛡️ Use after `adminverifyJWT`: the admin's role must grant every listed permission
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.admin) {
+    return next(new ApiError(401, 'Unauthorized'));
+  }
+
+  const missing = permissions.filter((permission) => !hasPermission(req.admin.role, permission));
+  if (missing.length) {
+    return next(new ApiError(403, 'You do not have permission to perform this action', missing));
+  }
+
+  next();
+};
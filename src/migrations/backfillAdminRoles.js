@@ -0,0 +1,44 @@
+// src/migrations/backfillAdminRoles.js
+// One-off: admins created before roles existed had full access. Gives those accounts
+// (and only those: no `role` stored at all) the super_admin role, and lists who was
+// promoted so it can be checked. Until it runs they read as the schema default,
+// moderator. Safe to run more than once.
+//
+//   npm run migrate:admin-roles
+
+import dotenv from 'dotenv';
+dotenv.config({ path: './.env' });
+
+import connectDB from '../database/index.js';
+import { Admin } from '../models/admin.model.js';
+import { ADMIN_ROLES } from '../config/permissions.js';
+
+async function backfillAdminRoles() {
+  const admins = Admin.collection;
+
+  const legacy = await admins.find({ role: { $exists: false } }, { projection: { email: 1 } }).toArray();
+  if (legacy.length === 0) {
+    return { promoted: 0, emails: [] };
+  }
+
+  const { modifiedCount } = await admins.updateMany(
+    { _id: { $in: legacy.map((admin) => admin._id) }, role: { $exists: false } },
+    { $set: { role: ADMIN_ROLES.SUPER_ADMIN } }
+  );
+
+  return { promoted: modifiedCount, emails: legacy.map((admin) => admin.email) };
+}
+
+async function run() {
+  try {
+    await connectDB();
+    const result = await backfillAdminRoles();
+    console.log('🛡️ Admin roles migration:', result);
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Admin roles migration failed:', err);
+    process.exit(1);
+  }
+}
+
+run();
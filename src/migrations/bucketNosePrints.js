@@ -0,0 +1,53 @@
+// src/migrations/bucketNosePrints.js
+// One-off: duplicate nose-print searches now go through `pets.nosePrint.buckets`.
+// Fills in the buckets for fingerprints recorded before that field existed, so those
+// pets keep being found. Safe to run more than once.
+//
+//   npm run migrate:nose-prints
+
+import dotenv from 'dotenv';
+dotenv.config({ path: './.env' });
+
+import connectDB from '../database/index.js';
+import { Insurance } from '../models/pet/insurance.model.js';
+import NosePrintService from '../../services/NosePrintService.js';
+
+async function bucketNosePrints() {
+  const insurances = Insurance.collection;
+  const counts = { applications: 0, pets: 0 };
+
+  const cursor = insurances.find(
+    { pets: { $elemMatch: { 'nosePrint.hash': { $type: 'string' }, 'nosePrint.buckets': { $exists: false } } } },
+    { projection: { pets: 1 } }
+  );
+
+  for await (const application of cursor) {
+    const pets = application.pets.filter((pet) => pet.nosePrint?.hash && !pet.nosePrint.buckets);
+
+    for (const pet of pets) {
+      await insurances.updateOne(
+        { _id: application._id },
+        { $set: { 'pets.$[pet].nosePrint.buckets': NosePrintService.buckets(pet.nosePrint.hash) } },
+        { arrayFilters: [{ 'pet.petId': pet.petId }] }
+      );
+    }
+    counts.applications += 1;
+    counts.pets += pets.length;
+  }
+
+  return counts;
+}
+
+async function run() {
+  try {
+    await connectDB();
+    const counts = await bucketNosePrints();
+    console.log('👃 Nose print buckets migration:', counts);
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Nose print buckets migration failed:', err);
+    process.exit(1);
+  }
+}
+
+run();
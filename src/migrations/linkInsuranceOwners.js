@@ -0,0 +1,87 @@
+// src/migrations/linkInsuranceOwners.js
+// One-off: insurance applications used to carry their own password and no owner.
+// Drops the password and links each application to the user with the same phone number.
+//
+// Applications whose phone number matches no user can't be saved any more (`user` is
+// required), so they are parked in `insurances_unlinked` instead of being left broken in
+// the live collection. Re-running the script after those owners sign up moves their
+// applications back, linked. Safe to run more than once.
+//
+//   npm run migrate:insurance-owners
+
+import dotenv from 'dotenv';
+dotenv.config({ path: './.env' });
+
+import mongoose from 'mongoose';
+import connectDB from '../database/index.js';
+import { Insurance } from '../models/pet/insurance.model.js';
+import { User } from '../models/user.model.js';
+
+const UNLINKED_COLLECTION = 'insurances_unlinked';
+
+async function linkInsuranceOwners() {
+  const insurances = Insurance.collection;
+  const parked = mongoose.connection.collection(UNLINKED_COLLECTION);
+
+  const { modifiedCount: passwordsDropped } = await insurances.updateMany(
+    { password: { $exists: true } },
+    { $unset: { password: '' } }
+  );
+
+  const unlinked = await insurances.find({ user: null }).toArray();
+  const waiting = await parked.find({}).toArray();
+
+  // 📞 One lookup for every phone number involved, not one per application
+  const phones = [...new Set([...unlinked, ...waiting].map((a) => a.phoneNumber).filter(Boolean))];
+  const owners = await User.find({ phoneNumber: { $in: phones } }).select('_id phoneNumber').lean();
+  const ownerByPhone = new Map(owners.map((u) => [u.phoneNumber, u._id]));
+
+  const counts = { passwordsDropped, linked: 0, parked: 0, restored: 0, stillParked: 0 };
+
+  for (const application of unlinked) {
+    const owner = ownerByPhone.get(application.phoneNumber);
+    if (owner) {
+      await insurances.updateOne({ _id: application._id }, { $set: { user: owner } });
+      counts.linked += 1;
+      continue;
+    }
+
+    // Copy first, then remove, so an interrupted run never loses an application
+    await parked.replaceOne(
+      { _id: application._id },
+      { ...application, parkedAt: new Date(), parkedReason: 'no user with this phone number' },
+      { upsert: true }
+    );
+    await insurances.deleteOne({ _id: application._id });
+    counts.parked += 1;
+  }
+
+  for (const application of waiting) {
+    const owner = ownerByPhone.get(application.phoneNumber);
+    if (!owner) {
+      counts.stillParked += 1;
+      continue;
+    }
+
+    const { parkedAt, parkedReason, ...restored } = application;
+    await insurances.replaceOne({ _id: application._id }, { ...restored, user: owner }, { upsert: true });
+    await parked.deleteOne({ _id: application._id });
+    counts.restored += 1;
+  }
+
+  return counts;
+}
+
+async function run() {
+  try {
+    await connectDB();
+    const counts = await linkInsuranceOwners();
+    console.log('🐶 Insurance owners migration:', counts);
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Insurance owners migration failed:', err);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,120 @@
+// src/mocks/phonepeMockServer.js
+// 🧪 Local stand-in for the PhonePe PG v1 API, for trying checkout end to end without the sandbox.
+//   npm run mock:phonepe, then set PHONEPE_BASE_URL=http://localhost:4010
+// It checks X-VERIFY on every call with the same MERCHANT_ID / SALT_KEY / SALT_INDEX as the app,
+// serves a fake pay page and sends signed callbacks. Add &callback=skip on the pay page links
+// to drop the callback and exercise the status-poll fallback instead.
+
+import dotenv from 'dotenv';
+dotenv.config({ path: './.env' });
+
+import axios from 'axios';
+import express from 'express';
+import { MERCHANT_ID, SALT_KEY, SALT_INDEX, PHONEPE_MOCK_PORT } from '../config/index.js';
+import { generateXVerify, verifyXVerify, encodePayload, decodePayload } from '../utils/phonepe.helper.js';
+
+const port = Number(PHONEPE_MOCK_PORT) || 4010;
+const salt = { saltKey: SALT_KEY || 'mock-salt-key', saltIndex: SALT_INDEX || '1' };
+const merchantId = MERCHANT_ID || 'MOCKMERCHANT';
+
+// merchantTransactionId -> { request, state, code, transactionId }
+const transactions = new Map();
+
+const app = express();
+app.use(express.json());
+
+const statusBody = (txn) => ({
+  success: txn.code === 'PAYMENT_SUCCESS',
+  code: txn.code,
+  message: `Mock: ${txn.code}`,
+  data: {
+    merchantId,
+    merchantTransactionId: txn.request.merchantTransactionId,
+    transactionId: txn.transactionId,
+    amount: txn.request.amount,
+    state: txn.state,
+    responseCode: txn.state === 'COMPLETED' ? 'SUCCESS' : txn.code,
+  },
+});
+
+app.post('/pg/v1/pay', (req, res) => {
+  const { request } = req.body || {};
+  if (!request || !verifyXVerify(request, '/pg/v1/pay', req.header('X-VERIFY'), salt)) {
+    return res.status(401).json({ success: false, code: 'UNAUTHORIZED', message: 'X-VERIFY mismatch' });
+  }
+
+  const payload = decodePayload(request);
+  transactions.set(payload.merchantTransactionId, {
+    request: payload,
+    state: 'PENDING',
+    code: 'PAYMENT_PENDING',
+    transactionId: `MOCK${Date.now()}`,
+  });
+
+  return res.json({
+    success: true,
+    code: 'PAYMENT_INITIATED',
+    message: 'Mock: payment initiated',
+    data: {
+      merchantId,
+      merchantTransactionId: payload.merchantTransactionId,
+      instrumentResponse: {
+        type: 'PAY_PAGE',
+        redirectInfo: { url: `http://localhost:${port}/mock/pay/${payload.merchantTransactionId}`, method: 'GET' },
+      },
+    },
+  });
+});
+
+app.get('/pg/v1/status/:merchantId/:merchantTransactionId', (req, res) => {
+  const path = `/pg/v1/status/${req.params.merchantId}/${req.params.merchantTransactionId}`;
+  if (!verifyXVerify('', path, req.header('X-VERIFY'), salt)) {
+    return res.status(401).json({ success: false, code: 'UNAUTHORIZED', message: 'X-VERIFY mismatch' });
+  }
+
+  const txn = transactions.get(req.params.merchantTransactionId);
+  if (!txn) {
+    return res.status(404).json({ success: false, code: 'TRANSACTION_NOT_FOUND', message: 'Mock: unknown transaction' });
+  }
+  return res.json(statusBody(txn));
+});
+
+// 🖱️ The "pay page": pick an outcome
+app.get('/mock/pay/:merchantTransactionId', (req, res) => {
+  const txn = transactions.get(req.params.merchantTransactionId);
+  if (!txn) return res.status(404).send('Unknown transaction');
+
+  const base = `/mock/pay/${req.params.merchantTransactionId}/complete`;
+  return res.send(`<h3>Mock PhonePe: pay Rs. ${(txn.request.amount / 100).toFixed(2)}</h3>
+    <p><a href="${base}?result=success">Pay</a> | <a href="${base}?result=failed">Decline</a></p>
+    <p><a href="${base}?result=success&callback=skip">Pay (no callback)</a></p>`);
+});
+
+app.get('/mock/pay/:merchantTransactionId/complete', async (req, res) => {
+  const txn = transactions.get(req.params.merchantTransactionId);
+  if (!txn) return res.status(404).send('Unknown transaction');
+
+  const succeeded = req.query.result === 'success';
+  txn.state = succeeded ? 'COMPLETED' : 'FAILED';
+  txn.code = succeeded ? 'PAYMENT_SUCCESS' : 'PAYMENT_ERROR';
+
+  if (req.query.callback !== 'skip' && txn.request.callbackUrl) {
+    const response = encodePayload(statusBody(txn));
+    try {
+      await axios.post(txn.request.callbackUrl, { response }, {
+        headers: { 'Content-Type': 'application/json', 'X-VERIFY': generateXVerify(response, '', salt) },
+        timeout: 10000,
+      });
+      console.log(`📨 [phonepe:mock] callback sent for ${txn.request.merchantTransactionId}`);
+    } catch (error) {
+      console.error(`❌ [phonepe:mock] callback failed: ${error.response?.status || error.message}`);
+    }
+  }
+
+  if (txn.request.redirectUrl) return res.redirect(txn.request.redirectUrl);
+  return res.send(`Payment ${txn.state.toLowerCase()}`);
+});
+
+app.listen(port, () => {
+  console.log(`🧪 PhonePe mock listening on http://localhost:${port} (merchant ${merchantId})`);
+});
@@ -2,7 +2,10 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { ADMIN_ROLES } from '../config/permissions.js';
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const adminSchema = new mongoose.Schema(
   {
@@ -49,6 +52,67 @@ const adminSchema = new mongoose.Schema(
       trim: true,
       default: "",
     },
+    role: {
+      type: String,
+      enum: Object.values(ADMIN_ROLES),
+      default: ADMIN_ROLES.MODERATOR,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'disabled'],
+      default: 'active',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+    // 🔁 Forgot-password flow: only the SHA-256 of the emailed token is stored
+    passwordResetToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    passwordResetRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    // 🔐 TOTP second factor; secrets and recovery code hashes are never selected by default
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        default: [],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        default: -1,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
   },
   {
     timestamps: true,
@@ -73,31 +137,20 @@ adminSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-// 🔑 Generate Access Token
-adminSchema.methods.generateAccessToken = function () {
-  return jwt.sign(
-    {
-      _id: this._id,
-      email: this.email,
-    },
-    process.env.ACCESS_TOKEN_SECRET,
-    {
-      expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1h',
-    }
-  );
+// 🔁 Issue a single-use reset token; returns the raw token to be emailed
+adminSchema.methods.createPasswordResetToken = function (expiryMinutes = 30) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashResetToken(token);
+  this.passwordResetExpiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
+  this.passwordResetRequestedAt = new Date();
+  return token;
 };
 
-// 🔄 Generate Refresh Token
-adminSchema.methods.generateRefreshToken = function () {
-  return jwt.sign(
-    {
-      _id: this._id,
-    },
-    process.env.REFRESH_TOKEN_SECRET,
-    {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d',
-    }
-  );
+adminSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: hashResetToken(token),
+    passwordResetExpiresAt: { $gt: new Date() },
+  });
 };
 
 export const Admin = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,47 @@
+// src/models/authModel/authThrottle.model.js
+
+import mongoose from 'mongoose';
+
+// Brute-force counters for one identifier in one flow (e.g. phone OTP, admin 2FA).
+// Kept apart from the secret being guessed, so letting an OTP expire or requesting
+// a new one doesn't hand back a fresh set of tries.
+const authThrottleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    sends: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // ⏳ End of the counting window while unlocked, lock expiry while locked
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'auth_throttles',
+  }
+);
+
+authThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// 🧼 Forget the counters once the window (or lock) is over
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthThrottle = mongoose.model('AuthThrottle', authThrottleSchema);
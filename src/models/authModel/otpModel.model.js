@@ -1,32 +1,56 @@
 import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
 
+// One record per identifier: holds the current (hashed) OTP. Brute-force counters
+// and lockouts live in AuthThrottle so they outlive the code itself.
 const otpSchema = new mongoose.Schema({
 
   identifier: {
     type: String,
     required: true,
+    unique: true,
   },
+  // 🔐 Stored as a bcrypt hash, never in plain text
   otp: {
     type: String,
-    required: true,
+    default: null,
+  },
+  lastSentAt: {
+    type: Date,
+    default: null,
   },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  // ⏳ OTP validity
   expiresAt: {
     type: Date,
   },
 });
 
 // ➕ Automatically set expiresAt = 5 minutes from createdAt
-otpSchema.pre("save", function (next) {
+// 🔐 Hash the OTP whenever it changes
+otpSchema.pre("save", async function (next) {
   if (!this.expiresAt) {
     this.expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes from now
   }
-  next();
+  if (!this.isModified("otp") || !this.otp) return next();
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.otp = await bcrypt.hash(this.otp, salt);
+    next();
+  } catch (err) {
+    next(err);
+  }
 });
 
+// 🔐 Method to compare an OTP against the stored hash
+otpSchema.methods.isOtpCorrect = async function (otp) {
+  if (!this.otp) return false;
+  return await bcrypt.compare(otp, this.otp);
+};
+
 // 🧼 Auto-delete expired OTP using TTL index
 otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -0,0 +1,74 @@
+// src/models/authModel/session.model.js
+
+import mongoose from 'mongoose';
+
+// One document per login. Every refresh token minted from that login (the token
+// "family") carries the session id in `sid`; only the latest one (`refreshTokenId`)
+// may be exchanged, so replaying an older token revokes the whole family.
+const sessionSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: 'subjectModel',
+      index: true,
+    },
+    subjectModel: {
+      type: String,
+      required: true,
+      enum: ['User', 'Venture', 'Admin'],
+    },
+    role: {
+      type: String,
+      required: true,
+      enum: ['user', 'venture', 'admin'],
+    },
+    refreshTokenId: {
+      type: String,
+      required: true,
+    },
+    deviceId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'reuse_detected', 'password_reset', '2fa_required', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'sessions',
+  }
+);
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// 🧼 Drop sessions once their refresh tokens can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,125 @@
 import mongoose from 'mongoose';
+import { ApiError } from '../../utils/ApiError.js';
+import { PAYMENT_EXPIRY_MINUTES } from '../../config/index.js';
+
+const EXPIRY_MS = (Number(PAYMENT_EXPIRY_MINUTES) || 30) * 60 * 1000;
+
+// 🔁 Payment lifecycle. Only the server moves a payment along: gateway results, lazy expiry and admin reconciliation
+export const PAYMENT_STATUSES = Object.freeze({
+  CREATED: 'created',
+  PENDING: 'pending',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+  EXPIRED: 'expired',
+});
+
+export const PAYMENT_TRANSITIONS = Object.freeze({
+  created: ['pending', 'failed', 'expired'],
+  pending: ['success', 'failed', 'expired'],
+  success: ['refunded'],
+  failed: [],
+  refunded: [],
+  expired: ['success'], // the gateway confirmed a payment that finished after we gave up on it
+});
+
+// Still waiting on the customer; these can be sent (again) to checkout
+export const OPEN_PAYMENT_STATUSES = Object.freeze([PAYMENT_STATUSES.CREATED, PAYMENT_STATUSES.PENDING]);
+
+// 📡 What caused a status change
+export const PAYMENT_EVENT_SOURCES = Object.freeze({
+  SYSTEM: 'system',
+  GATEWAY_CALLBACK: 'gateway_callback',
+  GATEWAY_STATUS: 'gateway_status',
+  ADMIN: 'admin',
+});
+
+// 🏷️ What a payment is for; anything tied to another record points at it through `reference`
+export const PAYMENT_PURPOSES = Object.freeze({
+  GENERAL: 'general',
+  INSURANCE_RENEWAL: 'insurance_renewal',
+});
+
+// 🧾 One status change; entries are append-only and can't be edited once written
+const paymentEventSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...Object.values(PAYMENT_STATUSES), null],
+    default: null,
+    immutable: true,
+  },
+  to: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUSES),
+    required: true,
+    immutable: true,
+  },
+  source: {
+    type: String,
+    enum: Object.values(PAYMENT_EVENT_SOURCES),
+    required: true,
+    immutable: true,
+  },
+  gatewayCode: {
+    type: String,
+    default: null,
+    immutable: true,
+  },
+  note: {
+    type: String,
+    default: null,
+    trim: true,
+    immutable: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'statusHistory.changedByModel',
+    default: null,
+    immutable: true,
+  },
+  changedByModel: {
+    type: String,
+    enum: ['Admin', 'User', 'System'],
+    default: 'System',
+    immutable: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+}, { _id: false });
+
+// 🔂 One trip to the gateway's pay page. Every retry gets its own transaction id, and a
+// result for any of them (however late) still finds its way back to the payment.
+const paymentAttemptSchema = new mongoose.Schema({
+  merchantTransactionId: {
+    type: String,
+    required: true,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // What the gateway last said about this attempt
+  outcome: {
+    type: String,
+    enum: [PAYMENT_STATUSES.PENDING, PAYMENT_STATUSES.SUCCESS, PAYMENT_STATUSES.FAILED],
+    default: PAYMENT_STATUSES.PENDING,
+  },
+  gatewayCode: {
+    type: String,
+    default: null,
+  },
+  gatewayTransactionId: {
+    type: String,
+    default: null,
+  },
+  checkedAt: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -13,14 +134,80 @@ const paymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['success', 'failed', 'pending'],
-      default: 'pending',
-      // required: true,
+      enum: Object.values(PAYMENT_STATUSES),
+      default: PAYMENT_STATUSES.CREATED,
+      index: true,
+    },
+    statusHistory: {
+      type: [paymentEventSchema],
+      default: [],
+    },
+    // ⏳ Unpaid past this and the payment expires (pushed back on every checkout attempt)
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + EXPIRY_MS),
     },
     amount: {
       type: Number,
       required: true,
     },
+    purpose: {
+      type: String,
+      enum: Object.values(PAYMENT_PURPOSES),
+      default: PAYMENT_PURPOSES.GENERAL,
+    },
+    reference: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'referenceModel',
+      default: null,
+      index: true,
+    },
+    referenceModel: {
+      type: String,
+      enum: ['Insurance', null],
+      default: null,
+    },
+    // 💳 Gateway side of the payment, filled in once checkout starts
+    gateway: {
+      type: String,
+      enum: ['phonepe', null],
+      default: null,
+    },
+    // The latest attempt's transaction id; `attempts` keeps every one
+    merchantTransactionId: {
+      type: String,
+      default: undefined,
+      unique: true,
+      sparse: true,
+    },
+    attempts: {
+      type: [paymentAttemptSchema],
+      default: [],
+    },
+    gatewayTransactionId: {
+      type: String,
+      default: null,
+    },
+    gatewayCode: {
+      type: String,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: null,
+    },
+    // 🚩 Money moved but couldn't be applied (e.g. a renewal for a rejected policy); an admin refunds or settles it
+    reconciliation: {
+      flagged: { type: Boolean, default: false, index: true },
+      reason: { type: String, default: null },
+      flaggedAt: { type: Date, default: null },
+      resolvedAt: { type: Date, default: null },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -28,9 +215,86 @@ const paymentSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    // A callback and a status poll can race on the same payment; the loser gets a VersionError and re-reads
+    optimisticConcurrency: true,
   }
 );
 
+// 🔎 Callbacks are matched to a payment through any of its attempts
+paymentSchema.index(
+  { 'attempts.merchantTransactionId': 1 },
+  { unique: true, partialFilterExpression: { 'attempts.merchantTransactionId': { $type: 'string' } } }
+);
+
+// ✅ New payments start their history as "created"; after that status only moves through transitionTo()
+paymentSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      source: PAYMENT_EVENT_SOURCES.SYSTEM,
+      changedBy: this.userId,
+      changedByModel: 'User',
+    });
+  }
+
+  if (!this.isNew && this.isModified('status') && this.statusHistory.at(-1)?.to !== this.status) {
+    return next(new Error(`Payment ${this._id} status was changed without a transition`));
+  }
+  next();
+});
+
+paymentSchema.methods.transitionTo = function (
+  status,
+  { source, gatewayCode = null, note = null, actorId = null, actorModel = 'System' }
+) {
+  if (!(PAYMENT_TRANSITIONS[this.status] || []).includes(status)) {
+    throw new ApiError(
+      409,
+      `Cannot move payment from "${this.status}" to "${status}"`,
+      [{ field: 'status', allowed: PAYMENT_TRANSITIONS[this.status] || [] }]
+    );
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    source,
+    gatewayCode,
+    note,
+    changedBy: actorId,
+    changedByModel: actorModel,
+  });
+  this.status = status;
+  if (status === PAYMENT_STATUSES.SUCCESS) this.paidAt = new Date();
+  return this;
+};
+
+paymentSchema.statics.flagForReconciliation = function (paymentId, reason) {
+  console.error(`❌ Payment ${paymentId} needs reconciling: ${reason}`);
+  return this.updateOne(
+    { _id: paymentId },
+    { $set: { 'reconciliation.flagged': true, 'reconciliation.reason': reason, 'reconciliation.flaggedAt': new Date() } }
+  );
+};
+
+paymentSchema.methods.isOpen = function () {
+  return OPEN_PAYMENT_STATUSES.includes(this.status);
+};
+
+paymentSchema.methods.isPastExpiry = function () {
+  return Boolean(this.expiresAt) && this.expiresAt.getTime() <= Date.now();
+};
+
+paymentSchema.methods.findAttempt = function (merchantTransactionId) {
+  return this.attempts.find((attempt) => attempt.merchantTransactionId === merchantTransactionId) || null;
+};
+
+paymentSchema.methods.extendExpiry = function () {
+  this.expiresAt = new Date(Date.now() + EXPIRY_MS);
+  return this;
+};
+
 const Payment = mongoose.model('Payment', paymentSchema);
 
 export default Payment;
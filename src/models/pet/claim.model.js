@@ -0,0 +1,273 @@
+// src/models/pet/claim.model.js
+
+import mongoose from 'mongoose';
+import { ApiError } from '../../utils/ApiError.js';
+import { planTermsSchema } from './insurance.model.js';
+
+// 🔁 Claim lifecycle and the moves allowed from each state
+export const CLAIM_STATUSES = Object.freeze({
+  FILED: 'filed',
+  ASSESSING: 'assessing',
+  APPROVED: 'approved',
+  PAID: 'paid',
+  REJECTED: 'rejected',
+});
+
+export const CLAIM_TRANSITIONS = Object.freeze({
+  filed: ['assessing', 'rejected'],
+  assessing: ['approved', 'rejected'],
+  approved: ['paid'],
+  paid: [],
+  rejected: [],
+});
+
+// 🧾 A vet invoice the pet parent uploaded with the amount they are claiming for it
+const invoiceSchema = new mongoose.Schema({
+  file: {
+    type: String,
+    required: true,
+  },
+  originalName: {
+    type: String,
+    default: null,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const documentSchema = new mongoose.Schema({
+  file: {
+    type: String,
+    required: true,
+  },
+  originalName: {
+    type: String,
+    default: null,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// 🧮 How the payable amount was reached, kept so reviewers can see the working
+const assessmentSchema = new mongoose.Schema({
+  claimedAmount: Number,
+  eligibleAmount: Number,
+  coverageLimit: Number,
+  coverageUsed: Number,
+  sumInsured: Number,
+  sumInsuredUsed: Number,
+  deductible: Number,
+  deductibleApplied: Number,
+  payableAmount: Number,
+  waitingPeriodBreached: {
+    type: Boolean,
+    default: false,
+  },
+  calculatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// 👃 Nose photo taken at claim time, compared against the fingerprint on the policy
+const identityCheckSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['matched', 'unavailable'],
+    required: true,
+  },
+  file: {
+    type: String,
+    default: null,
+  },
+  hash: {
+    type: String,
+    default: null,
+  },
+  distance: {
+    type: Number,
+    default: null,
+  },
+  checkedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const claimStatusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...Object.values(CLAIM_STATUSES), null],
+    default: null,
+  },
+  to: {
+    type: String,
+    enum: Object.values(CLAIM_STATUSES),
+    required: true,
+  },
+  note: {
+    type: String,
+    default: null,
+    trim: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'statusHistory.changedByModel',
+    default: null,
+  },
+  changedByModel: {
+    type: String,
+    enum: ['Admin', 'User', 'System'],
+    default: 'System',
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const claimSchema = new mongoose.Schema(
+  {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Insurance',
+      required: true,
+      index: true,
+    },
+    petId: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InsurancePlan',
+      required: true,
+    },
+    // 📜 The pet's plan terms for the term claimed against, copied from the policy at filing
+    planTerms: {
+      type: planTermsSchema,
+      default: null,
+    },
+    // 📅 Policy term the incident falls in; limits and the deductible reset every term
+    termStartDate: {
+      type: Date,
+      required: true,
+    },
+    coverageKey: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    incidentDate: {
+      type: Date,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    vetName: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    invoices: {
+      type: [invoiceSchema],
+      default: [],
+    },
+    documents: {
+      type: [documentSchema],
+      default: [],
+    },
+    claimedAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    assessment: {
+      type: assessmentSchema,
+      default: null,
+    },
+    identityCheck: {
+      type: identityCheckSchema,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: Object.values(CLAIM_STATUSES),
+      default: CLAIM_STATUSES.FILED,
+      index: true,
+    },
+    statusHistory: {
+      type: [claimStatusChangeSchema],
+      default: [],
+    },
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    paymentReference: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'insurance_claims',
+    // Two reviewers acting on the same claim at once: the second save gets a VersionError
+    optimisticConcurrency: true,
+  }
+);
+
+claimSchema.index({ policy: 1, petId: 1, termStartDate: 1 });
+
+// ✅ New claims start their history as "filed"
+claimSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedByModel: 'User', changedBy: this.user });
+  }
+  next();
+});
+
+claimSchema.methods.transitionTo = function (status, { note = null, actorId = null, actorModel = 'System' } = {}) {
+  if (!(CLAIM_TRANSITIONS[this.status] || []).includes(status)) {
+    throw new ApiError(
+      409,
+      `Cannot move claim from "${this.status}" to "${status}"`,
+      [{ field: 'status', allowed: CLAIM_TRANSITIONS[this.status] || [] }]
+    );
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    note,
+    changedBy: actorId,
+    changedByModel: actorModel,
+  });
+  this.status = status;
+  return this;
+};
+
+export const Claim = mongoose.model('Claim', claimSchema);
@@ -0,0 +1,46 @@
+// src/models/pet/claimUsage.model.js
+
+import mongoose from 'mongoose';
+
+// 🧮 What approved claims have used of one pet's cover in one policy term. Approvals
+// reserve against it with a guarded $inc, so two claims approved at the same moment
+// can't both fit under a limit that only has room for one.
+const claimUsageSchema = new mongoose.Schema(
+  {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Insurance',
+      required: true,
+    },
+    petId: {
+      type: String,
+      required: true,
+    },
+    termStartDate: {
+      type: Date,
+      required: true,
+    },
+    sumInsuredUsed: {
+      type: Number,
+      default: 0,
+    },
+    deductibleUsed: {
+      type: Number,
+      default: 0,
+    },
+    // coverage item key -> amount paid under it
+    coverageUsed: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'insurance_claim_usage',
+  }
+);
+
+claimUsageSchema.index({ policy: 1, petId: 1, termStartDate: 1 }, { unique: true });
+
+export const ClaimUsage = mongoose.model('ClaimUsage', claimUsageSchema);
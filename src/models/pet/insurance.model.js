@@ -1,8 +1,52 @@
 // src/models/insurance.model.js
 
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
-import bcrypt from 'bcrypt';
+import { ApiError } from '../../utils/ApiError.js';
+import { InsurancePlan, PET_SPECIES, coverageItemSchema, waitingPeriodSchema } from './insurancePlan.model.js';
+import { quoteLineItemSchema } from './insuranceQuote.model.js';
+import { INSURANCE_POLICY_TERM_MONTHS } from '../../config/index.js';
+
+const POLICY_TERM_MONTHS = Number(INSURANCE_POLICY_TERM_MONTHS) || 12;
+
+// 💰 What one pet costs on its plan, before the multi-pet discount and tax
+const petPremiumSchema = new mongoose.Schema({
+  basePremium: {
+    type: Number,
+    required: true,
+  },
+  netPremium: {
+    type: Number,
+    required: true,
+  },
+  lineItems: {
+    type: [quoteLineItemSchema],
+    default: [],
+  },
+  pricedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// 📜 The plan's cover as it stood when this pet's term was agreed. Claims are assessed
+// against it, so editing a plan later doesn't change what existing policies pay.
+export const planTermsSchema = new mongoose.Schema({
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsurancePlan',
+    required: true,
+  },
+  name: { type: String, default: null },
+  code: { type: String, default: null },
+  sumInsured: { type: Number, required: true },
+  deductible: { type: Number, default: 0 },
+  coverageItems: { type: [coverageItemSchema], default: [] },
+  waitingPeriods: { type: [waitingPeriodSchema], default: [] },
+  exclusions: { type: [String], default: [] },
+  snapshotAt: { type: Date, default: Date.now },
+}, { _id: false });
 
 const petSchema = new mongoose.Schema({
   petId: {
@@ -15,6 +59,11 @@ const petSchema = new mongoose.Schema({
     default: null,
     trim: true,
   },
+  petSpecies: {
+    type: String,
+    enum: [...PET_SPECIES, null],
+    default: null,
+  },
   petBreed: {
     type: String,
     default: null,
@@ -35,25 +84,170 @@ const petSchema = new mongoose.Schema({
     default: null,
     trim: true,
   },
+  // 👃 Perceptual fingerprint of `petNoseImg`, used to spot the same animal insured twice
+  nosePrint: {
+    hash: { type: String, default: null },
+    // 🪣 Segment keys of `hash`, indexed so a duplicate search only reads near matches
+    buckets: { type: [String], default: undefined },
+    algorithm: { type: String, default: null },
+    computedAt: { type: Date, default: null },
+  },
+  // 🩺 Each pet carries its own plan; `quote` is set when the price came from an accepted quote
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsurancePlan',
+    default: null,
+  },
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsuranceQuote',
+    default: null,
+  },
+  premium: {
+    type: petPremiumSchema,
+    default: null,
+  },
+  planTerms: {
+    type: planTermsSchema,
+    default: null,
+  },
 }, { _id: false });
 
-const InsuranceSchema = new mongoose.Schema({
-  name: {
+// 🔁 Application / policy lifecycle and the moves allowed from each state
+export const INSURANCE_STATUSES = Object.freeze({
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  DOCUMENTS_REQUESTED: 'documents_requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  ACTIVE: 'active',
+  LAPSED: 'lapsed',
+});
+
+export const INSURANCE_TRANSITIONS = Object.freeze({
+  submitted: ['under_review', 'rejected'],
+  under_review: ['documents_requested', 'approved', 'rejected'],
+  documents_requested: ['under_review', 'rejected'],
+  approved: ['active', 'rejected'],
+  rejected: [],
+  active: ['lapsed'],
+  lapsed: ['active'], // reinstated when a renewal raised before the lapse is paid
+});
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...Object.values(INSURANCE_STATUSES), null],
+    default: null,
+  },
+  to: {
     type: String,
+    enum: Object.values(INSURANCE_STATUSES),
     required: true,
+  },
+  note: {
+    type: String,
+    default: null,
     trim: true,
   },
-  email: {
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'statusHistory.changedByModel',
+    default: null,
+  },
+  changedByModel: {
+    type: String,
+    enum: ['Admin', 'User', 'System'],
+    default: 'System',
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// 🔄 Price of the next term for one pet, at the age it will be when the term starts
+const renewalPetSchema = new mongoose.Schema({
+  petId: {
+    type: String,
+    required: true,
+  },
+  ageYears: {
+    type: Number,
+    required: true,
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsurancePlan',
+    required: true,
+  },
+  premium: {
+    type: petPremiumSchema,
+    required: true,
+  },
+}, { _id: false });
+
+const policyPremiumFields = {
+  grossPremium: { type: Number, default: null },
+  multiPetDiscount: { type: Number, default: 0 },
+  multiPetDiscountRate: { type: Number, default: 0 },
+  netPremium: { type: Number, default: null },
+  tax: { type: Number, default: null },
+  totalPremium: { type: Number, default: null },
+  currency: { type: String, default: 'INR' },
+};
+
+const renewalTermSchema = new mongoose.Schema({
+  previousEndDate: Date,
+  startDate: Date,
+  endDate: Date,
+  totalPremium: Number,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+  renewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const reviewerNoteSchema = new mongoose.Schema({
+  note: {
     type: String,
     required: true,
     trim: true,
-    lowercase: true,
   },
-  password: {
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const InsuranceSchema = new mongoose.Schema({
+  // 👤 Policy holder; name / email / phone below are a snapshot taken from the profile when applying
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  name: {
     type: String,
     required: true,
     trim: true,
   },
+  email: {
+    type: String,
+    default: null,
+    trim: true,
+    lowercase: true,
+  },
   phoneNumber: {
     type: String,
     required: true,
@@ -78,21 +272,77 @@ const InsuranceSchema = new mongoose.Schema({
     type: [petSchema],
     default: [],
   },
+  // 💰 Totals across every pet with a plan, recalculated whenever pets or plans change
+  premium: { ...policyPremiumFields },
+  // 📄 Issued on approval and printed on the policy schedule
+  policyNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    default: undefined,
+  },
+  // 📅 Current policy term, set when the policy goes active and moved on by each renewal
+  policyStartDate: {
+    type: Date,
+    default: null,
+  },
+  policyEndDate: {
+    type: Date,
+    default: null,
+    index: true,
+  },
+  // 🔄 Renewal waiting on payment; cleared once the payment succeeds
+  renewal: {
+    pets: {
+      type: [renewalPetSchema],
+      default: undefined,
+    },
+    premium: { ...policyPremiumFields },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null,
+    },
+    quotedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  renewalHistory: {
+    type: [renewalTermSchema],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: Object.values(INSURANCE_STATUSES),
+    default: INSURANCE_STATUSES.SUBMITTED,
+    index: true,
+  },
+  // ⏱️ When the application last entered each status, e.g. { approved: Date }
+  statusDates: {
+    type: Map,
+    of: Date,
+    default: {},
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: [],
+  },
+  reviewerNotes: {
+    type: [reviewerNoteSchema],
+    default: [],
+  },
 }, {
   timestamps: true,
   collection: 'insurances', // optionally rename collection to "insurances"
 });
 
-// 🔐 Pre-save hook for hashing password and generating petId
+InsuranceSchema.index({ 'pets.nosePrint.buckets': 1 });
+
+// 🐾 Pre-save hook for generating petId
 InsuranceSchema.pre('save', async function (next) {
   const insurance = this;
 
-  // Hash password if modified
-  if (insurance.isModified('password')) {
-    const salt = await bcrypt.genSalt(10);
-    insurance.password = await bcrypt.hash(insurance.password, salt);
-  }
-
   // Ensure each pet has a petId
   if (insurance.pets && Array.isArray(insurance.pets)) {
     insurance.pets.forEach((pet) => {
@@ -105,4 +355,99 @@ InsuranceSchema.pre('save', async function (next) {
   next();
 });
 
+// ✅ New applications start their history as "submitted"
+InsuranceSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, changedByModel: 'User', changedBy: null });
+    this.statusDates.set(this.status, new Date());
+  }
+  next();
+});
+
+// 📜 Approval fixes the cover; a policy activated without a snapshot (approved before they existed) gets one then
+InsuranceSchema.pre('save', async function () {
+  if (!this.isModified('status')) return;
+
+  const missingTerms = this.pets.some((pet) => pet.plan && !pet.planTerms);
+  if (this.status === INSURANCE_STATUSES.APPROVED || (this.status === INSURANCE_STATUSES.ACTIVE && missingTerms)) {
+    await this.snapshotPlanTerms();
+  }
+});
+
+InsuranceSchema.methods.canTransitionTo = function (status) {
+  return (INSURANCE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Moves the application to `status`, recording who did it and why. Throws a 409
+ * for any move the lifecycle doesn't allow.
+ */
+InsuranceSchema.methods.transitionTo = function (status, { note = null, actorId = null, actorModel = 'System' } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new ApiError(
+      409,
+      `Cannot move application from "${this.status}" to "${status}"`,
+      [{ field: 'status', allowed: INSURANCE_TRANSITIONS[this.status] || [] }]
+    );
+  }
+
+  const changedAt = new Date();
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    note,
+    changedBy: actorId,
+    changedByModel: actorModel,
+    changedAt,
+  });
+  this.statusDates.set(status, changedAt);
+  this.status = status;
+
+  if (status === INSURANCE_STATUSES.APPROVED && !this.policyNumber) {
+    this.policyNumber = `FPI-${changedAt.getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+  if (status === INSURANCE_STATUSES.ACTIVE && !this.policyStartDate) {
+    this.startPolicyTerm(changedAt);
+  }
+  return this;
+};
+
+// 📅 Sets the policy dates for one term beginning at `startDate`
+InsuranceSchema.methods.startPolicyTerm = function (startDate) {
+  const endDate = new Date(startDate);
+  endDate.setMonth(endDate.getMonth() + POLICY_TERM_MONTHS);
+
+  this.policyStartDate = startDate;
+  this.policyEndDate = endDate;
+  return this;
+};
+
+/**
+ * Copies each pet's current plan onto `pet.planTerms`. Called when the cover is
+ * agreed (approval) and again when a renewal moves pets onto re-quoted plans.
+ */
+InsuranceSchema.methods.snapshotPlanTerms = async function () {
+  const planIds = this.pets.filter((pet) => pet.plan).map((pet) => pet.plan);
+  const plans = await InsurancePlan.find({ _id: { $in: planIds } });
+  const snapshotAt = new Date();
+
+  for (const pet of this.pets) {
+    const plan = pet.plan && plans.find((p) => p._id.equals(pet.plan));
+    pet.planTerms = plan
+      ? {
+          plan: plan._id,
+          name: plan.name,
+          code: plan.code,
+          sumInsured: plan.sumInsured,
+          deductible: plan.deductible,
+          coverageItems: plan.coverageItems.map((item) => item.toObject()),
+          waitingPeriods: plan.waitingPeriods.map((period) => period.toObject()),
+          exclusions: [...plan.exclusions],
+          snapshotAt,
+        }
+      : null;
+  }
+  return this;
+};
+
 export const Insurance = mongoose.model('Insurance', InsuranceSchema);
@@ -0,0 +1,169 @@
+// src/models/pet/insurancePlan.model.js
+
+import mongoose from 'mongoose';
+
+export const PET_SPECIES = ['dog', 'cat'];
+
+// 🩺 What the plan pays for, each with its own annual limit
+export const coverageItemSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  limit: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+// 💰 Annual premium for a species / age band; an empty `breeds` list applies to every breed
+const premiumRateSchema = new mongoose.Schema({
+  species: {
+    type: String,
+    enum: PET_SPECIES,
+    required: true,
+  },
+  breeds: {
+    type: [String],
+    default: [],
+  },
+  minAgeYears: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  maxAgeYears: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  annualPremium: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+export const waitingPeriodSchema = new mongoose.Schema({
+  condition: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+const insurancePlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    species: {
+      type: [String],
+      enum: PET_SPECIES,
+      default: PET_SPECIES,
+    },
+    sumInsured: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    deductible: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    coverageItems: {
+      type: [coverageItemSchema],
+      default: [],
+    },
+    premiumTable: {
+      type: [premiumRateSchema],
+      default: [],
+    },
+    waitingPeriods: {
+      type: [waitingPeriodSchema],
+      default: [],
+    },
+    exclusions: {
+      type: [String],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ['active', 'inactive', 'archived'],
+      default: 'active',
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'insurance_plans',
+  }
+);
+
+// ✅ Age bands must make sense before a plan can be saved
+insurancePlanSchema.pre('validate', function (next) {
+  const invalidBand = this.premiumTable.find((rate) => rate.minAgeYears > rate.maxAgeYears);
+  if (invalidBand) {
+    this.invalidate('premiumTable', `Invalid age band ${invalidBand.minAgeYears}-${invalidBand.maxAgeYears} for ${invalidBand.species}`);
+  }
+  next();
+});
+
+/**
+ * Finds the premium row for a pet. A row naming the breed wins over a generic row
+ * for the same species and age; returns null when the pet can't be covered.
+ */
+insurancePlanSchema.methods.findPremiumRate = function ({ species, breed, ageYears }) {
+  const normalisedBreed = breed?.trim().toLowerCase();
+
+  const candidates = this.premiumTable.filter(
+    (rate) =>
+      rate.species === species &&
+      ageYears >= rate.minAgeYears &&
+      ageYears <= rate.maxAgeYears &&
+      (rate.breeds.length === 0 ||
+        rate.breeds.some((b) => b.toLowerCase() === normalisedBreed))
+  );
+
+  return candidates.find((rate) => rate.breeds.length > 0) || candidates[0] || null;
+};
+
+export const InsurancePlan = mongoose.model('InsurancePlan', insurancePlanSchema);
@@ -0,0 +1,138 @@
+// src/models/pet/insuranceQuote.model.js
+
+import mongoose from 'mongoose';
+import { PET_SPECIES } from './insurancePlan.model.js';
+
+export const QUOTE_STATUSES = Object.freeze({
+  QUOTED: 'quoted',
+  ACCEPTED: 'accepted',
+  BOUND: 'bound',
+  EXPIRED: 'expired',
+});
+
+// 🧾 One priced line of the quote: the base rate, a loading, a discount or tax
+export const quoteLineItemSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+  },
+  label: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['base', 'loading', 'discount', 'tax'],
+    required: true,
+  },
+  rate: {
+    type: Number,
+    default: null,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
+
+const insuranceQuoteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InsurancePlan',
+      required: true,
+    },
+    // 📸 The plan as it was priced, so later plan edits don't change an issued quote
+    planSnapshot: {
+      name: String,
+      code: String,
+      sumInsured: Number,
+      deductible: Number,
+    },
+    pet: {
+      species: {
+        type: String,
+        enum: PET_SPECIES,
+        required: true,
+      },
+      breed: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      ageYears: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+    },
+    pinCode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    zone: {
+      type: String,
+      default: null,
+    },
+    lineItems: {
+      type: [quoteLineItemSchema],
+      default: [],
+    },
+    basePremium: {
+      type: Number,
+      required: true,
+    },
+    netPremium: {
+      type: Number,
+      required: true,
+    },
+    tax: {
+      type: Number,
+      default: 0,
+    },
+    totalPremium: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+    validUntil: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(QUOTE_STATUSES),
+      default: QUOTE_STATUSES.QUOTED,
+      index: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Insurance',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'insurance_quotes',
+  }
+);
+
+insuranceQuoteSchema.methods.isExpired = function () {
+  return this.validUntil.getTime() <= Date.now();
+};
+
+export const InsuranceQuote = mongoose.model('InsuranceQuote', insuranceQuoteSchema);
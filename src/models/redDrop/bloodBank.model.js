@@ -0,0 +1,121 @@
+// src/models/redDrop/bloodBank.model.js
+
+import mongoose from 'mongoose';
+import { BLOOD_GROUPS } from './bloodRequest.model.js';
+
+export const BLOOD_BANK_TYPES = Object.freeze({
+  BLOOD_BANK: 'blood_bank',
+  HOSPITAL: 'hospital',
+});
+
+// 🩸 Units on hand for one blood group and when that figure was last confirmed
+const stockEntrySchema = new mongoose.Schema({
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+    required: true,
+  },
+  units: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const bloodBankSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(BLOOD_BANK_TYPES),
+      default: BLOOD_BANK_TYPES.BLOOD_BANK,
+    },
+    address: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    pinCode: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    contactPhone: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    contactEmail: {
+      type: String,
+      default: null,
+      trim: true,
+      lowercase: true,
+    },
+    // 🏥 Every group is listed, at 0 units until someone reports stock
+    stock: {
+      type: [stockEntrySchema],
+      default: () => BLOOD_GROUPS.map((bloodGroup) => ({ bloodGroup, units: 0 })),
+    },
+    stockUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+    stockUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'stockUpdatedByModel',
+      default: null,
+    },
+    stockUpdatedByModel: {
+      type: String,
+      enum: ['Admin', 'Venture', null],
+      default: null,
+    },
+    // 🤝 Ventures allowed to keep this bank's stock up to date
+    managedBy: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Venture' }],
+      default: [],
+      index: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'blood_banks',
+  }
+);
+
+bloodBankSchema.index({ 'stock.bloodGroup': 1, 'stock.units': 1 });
+
+// ✏️ Sets units for the groups given (others are left alone) and stamps who reported them
+bloodBankSchema.methods.setStock = function (entries, { actorId = null, actorModel = null } = {}) {
+  const now = new Date();
+  for (const { bloodGroup, units } of entries) {
+    const entry = this.stock.find((s) => s.bloodGroup === bloodGroup);
+    if (entry) {
+      entry.units = units;
+      entry.updatedAt = now;
+    } else {
+      this.stock.push({ bloodGroup, units, updatedAt: now });
+    }
+  }
+
+  this.stockUpdatedAt = now;
+  this.stockUpdatedBy = actorId;
+  this.stockUpdatedByModel = actorModel;
+  return this;
+};
+
+export const BloodBank = mongoose.model('BloodBank', bloodBankSchema);
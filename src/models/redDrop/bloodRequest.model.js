@@ -0,0 +1,248 @@
+// src/models/redDrop/bloodRequest.model.js
+
+import mongoose from 'mongoose';
+
+export const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+export const BLOOD_REQUEST_URGENCY = Object.freeze({
+  CRITICAL: 'critical',
+  URGENT: 'urgent',
+  NORMAL: 'normal',
+});
+
+export const BLOOD_REQUEST_STATUSES = Object.freeze({
+  OPEN: 'open',
+  FULFILLED: 'fulfilled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+});
+
+export const DONOR_RESPONSES = Object.freeze({
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+});
+
+// 🤝 A compatible donor found for the request, with how far away they are (null when unknown)
+// and whether they've agreed to donate
+const matchedDonorSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS,
+    required: true,
+  },
+  distanceKm: {
+    type: Number,
+    default: null,
+  },
+  matchedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  response: {
+    type: String,
+    enum: Object.values(DONOR_RESPONSES),
+    default: DONOR_RESPONSES.PENDING,
+  },
+  respondedAt: {
+    type: Date,
+    default: null,
+  },
+  unitsDonated: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  notifiedAt: {
+    type: Date,
+    default: null,
+  },
+  // 📲 Messages the requester has relayed to this donor, capped per request
+  contactsSent: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+// 🔔 One push broadcast to matched donors and how it went
+const broadcastSchema = new mongoose.Schema({
+  donors: Number,
+  tokens: Number,
+  sent: Number,
+  failed: Number,
+  pruned: Number,
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// 💉 Units the requester has confirmed as received, optionally credited to a donor
+const fulfilmentSchema = new mongoose.Schema({
+  donor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  units: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  note: {
+    type: String,
+    default: null,
+    trim: true,
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const bloodRequestSchema = new mongoose.Schema(
+  {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    patientName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    patientAge: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    bloodGroup: {
+      type: String,
+      enum: BLOOD_GROUPS,
+      required: true,
+      index: true,
+    },
+    unitsRequired: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    unitsFulfilled: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    hospitalName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    hospitalAddress: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    pinCode: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    contactName: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    contactPhone: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    urgency: {
+      type: String,
+      enum: Object.values(BLOOD_REQUEST_URGENCY),
+      default: BLOOD_REQUEST_URGENCY.NORMAL,
+    },
+    requiredBy: {
+      type: Date,
+      required: true,
+    },
+    notes: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(BLOOD_REQUEST_STATUSES),
+      default: BLOOD_REQUEST_STATUSES.OPEN,
+      index: true,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    matchedDonors: {
+      type: [matchedDonorSchema],
+      default: [],
+    },
+    fulfilments: {
+      type: [fulfilmentSchema],
+      default: [],
+    },
+    fulfilledAt: {
+      type: Date,
+      default: null,
+    },
+    broadcasts: {
+      type: [broadcastSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'blood_requests',
+  }
+);
+
+bloodRequestSchema.index({ 'matchedDonors.donor': 1 });
+
+// ⌛ Open requests whose required-by date has passed are closed as expired when read, and hourly by the expire-blood-requests job
+bloodRequestSchema.statics.expireOverdue = function (filter = {}) {
+  return this.updateMany(
+    { ...filter, status: BLOOD_REQUEST_STATUSES.OPEN, requiredBy: { $lt: new Date() } },
+    { $set: { status: BLOOD_REQUEST_STATUSES.EXPIRED } }
+  );
+};
+
+// 🧾 Records units received and closes the request once everything asked for has arrived
+bloodRequestSchema.methods.recordFulfilment = function ({ units, donorId = null, note = null }) {
+  this.fulfilments.push({ donor: donorId, units, note });
+  this.unitsFulfilled += units;
+
+  if (donorId) {
+    const match = this.matchedDonors.find((m) => m.donor.equals(donorId));
+    if (match) match.unitsDonated += units;
+  }
+
+  if (this.unitsFulfilled >= this.unitsRequired) {
+    this.status = BLOOD_REQUEST_STATUSES.FULFILLED;
+    this.fulfilledAt = new Date();
+  }
+  return this;
+};
+
+export const BloodRequest = mongoose.model('BloodRequest', bloodRequestSchema);
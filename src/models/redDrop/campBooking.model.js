@@ -0,0 +1,79 @@
+// src/models/redDrop/campBooking.model.js
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const CAMP_BOOKING_STATUSES = Object.freeze({
+  BOOKED: 'booked',
+  CHECKED_IN: 'checked_in',
+  CANCELLED: 'cancelled',
+});
+
+// 🔳 What the donor's QR code carries; the prefix lets the scanner reject unrelated codes
+export const CHECK_IN_PREFIX = 'fint-camp:';
+
+const campBookingSchema = new mongoose.Schema(
+  {
+    camp: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DonationCamp',
+      required: true,
+      index: true,
+    },
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(CAMP_BOOKING_STATUSES),
+      default: CAMP_BOOKING_STATUSES.BOOKED,
+    },
+    checkInCode: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomBytes(16).toString('hex'),
+    },
+    checkedInAt: {
+      type: Date,
+      default: null,
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venture',
+      default: null,
+    },
+    donation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Donation',
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'camp_bookings',
+  }
+);
+
+// 🙅 One live booking per donor per camp; cancelled ones don't count
+campBookingSchema.index(
+  { camp: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['booked', 'checked_in'] } } }
+);
+
+campBookingSchema.virtual('checkInPayload').get(function () {
+  return `${CHECK_IN_PREFIX}${this.checkInCode}`;
+});
+
+export const CampBooking = mongoose.model('CampBooking', campBookingSchema);
@@ -0,0 +1,97 @@
+// src/models/redDrop/donation.model.js
+
+import mongoose from 'mongoose';
+import { DONATION_TYPES } from '../../config/donorEligibility.js';
+
+// 🧾 Where a donation record came from
+export const DONATION_SOURCES = Object.freeze({
+  SELF_REPORTED: 'self_reported',
+  BLOOD_REQUEST: 'blood_request',
+  CAMP: 'camp',
+});
+
+// ✅ Whether the donor has vouched for a donation someone else recorded for them.
+// Pending and disputed donations don't count towards the donation interval.
+export const DONATION_CONFIRMATIONS = Object.freeze({
+  NOT_REQUIRED: 'not_required',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  DISPUTED: 'disputed',
+});
+
+const donationSchema = new mongoose.Schema(
+  {
+    donor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    donatedAt: {
+      type: Date,
+      required: true,
+    },
+    donationType: {
+      type: String,
+      enum: Object.values(DONATION_TYPES),
+      default: DONATION_TYPES.WHOLE_BLOOD,
+    },
+    units: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    location: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    pinCode: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    source: {
+      type: String,
+      enum: Object.values(DONATION_SOURCES),
+      default: DONATION_SOURCES.SELF_REPORTED,
+    },
+    bloodRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BloodRequest',
+      default: null,
+    },
+    camp: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DonationCamp',
+      default: null,
+    },
+    notes: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    confirmation: {
+      type: String,
+      enum: Object.values(DONATION_CONFIRMATIONS),
+      default: DONATION_CONFIRMATIONS.NOT_REQUIRED,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'blood_donations',
+  }
+);
+
+donationSchema.index({ donor: 1, donatedAt: -1 });
+
+// 🔍 Query fragment for donations that count (old records without `confirmation` included)
+export const countedDonationFilter = () => ({
+  confirmation: { $nin: [DONATION_CONFIRMATIONS.PENDING, DONATION_CONFIRMATIONS.DISPUTED] },
+});
+
+export const Donation = mongoose.model('Donation', donationSchema);
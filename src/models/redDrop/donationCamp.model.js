@@ -0,0 +1,120 @@
+// src/models/redDrop/donationCamp.model.js
+
+import mongoose from 'mongoose';
+import { BLOOD_GROUPS } from './bloodRequest.model.js';
+
+export const CAMP_STATUSES = Object.freeze({
+  SCHEDULED: 'scheduled',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+});
+
+// ⏰ A bookable time window at the camp; `available` is decremented atomically on booking
+const campSlotSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  available: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+const donationCampSchema = new mongoose.Schema(
+  {
+    organiser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Venture',
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    venue: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    address: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    pinCode: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    slots: {
+      type: [campSlotSchema],
+      default: [],
+    },
+    // 🎯 Groups the camp is collecting; empty means every group is welcome
+    targetGroups: {
+      type: [{ type: String, enum: BLOOD_GROUPS }],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: Object.values(CAMP_STATUSES),
+      default: CAMP_STATUSES.SCHEDULED,
+      index: true,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'donation_camps',
+  }
+);
+
+// ⌛ Scheduled camps that have ended are closed as completed when read
+donationCampSchema.statics.completePast = function (filter = {}) {
+  return this.updateMany(
+    { ...filter, status: CAMP_STATUSES.SCHEDULED, endsAt: { $lt: new Date() } },
+    { $set: { status: CAMP_STATUSES.COMPLETED } }
+  );
+};
+
+donationCampSchema.methods.acceptsGroup = function (bloodGroup) {
+  return this.targetGroups.length === 0 || this.targetGroups.includes(bloodGroup);
+};
+
+export const DonationCamp = mongoose.model('DonationCamp', donationCampSchema);
@@ -0,0 +1,49 @@
+// src/models/settings/appSetting.model.js
+
+import mongoose from 'mongoose';
+
+// ⚙️ Runtime switches admins can flip without a redeploy, one document per key
+const appSettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'app_settings',
+  }
+);
+
+appSettingSchema.statics.getValue = async function (key, fallback = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : fallback;
+};
+
+appSettingSchema.statics.setValue = function (key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { new: true, upsert: true }
+  );
+};
+
+export const SETTING_KEYS = Object.freeze({
+  ADMIN_REQUIRE_2FA: 'admin.require2FA',
+  INSURANCE_RATING_FACTORS: 'insurance.ratingFactors',
+  DONOR_DEFERRAL_RULES: 'redDrop.deferralRules',
+});
+
+export const AppSetting = mongoose.model('AppSetting', appSettingSchema);
@@ -1,7 +1,63 @@
 // src/models/user.model.js
 
 import mongoose from 'mongoose';
-import jwt from 'jsonwebtoken';
+
+// 📋 Self-declared donor health answers; dates are "most recent", null when never
+const healthQuestionnaireSchema = new mongoose.Schema({
+  dateOfBirth: {
+    type: Date,
+    required: true,
+  },
+  weightKg: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  lastTattooOrPiercingAt: {
+    type: Date,
+    default: null,
+  },
+  lastSurgeryAt: {
+    type: Date,
+    default: null,
+  },
+  lastIllnessAt: {
+    type: Date,
+    default: null,
+  },
+  pregnantOrBreastfeeding: {
+    type: Boolean,
+    default: false,
+  },
+  chronicCondition: {
+    type: Boolean,
+    default: false,
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// 🩸 Cached result of the last eligibility check; `indefinite` means no date will lift the deferral
+const donorEligibilitySchema = new mongoose.Schema({
+  nextEligibleAt: {
+    type: Date,
+    default: null,
+  },
+  indefinite: {
+    type: Boolean,
+    default: false,
+  },
+  reasons: {
+    type: [String],
+    default: [],
+  },
+  evaluatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
 
 const userSchema = new mongoose.Schema(
   {
@@ -30,6 +86,18 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    lastDonationAt: {
+      type: Date,
+      default: null,
+    },
+    healthQuestionnaire: {
+      type: healthQuestionnaireSchema,
+      default: null,
+    },
+    donorEligibility: {
+      type: donorEligibilitySchema,
+      default: null,
+    },
     email: {
       type: String,
       // required: true,
@@ -41,10 +109,6 @@ const userSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
-    refreshToken: {
-      type: String,
-      default: null,
-    },
     firebaseTokens: {
       type: [String], // Array of strings
       default: [],
@@ -60,31 +124,7 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-// 🔑 Generate Access Token
-userSchema.methods.generateAccessToken = function () {
-  return jwt.sign(
-    {
-      id: this._id, // or _id if you want
-      email: this.email,
-    },
-    process.env.ACCESS_TOKEN_SECRET,
-    {
-      expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1d',
-    }
-  );
-};
-
-// 🔄 Generate Refresh Token
-userSchema.methods.generateRefreshToken = function () {
-  return jwt.sign(
-    {
-      id: this._id, // or _id
-    },
-    process.env.REFRESH_TOKEN_SECRET,
-    {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '30d',
-    }
-  );
-};
+// 🩸 Donor matching looks up willing donors by group, then PIN prefix
+userSchema.index({ beADonor: 1, bloodGroup: 1, pinCode: 1 });
 
 export const User = mongoose.model('User', userSchema);
@@ -1,5 +1,4 @@
 import mongoose from 'mongoose';
-import jwt from 'jsonwebtoken';
 
 const ventureSchema = new mongoose.Schema(
   {
@@ -35,10 +34,6 @@ const ventureSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
-    refreshToken: {
-      type: String,
-      default: null,
-    },
     firebaseTokens: {
       type: [String],
       default: [],
@@ -50,31 +45,4 @@ const ventureSchema = new mongoose.Schema(
   }
 );
 
-// 🔑 Generate Access Token
-ventureSchema.methods.generateAccessToken = function () {
-  return jwt.sign(
-    {
-      id: this._id,
-      email: this.email,
-    },
-    process.env.ACCESS_TOKEN_SECRET,
-    {
-      expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '1h',
-    }
-  );
-};
-
-// 🔄 Generate Refresh Token
-ventureSchema.methods.generateRefreshToken = function () {
-  return jwt.sign(
-    {
-      id: this._id,
-    },
-    process.env.REFRESH_TOKEN_SECRET,
-    {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRY || '7d',
-    }
-  );
-};
-
 export const Venture = mongoose.model('Venture', ventureSchema);
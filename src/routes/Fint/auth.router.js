@@ -8,6 +8,8 @@ import {
   renewAccessToken_Fint,
   logoutUser,
   editProfile_Fint,
+  listSessions_Fint,
+  revokeSession_Fint,
 } from "../../controllers/fintConmtroller/fintAuth.controller.js";
 
 // === Controllers: Ventures ===
@@ -19,6 +21,8 @@ import {
   renewAccessToken_Ventures,
   logoutVenture,
   editProfile_Ventures,
+  listSessions_Ventures,
+  revokeSession_Ventures,
 } from "../../controllers/fintConmtroller/venturesAuth.controller.js";
 import { userverifyJWT, verifyRefreshToken } from "../../middlewares/auth.user.middleware.js";
 import { ventureVentureverifyJWT, ventureVerifyRefreshToken } from "../../middlewares/auth.venture.middleware.js";
@@ -36,6 +40,8 @@ router.get("/fint/profile",userverifyJWT, profile_Fint);
 router.patch("/fint/update-profile",userverifyJWT, upload.single("avatar") ,editProfile_Fint);
 router.get("/fint/renew-access-token", verifyRefreshToken, renewAccessToken_Fint);
 router.post("/fint/logout", userverifyJWT, logoutUser);
+router.get("/fint/sessions", userverifyJWT, listSessions_Fint);
+router.delete("/fint/sessions/:sessionId", userverifyJWT, revokeSession_Fint);
 
 /* ===================================
    🔐 VENTURES AUTH ROUTES
@@ -47,5 +53,7 @@ router.get("/ventures/profile", ventureVentureverifyJWT, profile_Ventures);
 router.patch("/ventures/update-profile",ventureVentureverifyJWT, upload.single("avatar") ,editProfile_Ventures);
 router.get("/ventures/renew-access-token", ventureVerifyRefreshToken, renewAccessToken_Ventures);
 router.post("/ventures/logout", ventureVerifyRefreshToken, logoutVenture);
+router.get("/ventures/sessions", ventureVentureverifyJWT, listSessions_Ventures);
+router.delete("/ventures/sessions/:sessionId", ventureVentureverifyJWT, revokeSession_Ventures);
 
 export default router;
\ No newline at end of file
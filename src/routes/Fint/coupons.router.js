@@ -16,6 +16,9 @@ import {
 import { upload } from "../../middlewares/multer.middleware.js";
 import { ventureVentureverifyJWT } from "../../middlewares/auth.venture.middleware.js";
 import { userverifyJWT } from "../../middlewares/auth.user.middleware.js";
+import { adminverifyJWT } from "../../middlewares/auth.admin.middleware.js";
+import { requirePermission } from "../../middlewares/permission.middleware.js";
+import { PERMISSIONS } from "../../config/permissions.js";
 
 const router = Router();
 
@@ -39,7 +42,8 @@ router.get("/display-coupons-details/:id",userverifyJWT, displayCouponDetails);
 router.get("/user-display-all-coupons",userverifyJWT, displayCoupons);
 
 
-router.delete("/reject/:id", rejectCouponById);
+// admin moderation
+router.delete("/reject/:id", adminverifyJWT, requirePermission(PERMISSIONS.COUPONS_MODERATE), rejectCouponById);
 
 
 export default router;
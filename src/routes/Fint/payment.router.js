@@ -6,18 +6,38 @@ import {
   // transferToPhoneNumber,
   // transferToBankAccount,
   createPayment,
-  updateStatus
+  checkoutPayment,
+  getPaymentStatus,
 } from "../../controllers/fintConmtroller/payment.controller.js";
 import { userverifyJWT } from "../../middlewares/auth.user.middleware.js";
-// import { checkPaymentStatus,  } from "../../controllers/paymentGetway/phonepe.controller.js";
+import { phonePeCallback } from "../../controllers/paymentGetway/phonepe.controller.js";
 
 // import { verifyJWT } from "../../middlewares/auth.middleware.js"; // Protects user routes
 
 const router = Router();
 
 router.post("/create-payment",userverifyJWT, createPayment);
-router.patch("/update-status/:paymentId",userverifyJWT, updateStatus);
-// router.get("/payment-status/:transactionId", checkPaymentStatus);
+
+/**
+ * @route   POST /phonepe/callback
+ * @desc    PhonePe server-to-server payment callback (X-VERIFY signed)
+ * @access  Public
+ */
+router.post("/phonepe/callback", phonePeCallback);
+
+/**
+ * @route   POST /:paymentId/checkout
+ * @desc    Start or retry the PhonePe checkout for an open payment
+ * @access  Protected
+ */
+router.post("/:paymentId/checkout", userverifyJWT, checkoutPayment);
+
+/**
+ * @route   GET /:paymentId/status
+ * @desc    Payment status, polling PhonePe while it's still open
+ * @access  Protected
+ */
+router.get("/:paymentId/status", userverifyJWT, getPaymentStatus);
 
 
 // router.post("/initiate-payment", userverifyJWT, initiatePayment);
@@ -1,29 +1,104 @@
 import { Router } from "express";
 import {
+  listInsurancePlans,
   getInsurancePlanById,
+  createInsuranceQuote,
+  listMyInsuranceQuotes,
+  getInsuranceQuoteById,
+  acceptInsuranceQuote,
   applyForInsurance,
+  getMyPolicies,
+  getMyPolicyById,
+  getPolicyRenewal,
+  getPolicyDocument,
+  addPetToApplication,
+  updateApplicationPet,
+  removeApplicationPet,
+  setApplicationPetPlan,
   renewInsurance,
   approveInsuranceApplication,
   rejectInsuranceApplication,
+  updateInsuranceApplicationStatus,
+  addInsuranceReviewerNote,
 } from "../../controllers/fintConmtroller/insurance.controller.js"; // Update path as needed
+import {
+  fileClaim,
+  listMyClaims,
+  getMyClaimById,
+  addClaimDocuments,
+} from "../../controllers/fintConmtroller/claim.controller.js";
 import { userverifyJWT } from "../../middlewares/auth.user.middleware.js";
 import { upload } from "../../middlewares/multer.middleware.js";
+import { adminverifyJWT } from "../../middlewares/auth.admin.middleware.js";
+import { requirePermission } from "../../middlewares/permission.middleware.js";
+import { authenticate } from "../../middlewares/auth.middleware.js";
+import { TOKEN_ROLES } from "../../../services/JWTService.js";
+import { PERMISSIONS } from "../../config/permissions.js";
 
 const router = Router();
 
+/**
+ * @route   GET /plans
+ * @desc    List active insurance plans (optional ?species=dog|cat)
+ * @access  Public
+ */
+router.get("/plans", listInsurancePlans);
+
 /**
  * @route   GET /plans/:id
  * @desc    Get a specific insurance plan by ID
- * @access  Public or Protected (based on your logic)
+ * @access  Public
  */
 router.get("/plans/:id", getInsurancePlanById);
 
+/**
+ * @route   POST /quotes
+ * @desc    Get a premium quote for a pet on a plan
+ * @access  Protected
+ */
+router.post("/quotes", userverifyJWT, createInsuranceQuote);
+
+/**
+ * @route   GET /quotes
+ * @desc    List the logged-in user's quotes (optional ?status=)
+ * @access  Protected
+ */
+router.get("/quotes", userverifyJWT, listMyInsuranceQuotes);
+
+/**
+ * @route   GET /quotes/:id
+ * @desc    Get a quote with its itemised breakdown
+ * @access  Protected
+ */
+router.get("/quotes/:id", userverifyJWT, getInsuranceQuoteById);
+
+/**
+ * @route   POST /quotes/:id/accept
+ * @desc    Accept a quote so an application can be bound to it
+ * @access  Protected
+ */
+router.post("/quotes/:id/accept", userverifyJWT, acceptInsuranceQuote);
+
 /**
  * @route   PATCH /applications/:id/approve
  * @desc    Approve an insurance application
  * @access  Admin
  */
-router.patch("/applications/:id/approve", approveInsuranceApplication);
+router.patch("/applications/:id/approve", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_REVIEW), approveInsuranceApplication);
+
+/**
+ * @route   PATCH /applications/:id/status
+ * @desc    Move an application to another status (transitions are validated)
+ * @access  Admin
+ */
+router.patch("/applications/:id/status", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_REVIEW), updateInsuranceApplicationStatus);
+
+/**
+ * @route   POST /applications/:id/notes
+ * @desc    Add a reviewer note to an application
+ * @access  Admin
+ */
+router.post("/applications/:id/notes", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_REVIEW), addInsuranceReviewerNote);
 
 /**
  * @route   POST /apply
@@ -32,18 +107,111 @@ router.patch("/applications/:id/approve", approveInsuranceApplication);
  */
 router.post("/apply",userverifyJWT, upload.single('petNoseImg') , applyForInsurance);
 
+/**
+ * @route   GET /my-policies
+ * @desc    List the logged-in user's applications and policies (optional ?status=)
+ * @access  Protected
+ */
+router.get("/my-policies", userverifyJWT, getMyPolicies);
+
+/**
+ * @route   GET /my-policies/:id
+ * @desc    Get one of the logged-in user's applications / policies
+ * @access  Protected
+ */
+router.get("/my-policies/:id", userverifyJWT, getMyPolicyById);
+
+/**
+ * @route   GET /my-policies/:id/renewal
+ * @desc    Renewal window and next-term quote for a policy
+ * @access  Protected
+ */
+router.get("/my-policies/:id/renewal", userverifyJWT, getPolicyRenewal);
+
+/**
+ * @route   GET /policies/:id/document
+ * @desc    Download the policy schedule PDF (owner, or an admin who reviews insurance)
+ * @access  Protected (user or admin)
+ */
+router.get("/policies/:id/document", authenticate(TOKEN_ROLES.USER, TOKEN_ROLES.ADMIN), getPolicyDocument);
+
+/**
+ * @route   POST /applications/:id/pets
+ * @desc    Add a pet to one of the user's applications (only before approval)
+ * @access  Protected
+ */
+router.post("/applications/:id/pets", userverifyJWT, upload.single('petNoseImg'), addPetToApplication);
+
+/**
+ * @route   PATCH /applications/:id/pets/:petId
+ * @desc    Update a pet's details (re-prices the pet if it has a plan)
+ * @access  Protected
+ */
+router.patch("/applications/:id/pets/:petId", userverifyJWT, upload.single('petNoseImg'), updateApplicationPet);
+
+/**
+ * @route   DELETE /applications/:id/pets/:petId
+ * @desc    Remove a pet from an application
+ * @access  Protected
+ */
+router.delete("/applications/:id/pets/:petId", userverifyJWT, removeApplicationPet);
+
+/**
+ * @route   PUT /applications/:id/pets/:petId/plan
+ * @desc    Attach a plan to a pet, or detach it with planId: null
+ * @access  Protected
+ */
+router.put("/applications/:id/pets/:petId/plan", userverifyJWT, setApplicationPetPlan);
+
 /**
  * @route   POST /renew
- * @desc    Renew an existing insurance policy
+ * @desc    Renew an existing insurance policy (creates the renewal payment)
+ * @access  Protected
+ */
+router.post("/renew", userverifyJWT, renewInsurance);
+
+/**
+ * @route   POST /claims
+ * @desc    File a claim (multipart: invoices[] with invoiceAmounts, documents[], noseImg)
+ * @access  Protected
+ */
+router.post(
+  "/claims",
+  userverifyJWT,
+  upload.fields([
+    { name: 'invoices', maxCount: 10 },
+    { name: 'documents', maxCount: 10 },
+    { name: 'noseImg', maxCount: 1 },
+  ]),
+  fileClaim
+);
+
+/**
+ * @route   GET /claims
+ * @desc    List the logged-in user's claims
+ * @access  Protected
+ */
+router.get("/claims", userverifyJWT, listMyClaims);
+
+/**
+ * @route   GET /claims/:id
+ * @desc    Get one of the logged-in user's claims
+ * @access  Protected
+ */
+router.get("/claims/:id", userverifyJWT, getMyClaimById);
+
+/**
+ * @route   POST /claims/:id/documents
+ * @desc    Add supporting documents to an open claim
  * @access  Protected
  */
-router.post("/renew", renewInsurance);
+router.post("/claims/:id/documents", userverifyJWT, upload.array('documents', 10), addClaimDocuments);
 
 /**
  * @route   DELETE /applications/:id/reject
  * @desc    Reject an insurance application
  * @access  Admin
  */
-router.delete("/applications/:id/reject", rejectInsuranceApplication);
+router.delete("/applications/:id/reject", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_REVIEW), rejectInsuranceApplication);
 
 export default router;
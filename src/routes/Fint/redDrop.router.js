@@ -1,13 +1,263 @@
 import { Router } from "express";
-import { applyForBlood } from "../../controllers/fintConmtroller/redDrop.controller";
+import {
+  applyForBlood,
+  listMyBloodRequests,
+  getMyBloodRequest,
+  cancelBloodRequest,
+  getBloodRequestMatches,
+  contactMatchedDonor,
+  recordBloodFulfilment,
+  listDonorMatches,
+  respondToBloodRequest,
+} from "../../controllers/fintConmtroller/redDrop.controller.js";
+import {
+  getDonorEligibility,
+  submitHealthQuestionnaire,
+  listMyDonations,
+  addMyDonation,
+  confirmMyDonation,
+} from "../../controllers/fintConmtroller/donor.controller.js";
+import {
+  searchBloodBanks,
+  getBloodBank,
+  listManagedBloodBanks,
+  updateManagedBloodBankStock,
+} from "../../controllers/fintConmtroller/bloodBank.controller.js";
+import {
+  createDonationCamp,
+  listMyCamps,
+  getMyCamp,
+  updateMyCamp,
+  cancelMyCamp,
+  listCampBookings,
+  checkInCampDonor,
+  listUpcomingCamps,
+  getCamp,
+  bookCampSlot,
+  listMyCampBookings,
+  getMyCampBooking,
+  cancelMyCampBooking,
+} from "../../controllers/fintConmtroller/donationCamp.controller.js";
+import { userverifyJWT } from "../../middlewares/auth.user.middleware.js";
+import { ventureVentureverifyJWT } from "../../middlewares/auth.venture.middleware.js";
 
 const router = Router();
 
 /**
  * @route   POST /apply
- * @desc    Apply for an insurance plan
+ * @desc    Raise a blood request
  * @access  Protected
  */
-router.post("/apply", applyForBlood);
+router.post("/apply", userverifyJWT, applyForBlood);
 
-export default router;
\ No newline at end of file
+/**
+ * @route   GET /requests
+ * @desc    List the logged-in user's blood requests (optional ?status=)
+ * @access  Protected
+ */
+router.get("/requests", userverifyJWT, listMyBloodRequests);
+
+/**
+ * @route   GET /requests/:id
+ * @desc    Get one of the logged-in user's blood requests
+ * @access  Protected
+ */
+router.get("/requests/:id", userverifyJWT, getMyBloodRequest);
+
+/**
+ * @route   GET /requests/:id/matches
+ * @desc    Compatible donors matched to the request, nearest first (?refresh=true to re-run)
+ * @access  Protected
+ */
+router.get("/requests/:id/matches", userverifyJWT, getBloodRequestMatches);
+
+/**
+ * @route   POST /requests/:id/donors/:donorId/contact
+ * @desc    Relay a message to a donor who accepted, without revealing their number
+ * @access  Protected
+ */
+router.post("/requests/:id/donors/:donorId/contact", userverifyJWT, contactMatchedDonor);
+
+/**
+ * @route   POST /requests/:id/fulfilments
+ * @desc    Record units received (closes the request once all units have arrived)
+ * @access  Protected
+ */
+router.post("/requests/:id/fulfilments", userverifyJWT, recordBloodFulfilment);
+
+/**
+ * @route   PATCH /requests/:id/cancel
+ * @desc    Cancel an open blood request
+ * @access  Protected
+ */
+router.patch("/requests/:id/cancel", userverifyJWT, cancelBloodRequest);
+
+/**
+ * @route   GET /donor/requests
+ * @desc    Open requests the logged-in donor has been matched to
+ * @access  Protected
+ */
+router.get("/donor/requests", userverifyJWT, listDonorMatches);
+
+/**
+ * @route   PATCH /donor/requests/:id/respond
+ * @desc    Accept or decline a matched blood request
+ * @access  Protected
+ */
+router.patch("/donor/requests/:id/respond", userverifyJWT, respondToBloodRequest);
+
+/**
+ * @route   GET /donor/eligibility
+ * @desc    Whether the logged-in user can donate now (beADonor is paused while they can't)
+ * @access  Protected
+ */
+router.get("/donor/eligibility", userverifyJWT, getDonorEligibility);
+
+/**
+ * @route   PUT /donor/questionnaire
+ * @desc    Save the self-declared health questionnaire
+ * @access  Protected
+ */
+router.put("/donor/questionnaire", userverifyJWT, submitHealthQuestionnaire);
+
+/**
+ * @route   GET /donor/donations
+ * @desc    The logged-in user's donation history
+ * @access  Protected
+ */
+router.get("/donor/donations", userverifyJWT, listMyDonations);
+
+/**
+ * @route   POST /donor/donations
+ * @desc    Add a donation made outside the app
+ * @access  Protected
+ */
+router.post("/donor/donations", userverifyJWT, addMyDonation);
+
+/**
+ * @route   PATCH /donor/donations/:donationId/confirmation
+ * @desc    Confirm or dispute a donation a blood requester credited to the donor
+ * @access  Protected
+ */
+router.patch("/donor/donations/:donationId/confirmation", userverifyJWT, confirmMyDonation);
+
+/**
+ * @route   GET /blood-banks
+ * @desc    Blood banks holding a blood group, nearest first (?bloodGroup=&pinCode=&compatible=true)
+ * @access  Protected
+ */
+router.get("/blood-banks", userverifyJWT, searchBloodBanks);
+
+/**
+ * @route   GET /blood-banks/:id
+ * @desc    One blood bank with its full stock
+ * @access  Protected
+ */
+router.get("/blood-banks/:id", userverifyJWT, getBloodBank);
+
+/**
+ * @route   GET /venture/blood-banks
+ * @desc    Blood banks the logged-in venture maintains
+ * @access  Venture
+ */
+router.get("/venture/blood-banks", ventureVentureverifyJWT, listManagedBloodBanks);
+
+/**
+ * @route   PUT /venture/blood-banks/:id/stock
+ * @desc    Report current stock for a managed blood bank
+ * @access  Venture
+ */
+router.put("/venture/blood-banks/:id/stock", ventureVentureverifyJWT, updateManagedBloodBankStock);
+
+/**
+ * @route   GET /camps
+ * @desc    Upcoming donation camps, nearest first
+ * @access  Protected
+ */
+router.get("/camps", userverifyJWT, listUpcomingCamps);
+
+/**
+ * @route   GET /camps/bookings
+ * @desc    The logged-in user's camp bookings
+ * @access  Protected
+ */
+router.get("/camps/bookings", userverifyJWT, listMyCampBookings);
+
+/**
+ * @route   GET /camps/bookings/:bookingId
+ * @desc    One booking with its check-in QR code
+ * @access  Protected
+ */
+router.get("/camps/bookings/:bookingId", userverifyJWT, getMyCampBooking);
+
+/**
+ * @route   PATCH /camps/bookings/:bookingId/cancel
+ * @desc    Cancel a camp booking
+ * @access  Protected
+ */
+router.patch("/camps/bookings/:bookingId/cancel", userverifyJWT, cancelMyCampBooking);
+
+/**
+ * @route   GET /camps/:id
+ * @desc    One donation camp with its slots
+ * @access  Protected
+ */
+router.get("/camps/:id", userverifyJWT, getCamp);
+
+/**
+ * @route   POST /camps/:id/bookings
+ * @desc    Book a slot at a camp
+ * @access  Protected
+ */
+router.post("/camps/:id/bookings", userverifyJWT, bookCampSlot);
+
+/**
+ * @route   POST /venture/camps
+ * @desc    Publish a donation camp
+ * @access  Venture
+ */
+router.post("/venture/camps", ventureVentureverifyJWT, createDonationCamp);
+
+/**
+ * @route   GET /venture/camps
+ * @desc    Camps the logged-in venture organises
+ * @access  Venture
+ */
+router.get("/venture/camps", ventureVentureverifyJWT, listMyCamps);
+
+/**
+ * @route   GET /venture/camps/:id
+ * @desc    One of the venture's camps with booking counts
+ * @access  Venture
+ */
+router.get("/venture/camps/:id", ventureVentureverifyJWT, getMyCamp);
+
+/**
+ * @route   PATCH /venture/camps/:id
+ * @desc    Edit an upcoming camp
+ * @access  Venture
+ */
+router.patch("/venture/camps/:id", ventureVentureverifyJWT, updateMyCamp);
+
+/**
+ * @route   PATCH /venture/camps/:id/cancel
+ * @desc    Cancel an upcoming camp and its bookings
+ * @access  Venture
+ */
+router.patch("/venture/camps/:id/cancel", ventureVentureverifyJWT, cancelMyCamp);
+
+/**
+ * @route   GET /venture/camps/:id/bookings
+ * @desc    Bookings for one of the venture's camps
+ * @access  Venture
+ */
+router.get("/venture/camps/:id/bookings", ventureVentureverifyJWT, listCampBookings);
+
+/**
+ * @route   POST /venture/camps/:id/check-in
+ * @desc    Check a donor in from their QR code and record the donation
+ * @access  Venture
+ */
+router.post("/venture/camps/:id/check-in", ventureVentureverifyJWT, checkInCampDonor);
+
+export default router;
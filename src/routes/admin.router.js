@@ -2,49 +2,103 @@ import { Router } from "express";
 // import  {verifyJWT}  from "../middlewares/auth.middleware.js";
 
 // Import controller functions (make sure these are defined in the correct files)
-import { login_Admin ,forgotPasswordAdmin ,resetPasswordAdmin ,refreshAccessTokenAdmin ,logoutAdmin} from "../controllers/adminController/auth.controller.js";
-import {  dashboardAdmin, getAdminAdvertisements, getAdminCoupons, getAdminPayments, getAdminProfile, getEChangeRequests, getExpenseTrackerData, getPetInsuranceRequests, getRedDropRequests, getUserList, updateAdminProfile } from "../controllers/adminController/dashboard.controller.js";
-import {adminverifyJWT, verifyAdminRefreshToken} from "../middlewares/auth.admin.middleware.js";
+import { login_Admin ,forgotPasswordAdmin ,confirmResetPasswordAdmin ,resetPasswordAdmin ,refreshAccessTokenAdmin ,logoutAdmin, listSessionsAdmin, revokeSessionAdmin} from "../controllers/adminController/auth.controller.js";
+import {  dashboardAdmin, getAdminAdvertisements, getAdminCoupons, getAdminProfile, getEChangeRequests, getExpenseTrackerData, getPetInsuranceRequests, getRedDropRequests, getUserList, updateAdminProfile } from "../controllers/adminController/dashboard.controller.js";
+import {adminverifyJWT, verifyAdminRefreshToken, adminTwoFactorEnrollmentJWT} from "../middlewares/auth.admin.middleware.js";
+import { disableTwoFactorAdmin, enableTwoFactorAdmin, getSecuritySettings, getTwoFactorStatusAdmin, regenerateRecoveryCodesAdmin, setupTwoFactorAdmin, updateSecuritySettings, verifyLoginTwoFactorAdmin } from "../controllers/adminController/twoFactor.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
+import { requirePermission } from "../middlewares/permission.middleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { createInsurancePlan, deleteInsurancePlan, getInsurancePlanAdmin, getInsuranceRatingFactors, listInsurancePlansAdmin, updateInsurancePlan, updateInsuranceRatingFactors } from "../controllers/adminController/insurancePlan.controller.js";
+import { approveClaim, assessClaim, getClaimAdmin, listClaimsAdmin, markClaimPaid, rejectClaim } from "../controllers/adminController/claim.controller.js";
+import { createBloodBank, deactivateBloodBank, getBloodBankAdmin, getDonorDeferralRules, listBloodBanksAdmin, updateBloodBank, updateBloodBankStockAdmin, updateDonorDeferralRules } from "../controllers/adminController/redDrop.controller.js";
+import { getPaymentAdmin, listPaymentsAdmin, reconcilePaymentAdmin } from "../controllers/adminController/payment.controller.js";
+import { deleteAdmin, getAdminRoles, inviteAdmin, listAdmins, updateAdminRole, updateAdminStatus } from "../controllers/adminController/adminManagement.controller.js";
 
 const router = Router();
 
 /* --------------------- 🔐 Auth Routes --------------------- */
 router.post("/login", login_Admin);
-router.post("/forgot-password",adminverifyJWT, forgotPasswordAdmin);
+router.post("/login/2fa", verifyLoginTwoFactorAdmin);
+router.post("/forgot-password", forgotPasswordAdmin);
+router.post("/reset-password/confirm", confirmResetPasswordAdmin);
 router.post("/refresh-token",verifyAdminRefreshToken, refreshAccessTokenAdmin);
 router.post("/logout", adminverifyJWT, logoutAdmin);
 router.post("/reset-password",adminverifyJWT, resetPasswordAdmin);
+router.get("/sessions", adminverifyJWT, listSessionsAdmin);
+router.delete("/sessions/:sessionId", adminverifyJWT, revokeSessionAdmin);
 
 /* --------------------- 📊 Dashboard --------------------- */
-router.post("/dashboard", adminverifyJWT, dashboardAdmin);
+router.post("/dashboard", adminverifyJWT, requirePermission(PERMISSIONS.DASHBOARD_VIEW), dashboardAdmin);
+
+/* --------------------- 🔐 Two-Factor Auth --------------------- */
+router.get("/2fa", adminverifyJWT, getTwoFactorStatusAdmin);
+router.post("/2fa/setup", adminTwoFactorEnrollmentJWT, setupTwoFactorAdmin);
+router.post("/2fa/enable", adminTwoFactorEnrollmentJWT, enableTwoFactorAdmin);
+router.post("/2fa/disable", adminverifyJWT, disableTwoFactorAdmin);
+router.post("/2fa/recovery-codes", adminverifyJWT, regenerateRecoveryCodesAdmin);
+router.get("/security-settings", adminverifyJWT, requirePermission(PERMISSIONS.ADMINS_MANAGE), getSecuritySettings);
+router.patch("/security-settings", adminverifyJWT, requirePermission(PERMISSIONS.ADMINS_MANAGE), updateSecuritySettings);
+
+/* --------------------- 🛡️ Admin Management --------------------- */
+router.get("/roles", adminverifyJWT, requirePermission(PERMISSIONS.ADMINS_MANAGE), getAdminRoles);
+router.get("/admins", adminverifyJWT, requirePermission(PERMISSIONS.ADMINS_MANAGE), listAdmins);
+router.post("/admins", adminverifyJWT, requirePermission(PERMISSIONS.ADMINS_MANAGE), inviteAdmin);
+router.patch("/admins/:id/role", adminverifyJWT, requirePermission(PERMISSIONS.ADMINS_MANAGE), updateAdminRole);
+router.patch("/admins/:id/status", adminverifyJWT, requirePermission(PERMISSIONS.ADMINS_MANAGE), updateAdminStatus);
+router.delete("/admins/:id", adminverifyJWT, requirePermission(PERMISSIONS.ADMINS_MANAGE), deleteAdmin);
 
 /* --------------------- 👤 Profile --------------------- */
 router.get("/profile", adminverifyJWT, getAdminProfile);
 router.patch("/editProfile", adminverifyJWT ,upload.single("avatar"), updateAdminProfile);
 
 /* --------------------- 💳 Payment --------------------- */
-router.get("/payments", adminverifyJWT, getAdminPayments);
+router.get("/payments", adminverifyJWT, requirePermission(PERMISSIONS.PAYMENTS_VIEW), listPaymentsAdmin);
+router.get("/payments/:paymentId", adminverifyJWT, requirePermission(PERMISSIONS.PAYMENTS_VIEW), getPaymentAdmin);
+router.post("/payments/:paymentId/reconcile", adminverifyJWT, requirePermission(PERMISSIONS.PAYMENTS_RECONCILE), reconcilePaymentAdmin);
 
 /* --------------------- 🔁 E-Change Requests --------------------- */
-router.get("/echange-requests", adminverifyJWT, getEChangeRequests);
+router.get("/echange-requests", adminverifyJWT, requirePermission(PERMISSIONS.ECHANGE_VIEW), getEChangeRequests);
 
 /* --------------------- 🎟️ Coupons --------------------- */
-router.get("/coupons", adminverifyJWT, getAdminCoupons);
+router.get("/coupons", adminverifyJWT, requirePermission(PERMISSIONS.COUPONS_MODERATE), getAdminCoupons);
 
 /* --------------------- 📢 Advertisements --------------------- */
-router.get("/advertisements", adminverifyJWT, getAdminAdvertisements);
+router.get("/advertisements", adminverifyJWT, requirePermission(PERMISSIONS.ADVERTISEMENTS_MODERATE), getAdminAdvertisements);
 
 /* --------------------- 🩸 Red Drop --------------------- */
-router.get("/red-drop", adminverifyJWT, getRedDropRequests);
+router.get("/red-drop", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), getRedDropRequests);
+router.get("/red-drop/deferral-rules", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), getDonorDeferralRules);
+router.put("/red-drop/deferral-rules", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), updateDonorDeferralRules);
+router.get("/blood-banks", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), listBloodBanksAdmin);
+router.post("/blood-banks", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), createBloodBank);
+router.get("/blood-banks/:id", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), getBloodBankAdmin);
+router.patch("/blood-banks/:id", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), updateBloodBank);
+router.delete("/blood-banks/:id", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), deactivateBloodBank);
+router.put("/blood-banks/:id/stock", adminverifyJWT, requirePermission(PERMISSIONS.REDDROP_MANAGE), updateBloodBankStockAdmin);
 
 /* --------------------- 🐶 Pet Insurance --------------------- */
-router.get("/pet-insurance", adminverifyJWT, getPetInsuranceRequests);
+router.get("/pet-insurance", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_REVIEW), getPetInsuranceRequests);
+router.get("/insurance-plans", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_PLANS_MANAGE), listInsurancePlansAdmin);
+router.post("/insurance-plans", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_PLANS_MANAGE), createInsurancePlan);
+router.get("/insurance-plans/:id", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_PLANS_MANAGE), getInsurancePlanAdmin);
+router.patch("/insurance-plans/:id", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_PLANS_MANAGE), updateInsurancePlan);
+router.delete("/insurance-plans/:id", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_PLANS_MANAGE), deleteInsurancePlan);
+router.get("/insurance-rating-factors", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_PLANS_MANAGE), getInsuranceRatingFactors);
+router.put("/insurance-rating-factors", adminverifyJWT, requirePermission(PERMISSIONS.INSURANCE_PLANS_MANAGE), updateInsuranceRatingFactors);
+
+/* --------------------- 🩺 Pet Insurance Claims --------------------- */
+router.get("/claims", adminverifyJWT, requirePermission(PERMISSIONS.CLAIMS_REVIEW), listClaimsAdmin);
+router.get("/claims/:id", adminverifyJWT, requirePermission(PERMISSIONS.CLAIMS_REVIEW), getClaimAdmin);
+router.patch("/claims/:id/assess", adminverifyJWT, requirePermission(PERMISSIONS.CLAIMS_REVIEW), assessClaim);
+router.patch("/claims/:id/approve", adminverifyJWT, requirePermission(PERMISSIONS.CLAIMS_REVIEW), approveClaim);
+router.patch("/claims/:id/reject", adminverifyJWT, requirePermission(PERMISSIONS.CLAIMS_REVIEW), rejectClaim);
+router.patch("/claims/:id/pay", adminverifyJWT, requirePermission(PERMISSIONS.CLAIMS_PAY), markClaimPaid);
 
 /* --------------------- 👥 User Management --------------------- */
-router.get("/users", adminverifyJWT, getUserList);
+router.get("/users", adminverifyJWT, requirePermission(PERMISSIONS.USERS_VIEW), getUserList);
 
 /* --------------------- 💰 Expense Tracker --------------------- */
-router.get("/expense-tracker", adminverifyJWT, getExpenseTrackerData);
+router.get("/expense-tracker", adminverifyJWT, requirePermission(PERMISSIONS.EXPENSES_VIEW), getExpenseTrackerData);
 
 export default router;
@@ -3,6 +3,7 @@
 import { Router } from 'express';
 import adminRouter from './admin.router.js';
 import userRouter from './user.router.js';
+import jobsRouter from './jobs.router.js';
 
 const router = Router();
 
@@ -12,5 +13,8 @@ router.use('/admin', adminRouter);
 // ✅ User or application routes (Fint)
 router.use('/fint', userRouter);
 
+// ⏰ Scheduled jobs (cron)
+router.use('/jobs', jobsRouter);
+
 // 🚀 Export main router
 export default router;
@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { runScheduledJob } from "../controllers/jobs/jobs.controller.js";
+
+const router = Router();
+
+/**
+ * @route   GET /jobs/:name
+ * @desc    Run a scheduled job (e.g. lapse-policies); called by the cron scheduler
+ * @access  Scheduler (Bearer CRON_SECRET)
+ */
+router.get("/:name", runScheduledJob);
+
+export default router;
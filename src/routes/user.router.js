@@ -4,8 +4,8 @@ import payment from "./Fint/payment.router.js"; // adjust path
 import adv from "./Fint/adv.router.js"; // adjust path
 import petInsurance from "./Fint/petInsurance.router.js"; // adjust path
 import coupons from "./Fint/coupons.router.js"; // adjust path
-import redDrop from "./Fint/auth.router.js"; // adjust path
-import history from "./Fint/auth.router.js"; // adjust path
+import redDrop from "./Fint/redDrop.router.js"; // adjust path
+import history from "./Fint/history.router.js"; // adjust path
 
 const router = Router();
 
@@ -1,5 +1,6 @@
 // src/seeders/admin.seeder.js
 import { Admin } from '../models/admin.model.js';
+import { ADMIN_ROLES } from '../config/permissions.js';
 
 export default async function seedAdminData() {
   try {
@@ -20,6 +21,7 @@ export default async function seedAdminData() {
       bloodGroup: 'O+',
       pinCode: '756100',
       password: 'fint@1234', // Will be hashed via pre-save middleware
+      role: ADMIN_ROLES.SUPER_ADMIN,
     };
 
     await Admin.create(adminData);
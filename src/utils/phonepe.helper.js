@@ -1,15 +1,28 @@
-// import crypto from "crypto";
+import crypto from "crypto";
+import { SALT_KEY, SALT_INDEX } from "../config/index.js";
 
-// export const generateXVerify = (payload, url) => {
-//   const saltKey = process.env.SALT_KEY;
-//   const saltIndex = process.env.SALT_INDEX;
+// 🔏 PhonePe's X-VERIFY header: sha256(payload + apiPath + saltKey) + "###" + saltIndex.
+// For pay requests the payload is the base64 body, for status checks it's empty.
+export const generateXVerify = (payload, url, { saltKey = SALT_KEY, saltIndex = SALT_INDEX } = {}) => {
+  const baseString = payload + url + saltKey;
 
-//   const baseString = payload + url + saltKey;
+  const xVerify = crypto
+    .createHash("sha256")
+    .update(baseString)
+    .digest("hex");
 
-//   const xVerify = crypto
-//     .createHash("sha256")
-//     .update(baseString)
-//     .digest("hex");
+  return `${xVerify}###${saltIndex}`;
+};
 
-//   return `${xVerify}###${saltIndex}`;
-// };
+// ✅ Callbacks are signed over the base64 `response` alone: sha256(response + saltKey) + "###" + saltIndex
+export const verifyXVerify = (payload, url, header, options) => {
+  if (typeof header !== "string") return false;
+
+  const expected = Buffer.from(generateXVerify(payload, url, options));
+  const received = Buffer.from(header.trim());
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+export const encodePayload = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64");
+
+export const decodePayload = (base64) => JSON.parse(Buffer.from(base64, "base64").toString("utf8"));
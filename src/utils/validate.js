@@ -0,0 +1,30 @@
+import Joi from "joi";
+import { ApiError } from "./ApiError.js";
+
+// Query strings carry lists as "a,b,c"; this array type accepts that form as well as repeated params
+const QueryJoi = Joi.extend((joi) => ({
+  type: "list",
+  base: joi.array(),
+  coerce: {
+    from: "string",
+    method: (value) => ({ value: value.split(",").map((item) => item.trim()).filter(Boolean) }),
+  },
+}));
+
+// Runs a Joi schema and returns the converted value, or throws a 400 listing every failing field
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data || {}, { abortEarly: false });
+  if (error) {
+    const errors = error.details.map((err) => ({
+      field: err.path.join("."),
+      message: err.message,
+    }));
+    throw new ApiError(400, "Validation failed", errors);
+  }
+  return value;
+};
+
+// A comma-separated query list whose entries must each match `item`
+const listOf = (item) => QueryJoi.list().items(item).min(1);
+
+export { validate, listOf };